@@ -1,6 +1,6 @@
 /**
  * WindPowers - Real-Time Dashboard Frontend
- * Uses Socket.IO for live weather updates
+ * Live updates over Server-Sent Events (/api/stream), polling as fallback
  * Performance optimized with caching, lazy loading, and debouncing
  */
 
@@ -16,14 +16,19 @@ const CONFIG = {
 };
 
 let windData = [];
+let windTimes = []; // Shared hourly time axis (ms) when the data file has one
 let currentDay = 0;
+let currentHour = 12;
+let windHeight = '10m'; // '10m' or 'hub' (hub-height extrapolation)
 let map = null;
 let markers = [];
 let arrowLayerAdded = false;
 let heatmapVisible = true;
-let socket = null;
+let liveSource = null; // EventSource of /api/stream
+let pollTimer = null; // Fallback polling when SSE is unavailable
 let isConnected = false;
 let lastUpdate = null;
+let windGenerated = null; // `generated` of the wind data shown
 let currentZoom = CONFIG.zoom;
 let viewportBounds = null;
 
@@ -386,7 +391,7 @@ function getFilteredGeoJSON() {
     return {
         type: 'FeatureCollection',
         features: points.map(point => {
-            const forecast = point.forecasts[currentDay] || point.forecasts[0];
+            const forecast = getPointForecast(point);
             return {
                 type: 'Feature',
                 geometry: { type: 'Point', coordinates: [point.lon, point.lat] },
@@ -400,8 +405,278 @@ function getFilteredGeoJSON() {
     };
 }
 
+// ============ WIND TILES ============
+
+// Per-day binary tiles of the grid (scripts/lib/wind-tiles.js), so the map
+// draws from the few KB in view instead of the whole wind-data.json. Null
+// until the manifest has loaded, or when the pipeline wrote no tiles.
+let windTiles = null;
+let windTileSet = new Set();
+const windTileCache = new Map(); // url -> Promise of a decoded tile
+let windTileRequest = 0;
+
+async function loadWindTileManifest() {
+    try {
+        const response = await fetch('/data/wind-tiles/manifest.json', { cache: 'no-cache' });
+        if (!response.ok) return false;
+        const manifest = await response.json();
+        if (manifest.format !== 'WPT1') return false;
+        
+        if (windTiles?.run !== manifest.run) windTileCache.clear();
+        windTiles = { ...manifest, timesMs: manifest.times.map(t => Date.parse(t)) };
+        windTileSet = new Set(manifest.tiles);
+        if (!windData.length) setWindTimes(manifest.times);
+        return true;
+    } catch (e) {
+        console.log('Wind tiles unavailable:', e.message);
+        return false;
+    }
+}
+
+// A WPT1 tile: coordinates plus one byte plane per field
+function decodeWindTile(buffer, fields) {
+    const view = new DataView(buffer);
+    const magic = String.fromCharCode(...new Uint8Array(buffer, 0, 4));
+    if (magic !== 'WPT1') throw new Error(`Not a wind tile: ${magic}`);
+    
+    const count = view.getUint16(4, true);
+    const samples = view.getUint16(6, true);
+    const lat = new Float64Array(count);
+    const lon = new Float64Array(count);
+    for (let i = 0; i < count; i++) {
+        lat[i] = view.getInt16(8 + i * 2, true) / 100;
+        lon[i] = view.getInt16(8 + (count + i) * 2, true) / 100;
+    }
+    
+    let offset = 8 + count * 4;
+    const values = {};
+    fields.forEach(field => {
+        values[field.name] = new Uint8Array(buffer, offset, count * samples);
+        offset += count * samples;
+    });
+    return { count, samples, lat, lon, values };
+}
+
+// Value of point i at a sample (0 = daily 12:00), null when missing
+function getTileValue(tile, field, i, sample, missing = 255) {
+    const q = tile.values[field.name][i * tile.samples + sample];
+    return q === missing ? null : Math.round((q * field.scale + field.offset) * 10) / 10;
+}
+
+function lonToTileX(lon, z) {
+    return Math.floor((lon + 180) / 360 * 2 ** z);
+}
+
+function latToTileY(lat, z) {
+    const radians = Math.max(-85, Math.min(85, lat)) * Math.PI / 180;
+    return Math.floor((1 - Math.log(Math.tan(radians) + 1 / Math.cos(radians)) / Math.PI) / 2 * 2 ** z);
+}
+
+// Tile day and sample for the selected day and hour, like getTimeIndex
+function getWindTileSample() {
+    const index = findNearestTimeIndex(windTiles.timesMs, currentDay, currentHour, 3 * 60 * 60 * 1000);
+    const day = windTiles.days.find(d => index >= d.start && index < d.start + d.count);
+    if (day) return { day: day.day, sample: 1 + index - day.start };
+    return { day: Math.min(currentDay, windTiles.days.length - 1), sample: 0 };
+}
+
+// Existing tiles covering the viewport at the current zoom
+function getWindTilesInView() {
+    const z = Math.max(windTiles.minZoom, Math.min(windTiles.maxZoom, Math.floor(map.getZoom())));
+    const bounds = getViewportBounds() || windTiles.bounds;
+    const keys = [];
+    for (let x = lonToTileX(bounds.west, z); x <= lonToTileX(bounds.east, z); x++) {
+        for (let y = latToTileY(bounds.north, z); y <= latToTileY(bounds.south, z); y++) {
+            const key = `${z}/${x}/${y}`;
+            if (windTileSet.has(key)) keys.push(key);
+        }
+    }
+    return keys;
+}
+
+function loadWindTile(day, key) {
+    const [z, x, y] = key.split('/');
+    const url = windTiles.url.replace('{day}', day).replace('{z}', z).replace('{x}', x).replace('{y}', y);
+    if (!windTileCache.has(url)) {
+        const fields = windTiles.fields;
+        windTileCache.set(url, fetch(url)
+            .then(response => {
+                if (!response.ok) throw new Error(`${url}: ${response.status}`);
+                return response.arrayBuffer();
+            })
+            .then(buffer => decodeWindTile(buffer, fields))
+            .catch(e => {
+                windTileCache.delete(url);
+                console.log('Wind tile failed:', e.message);
+                return null;
+            }));
+    }
+    return windTileCache.get(url);
+}
+
+// Same features as getFilteredGeoJSON, from tiles
+function getWindTileGeoJSON(tiles, sample) {
+    const field = name => windTiles.fields.find(f => f.name === name);
+    const [speed, hub, direction, temperature] = ['windSpeed', 'windSpeedHub', 'windDirection', 'temperature'].map(field);
+    const features = [];
+    
+    tiles.forEach(tile => {
+        for (let i = 0; i < tile.count; i++) {
+            // Hours a point has no entry for fall back to its daily forecast
+            const s = getTileValue(tile, speed, i, sample, windTiles.missing) === null ? 0 : sample;
+            const speed10m = getTileValue(tile, speed, i, s, windTiles.missing);
+            const speedHub = hub ? getTileValue(tile, hub, i, s, windTiles.missing) : null;
+            features.push({
+                type: 'Feature',
+                geometry: { type: 'Point', coordinates: [tile.lon[i], tile.lat[i]] },
+                properties: {
+                    windSpeed: (windHeight === 'hub' && speedHub !== null ? speedHub : speed10m) || 0,
+                    windDirection: getTileValue(tile, direction, i, s, windTiles.missing) || 0,
+                    temperature: getTileValue(tile, temperature, i, s, windTiles.missing) || 0
+                }
+            });
+        }
+    });
+    return { type: 'FeatureCollection', features };
+}
+
+async function refreshWindTiles() {
+    const request = ++windTileRequest;
+    const { day, sample } = getWindTileSample();
+    const tiles = await Promise.all(getWindTilesInView().map(key => loadWindTile(day, key)));
+    
+    // A later pan, zoom or day change has taken over
+    if (request !== windTileRequest) return;
+    const source = map.getSource('wind-points');
+    if (!source) return;
+    const geojson = getWindTileGeoJSON(tiles.filter(Boolean), sample);
+    source.setData(geojson);
+    updateWindParticles(geojson.features);
+}
+
+// Map points for the selected day and hour: the tiles in view when there
+// are tiles, otherwise culled from wind-data.json
+function refreshWindSource() {
+    const source = map.getSource('wind-points');
+    if (!source) return;
+    if (windTiles) {
+        refreshWindTiles();
+    } else {
+        source.setData(getFilteredGeoJSON());
+        updateWindParticles();
+    }
+}
+
 const dayNames = ['Today', 'Tomorrow', '+2 days', '+3 days', '+4 days', '+5 days', '+6 days', '+7 days', '+8 days'];
 
+// ============ HOURLY FORECASTS ============
+
+const timeIndexCache = new Map();
+let timeIndexDate = null; // Local date the cached indices were computed on
+
+function setWindTimes(times) {
+    windTimes = (times || []).map(t => Date.parse(t));
+    timeIndexCache.clear();
+}
+
+// Index into times (ms) closest to day/hour in local time, or -1 when
+// nothing is within maxDiffMs
+function findNearestTimeIndex(times, day, hour, maxDiffMs) {
+    const target = new Date();
+    target.setDate(target.getDate() + day);
+    target.setHours(hour, 0, 0, 0);
+    
+    let index = -1;
+    let minDiff = maxDiffMs;
+    times.forEach((time, i) => {
+        const diff = Math.abs(time - target.getTime());
+        if (diff <= minDiff) {
+            minDiff = diff;
+            index = i;
+        }
+    });
+    return index;
+}
+
+// Index into windTimes for the selected day/hour. Beyond ~2.5 days yr.no
+// is 6-hourly, so allow snapping up to 3 hours.
+function getTimeIndex(day, hour) {
+    // "Today" moves at midnight in a tab left open
+    const today = new Date().toDateString();
+    if (today !== timeIndexDate) {
+        timeIndexCache.clear();
+        timeIndexDate = today;
+    }
+    
+    const key = `${day}:${hour}`;
+    if (timeIndexCache.has(key)) return timeIndexCache.get(key);
+    
+    const index = findNearestTimeIndex(windTimes, day, hour, 3 * 60 * 60 * 1000);
+    timeIndexCache.set(key, index);
+    return index;
+}
+
+// Forecast for a point at the selected day and hour. Falls back to the
+// daily 12:00 snapshot for files without hourly series. windSpeed is the
+// speed at the height picked in the legend; windSpeed10m is always 10 m.
+function getPointForecast(point, day = currentDay, hour = currentHour) {
+    const daily = point.forecasts[day] || point.forecasts[0];
+    const index = getTimeIndex(day, hour);
+    const hourly = point.hourly;
+    let forecast = daily;
+    
+    if (index !== -1 && hourly && hourly.windSpeed[index] != null) {
+        forecast = {
+            day,
+            windSpeed: hourly.windSpeed[index],
+            windSpeedHub: hourly.windSpeedHub?.[index],
+            windDirection: hourly.windDirection[index],
+            temperature: hourly.temperature[index],
+            humidity: hourly.humidity[index] ?? daily?.humidity
+        };
+    }
+    if (!forecast) return forecast;
+    
+    const useHub = windHeight === 'hub' && forecast.windSpeedHub != null;
+    return {
+        ...forecast,
+        windSpeed10m: forecast.windSpeed,
+        windSpeed: useHub ? forecast.windSpeedHub : forecast.windSpeed
+    };
+}
+
+function hasHubHeightData() {
+    return windData.some(p => p.forecasts[0]?.windSpeedHub != null);
+}
+
+function setupWindHeightToggle() {
+    const buttons = document.querySelectorAll('.legend-toggle button');
+    const title = document.getElementById('legend-title');
+    const toggle = document.getElementById('wind-height-toggle');
+    
+    if (toggle) toggle.hidden = !hasHubHeightData();
+    
+    buttons.forEach(button => {
+        button.onclick = async () => {
+            windHeight = button.dataset.height;
+            buttons.forEach(b => b.classList.toggle('active', b === button));
+            if (title) {
+                title.textContent = windHeight === 'hub' ? 'Wind Speed (hub height)' : 'Wind Speed (10 m)';
+            }
+            updateVisualization();
+            await updateDashboardMetrics();
+        };
+    });
+}
+
+function getHourLabel() {
+    const index = getTimeIndex(currentDay, currentHour);
+    if (index === -1) return `${String(currentHour).padStart(2, '0')}:00 (daily)`;
+    
+    const time = new Date(windTimes[index]);
+    return `${String(time.getHours()).padStart(2, '0')}:00`;
+}
+
 // Dashboard metrics
 let dashboardMetrics = {
     avgWindSpeed: 0,
@@ -420,21 +695,21 @@ const debouncedUpdateVisualization = debounce(() => {
     // Adjust heatmap properties based on zoom
     updateHeatmapDetail(zoom);
     
-    const source = map.getSource('wind-points');
-    if (source) {
-        source.setData(getFilteredGeoJSON());
-    }
+    refreshWindSource();
 }, CONFIG.debounceDelay);
 
-const throttledFetchWindData = throttle(async (force = false) => {
-    await fetchWindData(force);
+const throttledRefreshWindData = throttle(async () => {
+    await refreshWindData();
 }, 5000); // Max once per 5 seconds
 
 async function init() {
     showLoading(true);
+    // Wind data cached by earlier versions filled most of the storage quota
+    CacheManager.clear('windData');
+    CacheManager.clear('windTimes');
     
-    // Initialize Socket.IO connection
-    initSocket();
+    // Live updates: SSE, or polling where the server cannot stream
+    initLiveUpdates();
     
     map = new maplibregl.Map({
         container: 'map',
@@ -483,17 +758,25 @@ async function init() {
         // Setup lazy loading for panels
         setupLazyPanels();
         
-        // Load cached data first, then fetch fresh
-        await fetchWindData(false);
-        
-        // Note: addWindSources() is called inside fetchWindData() when cache hits
-        updateVisualization();
-        await updateDashboardMetrics();
+        // With tiles the map needs only the tiles in view; the full
+        // wind-data.json waits until the panels are shown or a point is
+        // opened, so slow links never pay for it just to see the map
+        if (await loadWindTileManifest()) {
+            addWindSources();
+            await refreshWindTiles();
+            document.querySelectorAll('.dashboard-panel, .alerts-panel').forEach(panel => {
+                LazyLoader.observe(panel, () => ensureWindData());
+            });
+        } else {
+            await ensureWindData();
+        }
         
         // Load turbine data
         await fetchTurbineData();
         addTurbineSources();
         updateTurbineVisualization();
+        await fetchProductionData();
+        updateProductionMetrics();
     });
 }
 
@@ -509,56 +792,139 @@ function setupLazyPanels() {
     });
 }
 
-function initSocket() {
-    // Use polling for Vercel/serverless (WebSockets not supported)
-    // Falls back to HTTP polling every 30 seconds
-    console.log('📡 Using polling mode for live updates');
+// The full wind-data.json, requested once; later runs come in through
+// refreshWindData
+let windDataRequest = null;
+
+function ensureWindData() {
+    if (!windDataRequest) {
+        // Load cached data first, then fetch fresh
+        windDataRequest = fetchWindData(false).then(async () => {
+            // Note: addWindSources() is called inside fetchWindData() when cache hits
+            updateVisualization();
+            await updateDashboardMetrics();
+        });
+    }
+    return windDataRequest;
+}
+
+// A new wind run: only the tile manifest until the full file is in use
+async function refreshWindData() {
+    if (windTiles && !windDataRequest) {
+        const run = windTiles.run;
+        if (await loadWindTileManifest() && windTiles.run !== run) {
+            refreshWindSource();
+            showUpdateIndicator();
+        }
+        return;
+    }
+    await fetchWindData(true);
+}
+
+const POLL_INTERVAL = 30000;
+const SSE_MAX_FAILURES = 3;
+// Streams end by design after a few minutes; one that ends sooner was cut
+// off, e.g. by a serverless function timeout, and counts as a failure
+const SSE_MIN_STREAM_MS = 60000;
+
+// Versions of the data files last seen on the stream, by event name
+let streamVersions = null;
+
+function initLiveUpdates() {
+    // The first wind data is loaded once the map is ready (tiles first)
+    if (!('EventSource' in window)) {
+        startPolling();
+        return;
+    }
+
+    let failures = 0;
+    let openedAt = null;
+    liveSource = new EventSource('/api/stream');
+
+    liveSource.onopen = () => {
+        openedAt = Date.now();
+        isConnected = true;
+        updateConnectionStatus();
+    };
+
+    liveSource.onerror = () => {
+        isConnected = false;
+        updateConnectionStatus();
+        // EventSource reconnects by itself (streams end every few minutes);
+        // give up only when it keeps failing or streams keep getting cut
+        // short, e.g. on static or serverless hosting
+        const lasted = openedAt === null ? 0 : Date.now() - openedAt;
+        openedAt = null;
+        if (lasted >= SSE_MIN_STREAM_MS) {
+            failures = 0;
+        } else if (++failures >= SSE_MAX_FAILURES) {
+            liveSource.close();
+            liveSource = null;
+            startPolling();
+        }
+    };
+
+    // On every (re)connect: catch up with changes made while disconnected
+    liveSource.addEventListener('hello', (event) => {
+        const { versions } = JSON.parse(event.data);
+        if (streamVersions) {
+            Object.keys(versions)
+                .filter(name => versions[name] !== streamVersions[name])
+                .forEach(name => handleDataUpdate(name, {}));
+        }
+        streamVersions = versions;
+    });
+
+    ['wind-updated', 'prices-updated', 'predictions-updated'].forEach(name => {
+        liveSource.addEventListener(name, (event) => {
+            const delta = JSON.parse(event.data);
+            if (streamVersions) streamVersions[name] = delta.version;
+            handleDataUpdate(name, delta);
+        });
+    });
+}
+
+async function handleDataUpdate(name, delta) {
+    console.log(`📡 ${name}`, delta);
+    if (name === 'wind-updated') {
+        await refreshWindData();
+    } else if (name === 'predictions-updated') {
+        driftVintages.clear();
+        consumerDayRequests.clear();
+        await loadPricePredictions();
+        showUpdateIndicator();
+    } else if (name === 'prices-updated') {
+        // Day-ahead prices feed the usage planner; drop a plan made on old prices
+        clearUsagePlan();
+    }
+}
+
+function startPolling() {
+    if (pollTimer) return;
+    console.log('📡 Server-Sent Events unavailable; polling every 30 seconds');
     isConnected = true;
     updateConnectionStatus();
-    
-    // Fetch initial data (will use cache if available)
-    fetchWindData();
-    
-    // Poll for updates every 30 seconds (throttled)
-    setInterval(() => throttledFetchWindData(true), 30000);
+    pollTimer = setInterval(() => throttledRefreshWindData(), POLL_INTERVAL);
 }
 
+// wind-data.json is several megabytes with the hourly series, more than
+// localStorage holds, so it is left to the HTTP cache (ETag revalidation)
 async function fetchWindData(forceRefresh = false) {
     try {
-        // Check cache first unless force refresh
-        if (!forceRefresh && CacheManager.isFresh('windData', CONFIG.cacheDuration)) {
-            const cached = CacheManager.load('windData');
-            if (cached) {
-                windData = cached;
-                lastUpdate = cached._timestamp || lastUpdate;
-                
-                if (map && map.loaded()) {
-                    addWindSources();
-                    updateVisualization();
-                    await updateDashboardMetrics();
-                    updateLastUpdateTime();
-                    showUpdateIndicator();
-                    console.log(`📦 Using cached data: ${windData.length} wind points`);
-                }
-                return;
-            }
-        }
-        
-        const response = await fetch('/data/wind-data.json');
+        const response = await fetch('/data/wind-data.json', { cache: forceRefresh ? 'no-cache' : 'default' });
         if (response.ok) {
             const data = await response.json();
             const newData = data.data || data;
             
-            // Check if data changed
-            if (JSON.stringify(newData) !== JSON.stringify(windData)) {
+            // A new fetch run has a new `generated` time
+            if (!windGenerated || data.generated !== windGenerated || windData.length === 0) {
                 windData = newData;
-                lastUpdate = new Date().toISOString();
-                
-                // Add timestamp for caching
-                windData._timestamp = lastUpdate;
+                windGenerated = data.generated || null;
+                setWindTimes(data.times);
                 
-                // Cache the data
-                CacheManager.save('windData', windData);
+                // A new run has new tiles
+                if (windTiles && windTiles.generated !== data.generated) await loadWindTileManifest();
+                lastUpdate = new Date().toISOString();
                 
                 // Update visualization if map is ready
                 if (map && map.loaded()) {
@@ -573,19 +939,6 @@ async function fetchWindData(forceRefresh = false) {
         }
     } catch (e) {
         console.log('Fetch failed:', e.message);
-        
-        // Try to load from cache on error
-        if (!forceRefresh) {
-            const cached = CacheManager.load('windData');
-            if (cached) {
-                windData = cached;
-                if (map && map.loaded()) {
-                    updateVisualization();
-                    await updateDashboardMetrics();
-                    console.log(`📦 Fallback to cache: ${windData.length} wind points`);
-                }
-            }
-        }
     }
 }
 
@@ -595,7 +948,8 @@ function updateConnectionStatus() {
     
     if (statusEl) {
         statusEl.textContent = isConnected ? '🟢 Live' : '🔴 Reconnecting...';
-        statusEl.title = isConnected ? 'Updates every 30 seconds' : 'Reconnecting...';
+        statusEl.title = !isConnected ? 'Reconnecting...'
+            : pollTimer ? 'Checking for updates every 30 seconds' : 'Updates pushed as soon as new data arrives';
     }
     if (dotEl) {
         dotEl.className = isConnected ? 'status-dot live' : 'status-dot offline';
@@ -646,7 +1000,7 @@ async function updateDashboardMetrics() {
     let alertCount = 0;
     
     windData.forEach(point => {
-        const forecast = point.forecasts[currentDay];
+        const forecast = getPointForecast(point);
         if (forecast) {
             totalWind += forecast.windSpeed;
             maxWind = Math.max(maxWind, forecast.windSpeed);
@@ -672,6 +1026,7 @@ async function updateDashboardMetrics() {
     document.getElementById('min-temp').textContent = dashboardMetrics.minTemperature;
     document.getElementById('max-temp').textContent = dashboardMetrics.maxTemperature;
     document.getElementById('alert-count').textContent = dashboardMetrics.alertCount;
+    updateProductionMetrics();
     
     // Update alerts panel (async)
     await updateAlertsPanel();
@@ -679,7 +1034,7 @@ async function updateDashboardMetrics() {
 
 async function updateAlertsPanel() {
     const alerts = windData
-        .map(p => ({ ...p, forecast: p.forecasts[currentDay] }))
+        .map(p => ({ ...p, forecast: getPointForecast(p) }))
         .filter(p => p.forecast && p.forecast.windSpeed >= 12)
         .sort((a, b) => b.forecast.windSpeed - a.forecast.windSpeed)
         .slice(0, 10);
@@ -720,14 +1075,20 @@ function generateGridPoints() {
 }
 
 function addWindSources() {
-    // Remove existing source if it exists (prevents "Source already exists" errors)
+    // Show the 10 m / hub height toggle only when the data carries both
+    const toggle = document.getElementById('wind-height-toggle');
+    if (toggle) toggle.hidden = !hasHubHeightData();
+    
+    // Layers are added once; later calls only refresh the data
     if (map.getSource('wind-points')) {
-        map.removeSource('wind-points');
+        refreshWindSource();
+        return;
     }
     
     map.addSource('wind-points', {
         type: 'geojson',
-        data: getWindGeoJSON()
+        // Tiles fill the source once they have loaded
+        data: windTiles ? { type: 'FeatureCollection', features: [] } : getWindGeoJSON()
     });
     
     // Subtle heatmap layer - gentle overlay
@@ -799,6 +1160,91 @@ function addWindSources() {
     // Load arrow icon and add symbol layer for wind direction arrows
     // This is much faster than DOM markers
     loadArrowIcon();
+    
+    // Animated particles above the heatmap
+    setupWindParticles();
+    
+    if (windTiles) refreshWindTiles();
+}
+
+// ============ WIND PARTICLES ============
+
+// Animated streamlines (wind-particles.js); null where the script or
+// WebGL custom layers are not available
+const PARTICLES_KEY = 'windpowers_particles';
+let windParticles = null;
+let particleSettings = { enabled: true, count: 3000, speed: 1 };
+
+function setupWindParticles() {
+    if (windParticles || typeof createWindParticleLayer !== 'function') return;
+    try {
+        particleSettings = { ...particleSettings, ...JSON.parse(localStorage.getItem(PARTICLES_KEY)) };
+    } catch (e) {
+        // Storage unavailable; keep the defaults
+    }
+    
+    try {
+        windParticles = createWindParticleLayer({ count: particleSettings.count, speed: particleSettings.speed });
+        map.addLayer(windParticles);
+    } catch (e) {
+        console.log('Wind particles unavailable:', e.message);
+        if (windParticles && map.getLayer(windParticles.id)) map.removeLayer(windParticles.id);
+        windParticles = null;
+        return;
+    }
+    
+    const controls = document.getElementById('particle-controls');
+    const enabled = document.getElementById('particles-enabled');
+    const count = document.getElementById('particle-count');
+    const speed = document.getElementById('particle-speed');
+    if (controls) {
+        controls.hidden = false;
+        enabled.checked = particleSettings.enabled;
+        count.value = particleSettings.count;
+        speed.value = particleSettings.speed;
+        enabled.onchange = () => updateParticleSettings({ enabled: enabled.checked });
+        count.oninput = () => updateParticleSettings({ count: Number(count.value) });
+        speed.oninput = () => updateParticleSettings({ speed: Number(speed.value) });
+    }
+    updateParticleSettings({});
+    if (!windTiles) updateWindParticles();
+}
+
+function updateParticleSettings(changes) {
+    if (changes.count !== undefined && changes.count !== particleSettings.count) {
+        windParticles.setCount(changes.count);
+    }
+    if (changes.speed !== undefined) windParticles.setSpeed(changes.speed);
+    particleSettings = { ...particleSettings, ...changes };
+    try {
+        localStorage.setItem(PARTICLES_KEY, JSON.stringify(particleSettings));
+    } catch (e) {
+        // Not persisted; the settings still apply for this session
+    }
+    
+    map.setLayoutProperty(windParticles.id, 'visibility', particleSettings.enabled ? 'visible' : 'none');
+    const countLabel = document.getElementById('particle-count-label');
+    const speedLabel = document.getElementById('particle-speed-label');
+    if (countLabel) countLabel.textContent = particleSettings.count;
+    if (speedLabel) speedLabel.textContent = `${particleSettings.speed}×`;
+}
+
+// Wind field of the selected day and hour: the tile features in view, or
+// every point of wind-data.json
+function updateWindParticles(features) {
+    if (!windParticles) return;
+    const points = features
+        ? features.map(f => ({
+            lon: f.geometry.coordinates[0],
+            lat: f.geometry.coordinates[1],
+            windSpeed: f.properties.windSpeed,
+            windDirection: f.properties.windDirection
+        }))
+        : windData.map(p => {
+            const forecast = getPointForecast(p);
+            return { lat: p.lat, lon: p.lon, windSpeed: forecast?.windSpeed, windDirection: forecast?.windDirection };
+        });
+    windParticles.setPoints(points);
 }
 
 function getWindGeoJSON() {
@@ -817,7 +1263,7 @@ function getWindGeoJSON() {
     return {
         type: 'FeatureCollection',
         features: points.map(point => {
-            const forecast = point.forecasts[currentDay] || point.forecasts[0];
+            const forecast = getPointForecast(point);
             return {
                 type: 'Feature',
                 geometry: { type: 'Point', coordinates: [point.lon, point.lat] },
@@ -867,12 +1313,7 @@ function updateVisualization() {
     // Update heatmap detail based on zoom
     updateHeatmapDetail(zoom);
     
-    const source = map.getSource('wind-points');
-    
-    if (source) {
-        // Use filtered GeoJSON for better performance
-        source.setData(getFilteredGeoJSON());
-    }
+    refreshWindSource();
     
     // Remove old DOM markers if any remain
     markers.forEach(m => m.remove());
@@ -937,9 +1378,12 @@ function loadArrowIcon() {
         arrowLayerAdded = true;
         
         // Add click handler for arrows
-        map.on('click', 'wind-arrows', (e) => {
+        map.on('click', 'wind-arrows', async (e) => {
             const coordinates = e.features[0].geometry.coordinates.slice();
             
+            // Point details need the full data (tiles hold only the map view)
+            await ensureWindData();
+            
             // Find the original point data
             const point = windData.find(p => p.lon === coordinates[0] && p.lat === coordinates[1]);
             if (point) {
@@ -964,12 +1408,13 @@ function renderArrows(zoom) {
 }
 
 function showInfoPanel(point) {
-    const forecast = point.forecasts[currentDay];
+    const forecast = getPointForecast(point);
     
     document.getElementById('location-name').textContent = 
         `${point.lat.toFixed(1)}°N, ${point.lon.toFixed(1)}°E`;
-    document.getElementById('wind-speed').textContent = 
-        `${forecast.windSpeed.toFixed(1)} m/s`;
+    document.getElementById('wind-speed').textContent = forecast.windSpeedHub != null
+        ? `${forecast.windSpeed10m.toFixed(1)} m/s (hub ${forecast.windSpeedHub.toFixed(1)})`
+        : `${forecast.windSpeed.toFixed(1)} m/s`;
     document.getElementById('wind-direction').textContent = 
         `${Math.round(forecast.windDirection)}° ${getWindDirectionName(forecast.windDirection)}`;
     document.getElementById('temperature').textContent = 
@@ -977,11 +1422,6 @@ function showInfoPanel(point) {
     document.getElementById('humidity').textContent = 
         `${Math.round(forecast.humidity)}%`;
     
-    // Subscribe to location updates
-    if (socket) {
-        socket.emit('subscribeLocation', { lat: point.lat, lon: point.lon });
-    }
-    
     const miniContainer = document.getElementById('forecast-mini');
     miniContainer.innerHTML = point.forecasts.slice(0, 7).map((f, i) => `
         <div class="forecast-day ${i === currentDay ? 'active' : ''}">
@@ -1006,13 +1446,28 @@ function getWindDirectionName(deg) {
 function setupControls() {
     const slider = document.getElementById('day-slider');
     const label = document.getElementById('day-label');
+    const hourSlider = document.getElementById('hour-slider');
+    const hourLabel = document.getElementById('hour-label');
     
     slider.addEventListener('input', async (e) => {
         currentDay = parseInt(e.target.value);
         label.textContent = dayNames[currentDay];
+        hourLabel.textContent = getHourLabel();
+        updateVisualization();
+        renderPriceIntraday();
+        await updateDashboardMetrics();
+    });
+    
+    hourSlider.addEventListener('input', async (e) => {
+        currentHour = parseInt(e.target.value);
+        hourLabel.textContent = getHourLabel();
         updateVisualization();
+        renderPriceIntraday();
         await updateDashboardMetrics();
     });
+    
+    hourLabel.textContent = getHourLabel();
+    setupWindHeightToggle();
 }
 
 function showLoading(show) {
@@ -1031,23 +1486,332 @@ function showLoading(show) {
     }
 }
 
-// Price predictions (unchanged)
+// Price predictions: one 9-day series per bidding zone
+const PRICE_ZONE_NAMES = {
+    FI: 'Finland',
+    SE1: 'Luleå', SE2: 'Sundsvall', SE3: 'Stockholm', SE4: 'Malmö',
+    NO1: 'Oslo', NO2: 'Kristiansand', NO3: 'Trondheim', NO4: 'Tromsø', NO5: 'Bergen',
+    DK1: 'West Denmark', DK2: 'East Denmark'
+};
+const PRICE_ZONE_KEY = 'windpowers_price_zone';
+
+let allPricePredictions = [];
 let pricePredictions = [];
+let pricePredictionsGenerated = null;
+let priceZone = 'FI';
+
+// Prices are shown either wholesale (€/MWh) or as households pay them
+// (c/kWh incl. margin, transfer, tax and VAT). Consumer prices come from
+// /api/consumer-prices, which applies config/tariffs.json on the server.
+const PRICE_UNIT_KEY = 'windpowers_price_unit';
+let priceUnit = 'wholesale';
+let consumerPricesAvailable = false;
+// Consumer prices of the selected zone by date while they are shown, else null
+let consumerDays = null;
+// Per zone, fetched once until the predictions change
+const consumerDayRequests = new Map();
+
+async function loadTariffs() {
+    try {
+        const response = await fetch('/api/tariffs');
+        consumerPricesAvailable = response.ok;
+    } catch (e) {
+        // Static hosting without the API: wholesale prices only
+    }
+    setupPriceUnitToggle();
+}
+
+function setupPriceUnitToggle() {
+    const toggle = document.getElementById('price-unit-toggle');
+    try {
+        priceUnit = localStorage.getItem(PRICE_UNIT_KEY) || priceUnit;
+    } catch (e) {
+        // Storage unavailable; keep the default unit
+    }
+    if (toggle) {
+        toggle.hidden = !consumerPricesAvailable;
+        toggle.querySelectorAll('button').forEach(button => {
+            button.onclick = () => selectPriceUnit(button.dataset.unit);
+        });
+    }
+    selectPriceUnit(priceUnit);
+}
+
+function loadConsumerDays(zone) {
+    if (!consumerDayRequests.has(zone)) {
+        const load = async () => {
+            const response = await fetch(`/api/consumer-prices?area=${zone}`);
+            if (!response.ok) return null;
+            const { days } = await response.json();
+            return new Map(days.map(day => [day.date, day]));
+        };
+        consumerDayRequests.set(zone, load().catch(() => null));
+    }
+    return consumerDayRequests.get(zone);
+}
+
+// Fetch consumer prices for the selected zone when they are to be shown
+async function updateConsumerDays() {
+    const zone = priceZone;
+    const days = priceUnit === 'consumer' && consumerPricesAvailable ? await loadConsumerDays(zone) : null;
+    // The selection may have changed while loading
+    if (zone !== priceZone) return false;
+    consumerDays = days;
+    return true;
+}
+
+async function selectPriceUnit(unit) {
+    priceUnit = unit;
+    try {
+        localStorage.setItem(PRICE_UNIT_KEY, unit);
+    } catch (e) {
+        // Not persisted; the unit still applies for this session
+    }
+    document.querySelectorAll('#price-unit-toggle button').forEach(button => {
+        button.classList.toggle('active', button.dataset.unit === unit);
+    });
+    if (!await updateConsumerDays() || unit !== priceUnit) return;
+    renderPriceUnit();
+    renderPriceForecast();
+    clearUsagePlan();
+}
+
+function renderPriceUnit() {
+    const label = isConsumerPrice() ? 'c/kWh' : '€/MWh';
+    document.querySelectorAll('.price-unit, .price-today-unit').forEach(el => {
+        el.textContent = label;
+    });
+    const note = document.getElementById('price-unit-note');
+    if (note) {
+        note.textContent = isConsumerPrice()
+            ? 'All-in consumer price incl. VAT, retailer margin, transfer and electricity tax.'
+            : 'Wholesale day-ahead price excl. taxes and fees.';
+    }
+}
+
+function isConsumerPrice() {
+    return consumerDays !== null;
+}
+
+// Display value of a predicted day: its level, or 'p10'/'p90' of its band
+function toDisplayDayPrice(prediction, key = 'predictedPrice') {
+    if (!isConsumerPrice()) return prediction[key];
+    const day = consumerDays.get(prediction.date);
+    return day?.[key === 'predictedPrice' ? 'consumer' : key] ?? null;
+}
+
+// Display value of the `index`th slot of a predicted day
+function toDisplaySlotPrice(prediction, index, key = 'price') {
+    if (!isConsumerPrice()) return getPriceSlots(prediction)[index]?.[key];
+    const slot = consumerDays.get(prediction.date)?.slots[index];
+    return slot?.[key === 'price' ? 'total' : key] ?? null;
+}
+
+function formatPrice(value) {
+    if (typeof value !== 'number') return '--';
+    return isConsumerPrice() ? value.toFixed(1) : Math.round(value).toString();
+}
 
 async function loadPricePredictions() {
     try {
         const response = await fetch('/data/price-predictions.json');
         if (response.ok) {
             const data = await response.json();
-            pricePredictions = data.predictions || [];
-            renderPriceForecast();
+            // Files from before per-zone predictions only covered Finland
+            allPricePredictions = (data.predictions || []).map(p => ({ area: 'FI', ...p }));
+            pricePredictionsGenerated = data.generated || null;
+            setupPriceZoneSelector(data.areas || [...new Set(allPricePredictions.map(p => p.area))]);
         }
     } catch (e) {
-        pricePredictions = generateSamplePredictions();
+        allPricePredictions = generateSamplePredictions();
+        setupPriceZoneSelector(['FI']);
+    }
+}
+
+function setupPriceZoneSelector(areas) {
+    const select = document.getElementById('price-zone');
+    let saved = null;
+    try {
+        saved = localStorage.getItem(PRICE_ZONE_KEY);
+    } catch (e) {
+        // Storage unavailable (private mode); keep the default zone
+    }
+    const zone = areas.includes(saved) ? saved : (areas.includes('FI') ? 'FI' : areas[0]);
+
+    if (select) {
+        select.innerHTML = areas.map(area =>
+            `<option value="${area}">${area} – ${PRICE_ZONE_NAMES[area] || area}</option>`
+        ).join('');
+        select.hidden = areas.length < 2;
+        select.onchange = () => selectPriceZone(select.value);
+    }
+    if (zone) selectPriceZone(zone);
+}
+
+function selectPriceZone(area) {
+    priceZone = area;
+    pricePredictions = labelPredictionDays(allPricePredictions.filter(p => p.area === area));
+    try {
+        localStorage.setItem(PRICE_ZONE_KEY, area);
+    } catch (e) {
+        // Not persisted; the selection still applies for this session
+    }
+
+    const select = document.getElementById('price-zone');
+    if (select) select.value = area;
+    const nameEl = document.getElementById('price-zone-name');
+    if (nameEl) nameEl.textContent = PRICE_ZONE_NAMES[area] || area;
+    const labelEl = document.getElementById('price-zone-label');
+    if (labelEl) labelEl.textContent = `${area} Price:`;
+
+    // Consumer prices are per zone; wholesale is shown until they arrive
+    consumerDays = null;
+    renderPriceUnit();
+    renderPriceForecast();
+    renderBacktestReport();
+    clearUsagePlan();
+    updateConsumerDays().then(current => {
+        if (!current || !isConsumerPrice()) return;
+        renderPriceUnit();
         renderPriceForecast();
+    });
+}
+
+// YYYY-MM-DD of a moment in a time zone (the browser's when not given)
+function getZoneDate(date, timeZone) {
+    return date.toLocaleDateString('en-CA', { timeZone });
+}
+
+// Day labels from the dates rather than the file, so a forecast the daily
+// update did not refresh does not keep calling its first day "Today"
+function labelPredictionDays(predictions) {
+    const today = getZoneDate(new Date(), predictions[0]?.timeZone);
+    return predictions.map(p => {
+        const offset = Math.round((Date.parse(p.date) - Date.parse(today)) / 86400000);
+        const dayName = offset === 0 ? 'Today'
+            : offset === 1 ? 'Tomorrow'
+            : offset > 1 ? `+${offset} days`
+            : new Date(p.date).toLocaleDateString('en-GB', { weekday: 'short', day: 'numeric', month: 'short', timeZone: 'UTC' });
+        return { ...p, dayName };
+    });
+}
+
+// Out-of-date predictions stay visible but are flagged as such
+function renderPriceStaleness() {
+    const note = document.getElementById('price-stale');
+    const first = pricePredictions[0];
+    const stale = Boolean(first) && first.date < getZoneDate(new Date(), first.timeZone);
+    document.getElementById('price-panel')?.classList.toggle('stale', stale);
+    if (!note) return;
+    note.hidden = !stale;
+    if (stale) {
+        const generated = pricePredictionsGenerated ? new Date(pricePredictionsGenerated) : new Date(first.date);
+        note.textContent = `Forecast from ${generated.toLocaleDateString('en-GB', { day: 'numeric', month: 'short' })} and not updated since; these are not current prices.`;
+    }
+}
+
+// Backtest report: forecast skill per horizon against naive baselines
+let backtestReport = null;
+
+async function loadBacktestReport() {
+    try {
+        const response = await fetch('/data/backtest-report.json');
+        if (!response.ok) return;
+        backtestReport = await response.json();
+        renderBacktestReport();
+    } catch (e) {
+        // No report published yet; the section stays hidden
     }
 }
 
+function renderBacktestReport() {
+    const section = document.getElementById('price-skill');
+    const body = document.getElementById('price-skill-body');
+    const zone = backtestReport?.areas?.[priceZone];
+    if (!section || !body) return;
+    section.hidden = !zone;
+    if (!zone) return;
+
+    const fmt = value => (value === null ? '--' : value.toFixed(1));
+    const rows = zone.horizons.map(h => `<tr>
+            <td>D+${h.horizon}</td>
+            <td>${fmt(h.model.mae)}</td>
+            <td>${fmt(h.yesterday.mae)}</td>
+            <td>${fmt(h.lastWeek.mae)}</td>
+        </tr>`).join('');
+    const skill = zone.overall.skill.yesterday;
+    const verdict = skill === null ? '' : skill > 0
+        ? `${Math.round(skill * 100)}% lower error than yesterday's prices`
+        : `${Math.round(-skill * 100)}% higher error than yesterday's prices`;
+
+    body.innerHTML = `<table class="skill-table">
+            <thead><tr><th></th><th>Model</th><th>Yesterday</th><th>Last week</th></tr></thead>
+            <tbody>${rows}</tbody>
+        </table>
+        <div class="skill-note">MAE in €/MWh over ${zone.origins} past forecast days. ${verdict}</div>`;
+}
+
+// Usage planner: cheapest hours for a flexible load from /api/cheapest-hours
+function setupUsagePlanner() {
+    const form = document.getElementById('price-plan-form');
+    if (!form) return;
+    form.addEventListener('submit', (event) => {
+        event.preventDefault();
+        planUsage();
+    });
+}
+
+function clearUsagePlan() {
+    const result = document.getElementById('price-plan-result');
+    if (result) result.innerHTML = '';
+}
+
+async function planUsage() {
+    const result = document.getElementById('price-plan-result');
+    const hours = document.getElementById('price-plan-hours').value;
+    const contiguous = document.getElementById('price-plan-contiguous').checked;
+    if (!result) return;
+
+    result.innerHTML = '<div class="skill-note">Searching…</div>';
+    const params = new URLSearchParams({ area: priceZone, hours, contiguous, unit: isConsumerPrice() ? 'consumer' : 'wholesale' });
+    try {
+        const response = await fetch(`/api/cheapest-hours?${params}`);
+        const plan = await response.json();
+        if (!response.ok) {
+            result.innerHTML = `<div class="skill-note">${plan.error || 'No plan available'}</div>`;
+            return;
+        }
+        renderUsagePlan(plan);
+    } catch (e) {
+        result.innerHTML = '<div class="skill-note">Planner unavailable</div>';
+    }
+}
+
+function renderUsagePlan(plan) {
+    const result = document.getElementById('price-plan-result');
+    const timeZone = pricePredictions[0]?.timeZone;
+    // The plan comes in the unit it was asked for
+    const unit = plan.unit || '€/MWh';
+    const format = value => (unit === 'c/kWh' ? value.toFixed(1) : Math.round(value).toString());
+    const formatTime = (iso, withDay) => new Date(iso).toLocaleString('en-GB', {
+        weekday: withDay ? 'short' : undefined,
+        hour: '2-digit',
+        minute: '2-digit',
+        timeZone
+    });
+
+    const rows = plan.blocks.map(block => `<li>
+            <span>${formatTime(block.start, true)}–${formatTime(block.end, false)}</span>
+            <span class="price">${format(block.averagePrice)} ${unit}</span>
+            ${block.source === 'day-ahead' ? '' : '<span class="price-plan-source">forecast</span>'}
+        </li>`).join('');
+    const saving = plan.windowAveragePrice - plan.averagePrice;
+
+    result.innerHTML = `<ul class="price-plan-blocks">${rows}</ul>
+        <div class="skill-note">Average ${format(plan.averagePrice)} ${unit} vs ${format(plan.windowAveragePrice)} ${unit}
+            over the next ${Math.round((Date.parse(plan.to) - Date.parse(plan.from)) / 3600000)} h${saving > 0 ? `, ${format(saving)} ${unit} cheaper` : ''}.</div>`;
+}
+
 function generateSamplePredictions() {
     const predictions = [];
     const now = new Date();
@@ -1060,6 +1824,7 @@ function generateSamplePredictions() {
         const basePrice = 80 - avgWind * 5 + Math.random() * 30;
         
         predictions.push({
+            area: 'FI',
             date: date.toISOString().split('T')[0],
             dayName: day === 0 ? 'Today' : day === 1 ? 'Tomorrow' : `+${day}d`,
             avgWindSpeed: avgWind,
@@ -1074,26 +1839,44 @@ function renderPriceForecast() {
     const container = document.getElementById('price-forecast');
     if (!container || !pricePredictions.length) return;
 
+    renderPriceStaleness();
     const today = pricePredictions[0];
+    const todayLabelEl = document.getElementById('price-today-label');
+    if (todayLabelEl && today) todayLabelEl.textContent = today.dayName;
     const todayValueEl = document.getElementById('price-today-value');
-    if (todayValueEl && today) todayValueEl.textContent = Math.round(today.predictedPrice / 10);
+    if (todayValueEl && today) todayValueEl.textContent = formatPrice(toDisplayDayPrice(today));
+    const todayRangeEl = document.getElementById('price-today-range');
+    if (todayRangeEl) {
+        todayRangeEl.textContent = today && hasPriceBand(today)
+            ? `P10–P90 ${formatPrice(toDisplayDayPrice(today, 'p10'))}–${formatPrice(toDisplayDayPrice(today, 'p90'))}`
+            : '';
+    }
+    const unitSuffix = isConsumerPrice() ? '¢' : ' €';
 
     const upcoming = pricePredictions.slice(1, 9);
+    const scale = getBandScale(upcoming);
     container.innerHTML = upcoming.map((p, i) => {
         const dayIndex = i + 1;
+        const range = hasPriceBand(p)
+            ? `<span class="price-range">${formatPrice(toDisplayDayPrice(p, 'p10'))}–${formatPrice(toDisplayDayPrice(p, 'p90'))}</span>`
+            : '';
         return `<div class="price-day ${p.priceLevel.toLowerCase()} ${dayIndex === currentDay ? 'active' : ''}"
              onclick="setDay(${dayIndex})">
             <div class="day-name">${p.dayName}</div>
-            <div class="price">${Math.round(p.predictedPrice / 10)}¢</div>
+            ${renderBandBar(p, scale)}
+            <div class="price">${formatPrice(toDisplayDayPrice(p))}${unitSuffix}${range}</div>
             <div class="wind-info">${p.avgWindSpeed?.toFixed(1) || '--'} m/s</div>
         </div>`;
     }).join('');
 
+    renderPriceIntraday();
+    renderForecastDrift();
+
     const current = pricePredictions[currentDay];
     if (current) {
         const priceEl = document.getElementById('price-value');
         const indicatorEl = document.getElementById('price-indicator');
-        if (priceEl) priceEl.textContent = Math.round(current.predictedPrice / 10);
+        if (priceEl) priceEl.textContent = formatPrice(toDisplayDayPrice(current));
         if (indicatorEl) {
             indicatorEl.classList.remove('low', 'high');
             if (current.priceLevel === 'LOW') indicatorEl.classList.add('low');
@@ -1102,18 +1885,173 @@ function renderPriceForecast() {
     }
 }
 
+// Price slots of a predicted day. Schema v2 entries carry ISO start/end at the
+// market time unit (15/30/60 min); older files only have 24 { hour, price }.
+function getPriceSlots(prediction) {
+    return (prediction.hourlyPredictions || []).map(h => ({
+        hour: h.hour,
+        start: h.start ? new Date(h.start) : null,
+        price: h.price,
+        p10: h.p10,
+        p50: h.p50,
+        p90: h.p90
+    }));
+}
+
+// Prediction intervals (P10/P50/P90); files from before they existed have none
+function hasPriceBand(p) {
+    return typeof p.p10 === 'number' && typeof p.p90 === 'number';
+}
+
+// Common price axis for a set of forecasts, including their bands and zero
+function getBandScale(items) {
+    const lows = items.map(p => (hasPriceBand(p) ? p.p10 : p.predictedPrice ?? p.price));
+    const highs = items.map(p => (hasPriceBand(p) ? p.p90 : p.predictedPrice ?? p.price));
+    const min = Math.min(0, ...lows);
+    const max = Math.max(min + 1, ...highs);
+    return { min, span: max - min };
+}
+
+// Horizontal P10–P90 band with a P50 tick for one day
+function renderBandBar(p, scale) {
+    if (!hasPriceBand(p)) return '';
+    const pct = value => ((value - scale.min) / scale.span * 100).toFixed(1);
+    const mid = p.p50 ?? p.predictedPrice;
+    return `<div class="price-band" title="P10 ${p.p10.toFixed(0)} · P50 ${mid.toFixed(0)} · P90 ${p.p90.toFixed(0)} €/MWh">
+            <span class="band" style="left:${pct(p.p10)}%;width:${(pct(p.p90) - pct(p.p10)).toFixed(1)}%"></span>
+            <span class="mid" style="left:${pct(mid)}%"></span>
+        </div>`;
+}
+
+function formatSlotTime(slot, timeZone) {
+    if (!slot.start) return `${String(slot.hour).padStart(2, '0')}:00`;
+    return slot.start.toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit', timeZone });
+}
+
+// Intraday price curve of the selected day, one bar per market time unit
+function renderPriceIntraday() {
+    const container = document.getElementById('price-intraday');
+    if (!container) return;
+
+    const prediction = pricePredictions[currentDay];
+    const slots = prediction ? getPriceSlots(prediction) : [];
+    container.hidden = slots.length === 0;
+    if (slots.length === 0) {
+        container.innerHTML = '';
+        return;
+    }
+
+    // Bars show the median; with intervals a light column spans P10–P90
+    const scale = getBandScale(slots);
+    const pct = value => Math.max(0, Math.min(100, (value - scale.min) / scale.span * 100)).toFixed(1);
+    const bars = slots.map((slot, i) => {
+        const active = slot.hour === currentHour ? ' active' : '';
+        const display = key => formatPrice(toDisplaySlotPrice(prediction, i, key));
+        let title = `${formatSlotTime(slot, prediction.timeZone)} · ${display('price')} ${isConsumerPrice() ? 'c/kWh' : '€/MWh'}`;
+        let band = '';
+        if (hasPriceBand(slot)) {
+            title += ` (P10 ${display('p10')} – P90 ${display('p90')})`;
+            band = `<span class="band" style="bottom:${pct(slot.p10)}%;height:${(pct(slot.p90) - pct(slot.p10)).toFixed(1)}%"></span>`;
+        }
+        return `<span class="price-bar${active}" title="${title}">${band}<span class="bar" style="height:${Math.max(4, pct(slot.price))}%"></span></span>`;
+    }).join('');
+
+    container.innerHTML = `<div class="price-intraday-bars">${bars}</div>
+        <div class="price-intraday-axis">
+            <span>${formatSlotTime(slots[0], prediction.timeZone)}</span>
+            <span>${slots.length} × ${prediction.resolution || 60} min</span>
+        </div>`;
+}
+
+// Forecast drift: the selected day as forecast by the latest runs, from
+// the vintages kept by price-prediction.js (/api/vintages)
+const DRIFT_RUNS = 4;
+const driftVintages = new Map();
+
+function setupForecastDrift() {
+    const section = document.getElementById('price-drift');
+    if (section) section.addEventListener('toggle', () => renderForecastDrift());
+}
+
+// Latest prediction runs of a zone, newest first; fetched once per zone
+function loadDriftVintages(zone) {
+    if (!driftVintages.has(zone)) {
+        const load = async () => {
+            const response = await fetch(`/api/vintages/predictions?limit=${DRIFT_RUNS}`);
+            if (!response.ok) return [];
+            const { vintages } = await response.json();
+            const runs = await Promise.all(vintages.map(async v => {
+                const run = await fetch(`/api/vintages/predictions/${v.id}?area=${zone}`);
+                return run.ok ? run.json() : null;
+            }));
+            return runs.filter(Boolean);
+        };
+        driftVintages.set(zone, load().catch(() => []));
+    }
+    return driftVintages.get(zone);
+}
+
+// Wholesale curve of a day in a vintage; runs without slots are flat.
+// Drift is shown in €/MWh whatever the price unit: /api/consumer-prices
+// only covers the current run.
+function getVintageCurve(day) {
+    if (!day.start || !day.prices?.length) {
+        return [{ t: 0, value: day.predictedPrice }, { t: 1, value: day.predictedPrice }];
+    }
+    return day.prices.map((price, i) => ({ t: i / day.prices.length, value: price }));
+}
+
+async function renderForecastDrift() {
+    const section = document.getElementById('price-drift');
+    const body = document.getElementById('price-drift-body');
+    const prediction = pricePredictions[currentDay];
+    if (!section?.open || !body || !prediction) return;
+
+    const zone = priceZone;
+    const runs = await loadDriftVintages(zone);
+    // The selection may have changed while loading
+    if (zone !== priceZone || prediction !== pricePredictions[currentDay]) return;
+
+    const forecasts = runs
+        .map(run => ({ generated: run.generated, day: run.predictions.find(p => p.date === prediction.date) }))
+        .filter(f => f.day)
+        .reverse();
+    if (forecasts.length === 0) {
+        body.innerHTML = '<div class="skill-note">No stored forecast runs for this day yet.</div>';
+        return;
+    }
+
+    const curves = forecasts.map(f => getVintageCurve(f.day));
+    const values = curves.flat().map(point => point.value);
+    const min = Math.min(...values);
+    const span = Math.max(Math.max(...values) - min, 1e-6);
+    const lines = curves.map((curve, i) => {
+        const newest = i === curves.length - 1;
+        const points = curve.map(p => `${(p.t * 240).toFixed(1)},${(56 - (p.value - min) / span * 52).toFixed(1)}`).join(' ');
+        return `<polyline class="drift-line${newest ? ' newest' : ''}" style="opacity:${(0.35 + 0.65 * (i + 1) / curves.length).toFixed(2)}" points="${points}"></polyline>`;
+    }).join('');
+
+    const rows = forecasts.map((f, i) => {
+        const level = f.day.predictedPrice;
+        const previous = i > 0 ? forecasts[i - 1].day.predictedPrice : null;
+        const change = previous === null ? '' : ` (${level >= previous ? '+' : ''}${Math.round(level - previous)})`;
+        const run = new Date(f.generated).toLocaleString('en-GB', { weekday: 'short', hour: '2-digit', minute: '2-digit' });
+        return `<li><span>Run ${run}</span><span>${Math.round(level)} €/MWh${change}</span></li>`;
+    }).reverse().join('');
+
+    body.innerHTML = `<svg class="drift-chart" viewBox="0 0 240 60" preserveAspectRatio="none">${lines}</svg>
+        <ul class="drift-runs">${rows}</ul>
+        <div class="skill-note">${prediction.dayName} as forecast by the last ${forecasts.length} runs; darker is newer.</div>`;
+}
+
 async function setDay(day) {
     currentDay = day;
     document.getElementById('day-slider').value = day;
     document.getElementById('day-label').textContent = dayNames[day];
+    document.getElementById('hour-label').textContent = getHourLabel();
     updateVisualization();
     renderPriceForecast();
     await updateDashboardMetrics();
-    
-    // Notify server
-    if (socket) {
-        socket.emit('changeDay', day);
-    }
 }
 
 // ============ TURBINE FUNCTIONS ============
@@ -1276,6 +2214,86 @@ function addTurbineSources() {
             'text-color': '#1e293b'
         }
     });
+    
+    map.on('click', 'turbine-points', (e) => showTurbinePopup(e.features[0]));
+    map.on('mouseenter', 'turbine-points', () => {
+        map.getCanvas().style.cursor = 'pointer';
+    });
+    map.on('mouseleave', 'turbine-points', () => {
+        map.getCanvas().style.cursor = '';
+    });
+}
+
+// ============ WIND PRODUCTION ============
+
+let productionData = null;
+let productionTimes = [];
+
+async function fetchProductionData() {
+    try {
+        const response = await fetch('/data/wind-production.json');
+        if (response.ok) {
+            productionData = await response.json();
+            productionTimes = (productionData.times || []).map(t => Date.parse(t));
+            console.log(`⚡ Loaded production estimate for ${productionData.farms.length} wind farms`);
+        }
+    } catch (e) {
+        console.log('No production estimate available');
+        productionData = null;
+    }
+}
+
+// Production time step for the selected day/hour. Older estimates are daily,
+// so allow snapping up to half a day.
+function getProductionIndex() {
+    return findNearestTimeIndex(productionTimes, currentDay, currentHour, 12 * 60 * 60 * 1000);
+}
+
+function getFarmProduction(name) {
+    const index = getProductionIndex();
+    const farm = productionData?.farms.find(f => f.name === name);
+    if (!farm || index === -1) return null;
+    
+    return { ...farm, outputMW: farm.output[index] };
+}
+
+function updateProductionMetrics() {
+    const powerEl = document.getElementById('wind-power');
+    const factorEl = document.getElementById('wind-capacity-factor');
+    const index = getProductionIndex();
+    
+    if (!powerEl || !factorEl) return;
+    if (!productionData || index === -1) {
+        powerEl.textContent = '--';
+        factorEl.textContent = '--';
+        return;
+    }
+    
+    const { capacityMW, output } = productionData.total;
+    const mw = output[index];
+    powerEl.textContent = typeof mw === 'number' ? Math.round(mw) : '--';
+    factorEl.textContent = typeof mw === 'number' && capacityMW > 0 ? Math.round(mw / capacityMW * 100) : '--';
+}
+
+function showTurbinePopup(feature) {
+    const { name, count, type } = feature.properties;
+    const production = getFarmProduction(name);
+    const hasCapacity = production?.capacityMW > 0;
+    // Null output: no wind data for this hour
+    const hasOutput = typeof production?.outputMW === 'number';
+    const outputHtml = production
+        ? `<div>Expected output: <strong>${hasOutput ? production.outputMW.toFixed(1) : '--'} MW</strong></div>
+           <div>Capacity: ${hasCapacity ? production.capacityMW : '--'} MW (${hasCapacity && hasOutput ? Math.round(production.outputMW / production.capacityMW * 100) : '--'}%)</div>`
+        : '<div>No production estimate</div>';
+    
+    new maplibregl.Popup({ offset: 20 })
+        .setLngLat(feature.geometry.coordinates.slice())
+        .setHTML(`<div class="turbine-popup">
+            <strong>${name}</strong>
+            <div>${count} turbines, ${type}</div>
+            ${outputHtml}
+        </div>`)
+        .addTo(map);
 }
 
 function updateTurbineVisualization() {
@@ -1345,6 +2363,9 @@ function togglePanels() {
 // Initialize on DOM load
 document.addEventListener('DOMContentLoaded', () => {
     init();
-    loadPricePredictions();
+    loadPricePredictions().then(loadTariffs);
+    loadBacktestReport();
+    setupUsagePlanner();
+    setupForecastDrift();
     initTogglePanels();
 });
@@ -0,0 +1,349 @@
+/**
+ * WindPowers - Animated wind particles
+ *
+ * A MapLibre custom layer in the style of earth.nullschool.net: particles
+ * drift with the wind and leave fading trails. The wind field is a regular
+ * grid of u/v components built from the points the map shows (setPoints),
+ * interpolated bilinearly; particles that leave the view or the field, or
+ * grow old, respawn at a random spot in view.
+ *
+ * Particles move on the CPU in Web Mercator units and are drawn as line
+ * segments through their last positions, so trails stay put when the map
+ * pans. The animation stops while the tab is hidden.
+ *
+ * Loaded before app.js; Node can require it for the tests.
+ */
+
+const PARTICLE_TRAIL = 8; // positions kept per particle
+const PARTICLE_MAX_AGE = 90; // frames before a particle respawns
+const PARTICLE_PIXELS = 1.2; // screen pixels per frame at 10 m/s, speed 1
+const WORLD_PIXELS = 512; // MapLibre world size at zoom 0
+
+/**
+ * Wind field from grid points with windSpeed (m/s) and windDirection
+ * (degrees the wind comes from); null with fewer than two rows or columns.
+ * @param {Array<{lat: number, lon: number, windSpeed: number, windDirection: number}>} points
+ */
+function createWindField(points) {
+    const valid = points.filter(p => Number.isFinite(p.windSpeed) && Number.isFinite(p.windDirection));
+    const unique = values => [...new Set(values)].sort((a, b) => a - b);
+    const lats = unique(valid.map(p => p.lat));
+    const lons = unique(valid.map(p => p.lon));
+    if (lats.length < 2 || lons.length < 2) return null;
+
+    const minStep = values => values.slice(1).reduce((step, v, i) => Math.min(step, v - values[i]), Infinity);
+    const step = Math.min(minStep(lats), minStep(lons));
+    const south = lats[0];
+    const west = lons[0];
+    const rows = Math.round((lats[lats.length - 1] - south) / step) + 1;
+    const cols = Math.round((lons[lons.length - 1] - west) / step) + 1;
+    const u = new Float32Array(rows * cols).fill(NaN);
+    const v = new Float32Array(rows * cols).fill(NaN);
+
+    valid.forEach(p => {
+        const index = Math.round((p.lat - south) / step) * cols + Math.round((p.lon - west) / step);
+        const radians = p.windDirection * Math.PI / 180;
+        u[index] = -p.windSpeed * Math.sin(radians);
+        v[index] = -p.windSpeed * Math.cos(radians);
+    });
+
+    return {
+        south,
+        west,
+        north: south + (rows - 1) * step,
+        east: west + (cols - 1) * step,
+        step,
+        rows,
+        cols,
+        u,
+        v
+    };
+}
+
+/**
+ * Wind at a coordinate as [u, v] in m/s (towards east and north), blended
+ * from the corners of its cell that have data; null outside the field.
+ */
+function sampleWindField(field, lon, lat) {
+    const x = (lon - field.west) / field.step;
+    const y = (lat - field.south) / field.step;
+    if (!(x >= 0 && y >= 0 && x <= field.cols - 1 && y <= field.rows - 1)) return null;
+
+    const c0 = Math.min(Math.floor(x), field.cols - 2);
+    const r0 = Math.min(Math.floor(y), field.rows - 2);
+    const fx = x - c0;
+    const fy = y - r0;
+    let u = 0;
+    let v = 0;
+    let weight = 0;
+    [[0, 0, (1 - fx) * (1 - fy)], [1, 0, fx * (1 - fy)], [0, 1, (1 - fx) * fy], [1, 1, fx * fy]].forEach(([dc, dr, w]) => {
+        const index = (r0 + dr) * field.cols + c0 + dc;
+        if (w === 0 || Number.isNaN(field.u[index])) return;
+        u += field.u[index] * w;
+        v += field.v[index] * w;
+        weight += w;
+    });
+    // Mostly outside the data, e.g. over a gap in the grid
+    if (weight < 0.25) return null;
+    return [u / weight, v / weight];
+}
+
+const mercatorToLon = x => x * 360 - 180;
+const mercatorToLat = y => Math.atan(Math.sinh(Math.PI * (1 - 2 * y))) * 180 / Math.PI;
+const lonToMercator = lon => (lon + 180) / 360;
+const latToMercator = lat => (1 - Math.log(Math.tan(Math.PI / 4 + lat * Math.PI / 360)) / Math.PI) / 2;
+
+/**
+ * Particle positions and trails in Web Mercator units, without any drawing.
+ * @param {number} count
+ * @param {function(): number} [random]
+ */
+function createParticleSystem(count, random = Math.random) {
+    const x = new Float64Array(count);
+    const y = new Float64Array(count);
+    const age = new Uint16Array(count);
+    const strength = new Float32Array(count); // 0-1, from the wind speed
+    const trail = new Float64Array(count * PARTICLE_TRAIL * 2);
+    const trailLength = new Uint8Array(count);
+
+    // Random spot inside both the view and the field, retried a few times
+    // to land on data; otherwise parked until the next frame
+    function spawn(i, field, view) {
+        const west = Math.max(view.west, field.west);
+        const east = Math.min(view.east, field.east);
+        const south = Math.max(view.south, field.south);
+        const north = Math.min(view.north, field.north);
+        trailLength[i] = 0;
+        if (west >= east || south >= north) {
+            age[i] = PARTICLE_MAX_AGE;
+            return;
+        }
+        for (let attempt = 0; attempt < 5; attempt++) {
+            const lon = west + random() * (east - west);
+            const lat = south + random() * (north - south);
+            if (sampleWindField(field, lon, lat)) {
+                x[i] = lonToMercator(lon);
+                y[i] = latToMercator(lat);
+                // Staggered ages so particles do not respawn together
+                age[i] = Math.floor(random() * PARTICLE_MAX_AGE / 2);
+                return;
+            }
+        }
+        age[i] = PARTICLE_MAX_AGE;
+    }
+
+    /**
+     * Advance every particle one frame.
+     * @param {object} field - from createWindField
+     * @param {{west: number, south: number, east: number, north: number}} view - degrees
+     * @param {number} scale - Mercator units per frame per m/s
+     */
+    function step(field, view, scale) {
+        for (let i = 0; i < count; i++) {
+            if (age[i] >= PARTICLE_MAX_AGE) {
+                spawn(i, field, view);
+                if (age[i] >= PARTICLE_MAX_AGE) continue;
+            }
+
+            const lon = mercatorToLon(x[i]);
+            const lat = mercatorToLat(y[i]);
+            const wind = lon >= view.west && lon <= view.east && lat >= view.south && lat <= view.north
+                ? sampleWindField(field, lon, lat)
+                : null;
+            if (!wind) {
+                age[i] = PARTICLE_MAX_AGE;
+                continue;
+            }
+
+            // Mercator y grows southwards
+            x[i] += wind[0] * scale;
+            y[i] -= wind[1] * scale;
+            strength[i] = Math.min(1, 0.3 + Math.hypot(wind[0], wind[1]) / 15);
+            age[i]++;
+
+            const offset = i * PARTICLE_TRAIL * 2;
+            const length = trailLength[i];
+            if (length === PARTICLE_TRAIL) {
+                trail.copyWithin(offset, offset + 2, offset + PARTICLE_TRAIL * 2);
+            } else {
+                trailLength[i] = length + 1;
+            }
+            const end = offset + (trailLength[i] - 1) * 2;
+            trail[end] = x[i];
+            trail[end + 1] = y[i];
+        }
+    }
+
+    // Trails as GL line segments: x, y, alpha per vertex; returns the
+    // number of vertices written
+    function writeSegments(vertices) {
+        let n = 0;
+        for (let i = 0; i < count; i++) {
+            const offset = i * PARTICLE_TRAIL * 2;
+            const length = trailLength[i];
+            for (let k = 1; k < length; k++) {
+                const fade = strength[i] * k / (PARTICLE_TRAIL - 1);
+                const at = n * 3;
+                vertices[at] = trail[offset + (k - 1) * 2];
+                vertices[at + 1] = trail[offset + (k - 1) * 2 + 1];
+                vertices[at + 2] = fade;
+                vertices[at + 3] = trail[offset + k * 2];
+                vertices[at + 4] = trail[offset + k * 2 + 1];
+                vertices[at + 5] = fade;
+                n += 2;
+            }
+        }
+        return n;
+    }
+
+    function reset() {
+        age.fill(PARTICLE_MAX_AGE);
+        trailLength.fill(0);
+    }
+
+    reset();
+    return { count, x, y, trailLength, step, writeSegments, reset };
+}
+
+const PARTICLE_VERTEX_SHADER = `
+    uniform mat4 u_matrix;
+    attribute vec2 a_pos;
+    attribute float a_alpha;
+    varying float v_alpha;
+    void main() {
+        gl_Position = u_matrix * vec4(a_pos, 0.0, 1.0);
+        v_alpha = a_alpha;
+    }`;
+
+const PARTICLE_FRAGMENT_SHADER = `
+    precision mediump float;
+    uniform vec3 u_color;
+    varying float v_alpha;
+    void main() {
+        gl_FragColor = vec4(u_color * v_alpha, v_alpha);
+    }`;
+
+function compileShader(gl, type, source) {
+    const shader = gl.createShader(type);
+    gl.shaderSource(shader, source);
+    gl.compileShader(shader);
+    if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+        throw new Error(gl.getShaderInfoLog(shader));
+    }
+    return shader;
+}
+
+/**
+ * MapLibre custom layer animating particles through the wind field.
+ * @param {{id?: string, count?: number, speed?: number, color?: number[]}} [options]
+ *   color is RGB 0-255; speed multiplies the drift rate
+ */
+function createWindParticleLayer({ id = 'wind-particles', count = 3000, speed = 1, color = [30, 64, 175] } = {}) {
+    let map = null;
+    let program = null;
+    let buffer = null;
+    let field = null;
+    let particles = createParticleSystem(count);
+    let vertices = new Float32Array(count * (PARTICLE_TRAIL - 1) * 6);
+    let lastFrame = 0;
+
+    const running = () => !document.hidden && field !== null;
+
+    function onVisibilityChange() {
+        // Old trails would jump across the map after a long pause
+        if (!document.hidden) {
+            particles.reset();
+            lastFrame = 0;
+        }
+        if (map) map.triggerRepaint();
+    }
+
+    function getView() {
+        const bounds = map.getBounds();
+        return { west: bounds.getWest(), south: bounds.getSouth(), east: bounds.getEast(), north: bounds.getNorth() };
+    }
+
+    return {
+        id,
+        type: 'custom',
+        renderingMode: '2d',
+
+        onAdd(mapInstance, gl) {
+            map = mapInstance;
+            program = gl.createProgram();
+            gl.attachShader(program, compileShader(gl, gl.VERTEX_SHADER, PARTICLE_VERTEX_SHADER));
+            gl.attachShader(program, compileShader(gl, gl.FRAGMENT_SHADER, PARTICLE_FRAGMENT_SHADER));
+            gl.linkProgram(program);
+            if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+                throw new Error(gl.getProgramInfoLog(program));
+            }
+            buffer = gl.createBuffer();
+            document.addEventListener('visibilitychange', onVisibilityChange);
+        },
+
+        onRemove(mapInstance, gl) {
+            document.removeEventListener('visibilitychange', onVisibilityChange);
+            gl.deleteBuffer(buffer);
+            gl.deleteProgram(program);
+            map = null;
+        },
+
+        render(gl, matrix) {
+            if (!field) return;
+
+            if (running()) {
+                // Same pixel speed at every zoom and frame rate
+                const now = performance.now();
+                const frames = lastFrame ? Math.min(3, (now - lastFrame) / (1000 / 60)) : 1;
+                lastFrame = now;
+                const scale = PARTICLE_PIXELS / 10 * speed * frames / (WORLD_PIXELS * 2 ** map.getZoom());
+                particles.step(field, getView(), scale);
+            } else {
+                lastFrame = 0;
+            }
+
+            const n = particles.writeSegments(vertices);
+            if (n > 0) {
+                gl.useProgram(program);
+                gl.uniformMatrix4fv(gl.getUniformLocation(program, 'u_matrix'), false, matrix);
+                gl.uniform3f(gl.getUniformLocation(program, 'u_color'), color[0] / 255, color[1] / 255, color[2] / 255);
+                gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+                gl.bufferData(gl.ARRAY_BUFFER, vertices.subarray(0, n * 3), gl.DYNAMIC_DRAW);
+
+                const position = gl.getAttribLocation(program, 'a_pos');
+                const alpha = gl.getAttribLocation(program, 'a_alpha');
+                gl.enableVertexAttribArray(position);
+                gl.vertexAttribPointer(position, 2, gl.FLOAT, false, 12, 0);
+                gl.enableVertexAttribArray(alpha);
+                gl.vertexAttribPointer(alpha, 1, gl.FLOAT, false, 12, 8);
+
+                gl.enable(gl.BLEND);
+                gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+                gl.drawArrays(gl.LINES, 0, n);
+            }
+
+            if (running()) map.triggerRepaint();
+        },
+
+        // Grid points of the selected day and hour; particles carry on through the new field
+        setPoints(points) {
+            field = createWindField(points);
+            if (map) map.triggerRepaint();
+        },
+
+        setCount(value) {
+            count = value;
+            particles = createParticleSystem(count);
+            vertices = new Float32Array(count * (PARTICLE_TRAIL - 1) * 6);
+            if (map) map.triggerRepaint();
+        },
+
+        setSpeed(value) {
+            speed = value;
+        }
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { createWindField, sampleWindField, createParticleSystem, createWindParticleLayer };
+}
@@ -0,0 +1,112 @@
+/**
+ * WindPowers - Historical weather backfill
+ *
+ * Imports historical weather into data/weather-archive/ so the price model
+ * has real weather for price days before the daily archive started.
+ *
+ * Usage: node scripts/backfill-weather.js <file.csv|file.json> [--overwrite]
+ *
+ * Input rows need a date (YYYY-MM-DD) or ISO `time`, `lat`, `lon`,
+ * `windSpeed` (10 m, m/s) and `temperature` (°C), optionally
+ * `precipitation` (mm). CSV files need a header row with those names; JSON
+ * files hold an array of row objects (or `{ "data": [...] }`), e.g. exported
+ * from ERA5 NetCDF. Several rows for the same day and point (hourly data)
+ * are averaged; precipitation is summed to a daily total.
+ *
+ * Imported days replace archived forecasts; existing imports are only
+ * replaced with --overwrite.
+ */
+
+const fs = require('fs');
+const { archiveDay, loadArchive } = require('./lib/weather-archive');
+
+const REQUIRED = ['lat', 'lon', 'windSpeed', 'temperature'];
+
+function parseCsv(text) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+    const header = lines.shift().split(',').map(h => h.trim());
+    return lines.map(line => {
+        const values = line.split(',').map(v => v.trim());
+        return Object.fromEntries(header.map((h, i) => [h, values[i]]));
+    });
+}
+
+function readRows(file) {
+    const text = fs.readFileSync(file, 'utf-8');
+    if (file.endsWith('.csv')) return parseCsv(text);
+    const json = JSON.parse(text);
+    return Array.isArray(json) ? json : (json.data || []);
+}
+
+// Daily means per date and point: Map of date -> rows in archive order
+function aggregateRows(rows) {
+    const byDay = new Map();
+    let skipped = 0;
+
+    rows.forEach(row => {
+        const date = String(row.date || row.time || '').slice(0, 10);
+        const values = REQUIRED.map(key => parseFloat(row[key]));
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || !values.every(Number.isFinite)) {
+            skipped++;
+            return;
+        }
+
+        const [lat, lon, windSpeed, temperature] = values;
+        const precipitation = parseFloat(row.precipitation);
+        if (!byDay.has(date)) byDay.set(date, new Map());
+        const key = `${lat},${lon}`;
+        const sum = byDay.get(date).get(key) || { lat, lon, windSpeed: 0, temperature: 0, precipitation: null, count: 0 };
+        sum.windSpeed += windSpeed;
+        sum.temperature += temperature;
+        if (Number.isFinite(precipitation)) sum.precipitation = (sum.precipitation || 0) + precipitation;
+        sum.count++;
+        byDay.get(date).set(key, sum);
+    });
+
+    const days = new Map();
+    [...byDay.keys()].sort().forEach(date => {
+        days.set(date, [...byDay.get(date).values()].map(s => [
+            s.lat,
+            s.lon,
+            Math.round(s.windSpeed / s.count * 10) / 10,
+            Math.round(s.temperature / s.count * 10) / 10,
+            s.precipitation === null ? null : Math.round(s.precipitation * 10) / 10
+        ]));
+    });
+    return { days, skipped };
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const file = args.find(a => !a.startsWith('--'));
+    if (!file) {
+        console.log('Usage: node scripts/backfill-weather.js <file.csv|file.json> [--overwrite]');
+        process.exitCode = 1;
+        return;
+    }
+
+    console.log('Weather Archive Backfill');
+    console.log('========================\n');
+
+    const { days, skipped } = aggregateRows(readRows(file));
+    if (skipped > 0) console.log(`Skipped ${skipped} rows without a valid date, position or value`);
+
+    let imported = 0;
+    days.forEach((rows, date) => {
+        if (archiveDay(date, rows, { source: 'import', overwrite: args.includes('--overwrite') })) {
+            imported++;
+        }
+    });
+
+    console.log(`Imported ${imported} of ${days.size} days from ${file}`);
+    console.log(`Archive now holds ${loadArchive().size} days`);
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error(error);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { parseCsv, aggregateRows };
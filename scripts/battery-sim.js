@@ -0,0 +1,99 @@
+/**
+ * WindPowers - Battery arbitrage simulator
+ *
+ * Runs the optimal charge/discharge schedule of a battery over a zone's
+ * day-ahead prices (nordpool-prices.json plus data/price-archive) and the
+ * forecast in price-predictions.json, and reports the profit per day.
+ * See scripts/lib/battery.js for the model. Usage:
+ *   node scripts/battery-sim.js [--area=FI] [--capacity=13.5] [--power=5]
+ *       [--efficiency=0.9] [--degradation=30] [--from=2026-02-01] [--to=2026-02-10] [--json]
+ *
+ * Capacity is kWh, power kW and degradation €/MWh discharged. Without
+ * --from the whole history is simulated.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { planBattery } = require('./lib/battery');
+const { DEFAULT_AREA, getZone } = require('./lib/bidding-zones');
+const { loadPriceArchive, mergePriceHistory } = require('./lib/price-archive');
+const { getZonedParts } = require('./lib/time-zone');
+
+const DATA_DIR = path.join(__dirname, '../public/data');
+
+function readJson(file) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf-8'));
+    } catch (e) {
+        return null;
+    }
+}
+
+// Profit, charged and discharged energy per local day
+function summarizeByDay(schedule, timeZone) {
+    const days = new Map();
+    schedule.forEach(slot => {
+        const { date } = getZonedParts(slot.start, timeZone);
+        const day = days.get(date) || { date, profit: 0, chargedKwh: 0, dischargedKwh: 0, source: slot.source };
+        const energy = slot.gridKwh;
+        day.profit -= energy * slot.price / 1000;
+        if (energy > 0) day.chargedKwh += energy;
+        if (energy < 0) day.dischargedKwh -= energy;
+        if (day.source !== slot.source) day.source = 'mixed';
+        days.set(date, day);
+    });
+    return [...days.values()];
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const option = (name, fallback) => {
+        const arg = args.find(a => a.startsWith(`--${name}=`));
+        return arg ? arg.slice(name.length + 3) : fallback;
+    };
+    const area = option('area', DEFAULT_AREA).toUpperCase();
+    const { timeZone } = getZone(area);
+    const battery = {
+        capacityKwh: Number(option('capacity', 13.5)),
+        powerKw: Number(option('power', 5)),
+        efficiency: Number(option('efficiency', 0.9)),
+        degradationCost: Number(option('degradation', 30))
+    };
+    const from = new Date(option('from', 0));
+    const to = option('to') ? new Date(option('to')) : null;
+
+    const priceFile = readJson(path.join(DATA_DIR, 'nordpool-prices.json'));
+    const priceData = { data: mergePriceHistory(loadPriceArchive(), priceFile?.data || []) };
+    const predictionData = readJson(path.join(DATA_DIR, 'price-predictions.json'));
+
+    const plan = planBattery(area, priceData, predictionData, { from, to, ...battery });
+    if (!plan) {
+        console.log(`No prices for ${area} in the requested window.`);
+        process.exitCode = 1;
+        return;
+    }
+
+    if (args.includes('--json')) {
+        console.log(JSON.stringify(plan, null, 2));
+        return;
+    }
+
+    console.log(`🔋 Battery arbitrage ${area}: ${battery.capacityKwh} kWh / ${battery.powerKw} kW, ` +
+        `${Math.round(battery.efficiency * 100)}% round trip, wear ${battery.degradationCost} €/MWh`);
+    console.log(`   ${plan.from} → ${plan.to}\n`);
+    console.log('Date        Source      Charged kWh  Discharged kWh  Arbitrage €');
+    summarizeByDay(plan.schedule, timeZone).forEach(day => {
+        console.log(`${day.date}  ${day.source.padEnd(10)}  ${day.chargedKwh.toFixed(1).padStart(11)}  ` +
+            `${day.dischargedKwh.toFixed(1).padStart(14)}  ${day.profit.toFixed(2).padStart(11)}`);
+    });
+
+    console.log(`\nProfit: ${plan.profit.toFixed(2)} € after ${plan.degradationCost.toFixed(2)} € wear ` +
+        `(${plan.cycles} full cycles)`);
+    Object.entries(plan.profitBySource).forEach(([source, profit]) => {
+        console.log(`   ${source}: ${profit.toFixed(2)} €`);
+    });
+}
+
+if (require.main === module) {
+    main().catch(console.error);
+}
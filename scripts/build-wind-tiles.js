@@ -0,0 +1,28 @@
+/**
+ * WindPowers - Wind tile builder
+ *
+ * Cuts public/data/wind-data.json into the binary per-day tiles the map
+ * loads (see scripts/lib/wind-tiles.js). The tiles are not committed; the
+ * deploy builds them with this script, and fetch-wind-data.js writes them
+ * after every local run. Usage:
+ *   npm run build
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { TILE_DIR, writeWindTiles } = require('./lib/wind-tiles');
+
+const WIND_FILE = path.join(__dirname, '../public/data/wind-data.json');
+
+async function main() {
+    if (!fs.existsSync(WIND_FILE)) {
+        throw new Error(`${WIND_FILE} not found; run npm run fetch-data first`);
+    }
+    const windData = JSON.parse(fs.readFileSync(WIND_FILE, 'utf-8'));
+    const { run, tileCount, bytes } = writeWindTiles(windData);
+    console.log(`Wrote ${tileCount} tiles (${Math.round(bytes / 1024)} KB) of run ${run} to ${TILE_DIR}`);
+}
+
+if (require.main === module) {
+    main().catch(console.error);
+}
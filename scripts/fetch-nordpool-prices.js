@@ -1,54 +1,33 @@
 /**
- * WindPowers - Nordpool Electricity Price Fetcher
+ * WindPowers - Day-ahead Electricity Price Fetcher
  * 
- * Nordpool API for day-ahead prices
- * Registration required: https://www.nordpoolgroup.com/
+ * Fetches day-ahead prices through a pluggable provider
+ * (see scripts/price-providers/):
+ *   PRICE_PROVIDER=nordpool  Nordpool Data Portal (default, no auth)
+ *   PRICE_PROVIDER=entsoe    ENTSO-E Transparency Platform (ENTSOE_API_TOKEN required)
+ *   PRICE_PROVIDER=sample    Random development data
  * 
- * Finland = FI zone
+ * Falls back to sample data when the provider fails.
+ * 
+ * Records are stored per bidding zone (`area` field) for every zone in
+ * CONFIG.areas; zone metadata lives in config/bidding-zones.json.
+ * 
+ * Schema v2 records carry ISO start/end intervals at the market time unit
+ * (15/30/60 min) instead of 24 fixed hours; see scripts/lib/price-records.js.
  */
 
-const https = require('https');
 const fs = require('fs');
 const path = require('path');
+const { getProvider, PROVIDERS } = require('./price-providers');
+const { archivePrices } = require('./lib/price-archive');
 
 const CONFIG = {
-    // Nordpool API endpoint (public data available without auth)
-    apiUrl: 'https://www.nordpoolgroup.com/api/marketdata/page/10',
     outputFile: path.join(__dirname, '../public/data/nordpool-prices.json'),
-    areas: ['FI', 'SE1', 'SE2', 'SE3', 'SE4', 'NO1', 'NO2', 'NO3', 'NO4', 'NO5', 'DK1', 'DK2']
+    areas: ['FI', 'SE1', 'SE2', 'SE3', 'SE4', 'NO1', 'NO2', 'NO3', 'NO4', 'NO5', 'DK1', 'DK2'],
+    historyDays: 30
 };
 
-// Fetch data from Nordpool
-function fetchNordpoolData() {
-    return new Promise((resolve, reject) => {
-        const today = new Date();
-        const endDate = today.toISOString().split('T')[0];
-        const startDate = new Date(today - 30 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
-        
-        const url = `${CONFIG.apiUrl}?currency=EUR&endDate=${endDate}&startDate=${startDate}`;
-        
-        https.get(url, {
-            headers: {
-                'User-Agent': 'WindPowers/1.0',
-                'Accept': 'application/json'
-            }
-        }, (res) => {
-            let data = '';
-            res.on('data', chunk => data += chunk);
-            res.on('end', () => {
-                try {
-                    resolve(JSON.parse(data));
-                } catch (e) {
-                    // Nordpool might require authentication or different endpoint
-                    console.log('Note: Nordpool public API may have limitations');
-                    resolve(null);
-                }
-            });
-        }).on('error', reject);
-    });
-}
-
-// Validate Nordpool API response: must be an array of records with date and price info
+// Validate provider output: must be an array of records with date and price info
 function validatePriceData(raw) {
     if (!raw || typeof raw !== 'object') return null;
     const arr = Array.isArray(raw) ? raw : (raw.data || raw.rows || raw.values);
@@ -57,88 +36,48 @@ function validatePriceData(raw) {
     const hasDate = first && (first.date || first.Date || first.startTime);
     const hasPrice = first && (
         typeof (first.avgPrice ?? first.value ?? first.price) === 'number' ||
+        (Array.isArray(first.prices) && first.prices.length > 0) ||
         (Array.isArray(first.hourlyPrices) && first.hourlyPrices.length > 0)
     );
     if (!hasDate || !hasPrice) return null;
     return arr;
 }
 
-// Alternative: Use ENTSO-E Transparency Platform (free with registration)
-// https://transparency.entsoe.eu/
-async function fetchEntsoeData(apiKey) {
-    // ENTSO-E provides free electricity data for Europe
-    // Register at: https://transparency.entsoe.eu/
-    console.log('ENTSO-E integration: API key required');
-    console.log('Register at: https://transparency.entsoe.eu/');
-    return null;
-}
-
-// Generate sample price data for development
-function generateSamplePrices() {
-    const prices = [];
+// Last `historyDays` days plus tomorrow, padded a day on each side so local
+// days that straddle UTC midnight are complete
+function getFetchRange() {
     const now = new Date();
-    
-    // Generate 30 days of historical + today
-    for (let day = -30; day <= 0; day++) {
-        const date = new Date(now);
-        date.setDate(date.getDate() + day);
-        
-        // Generate hourly prices
-        const hourlyPrices = [];
-        for (let hour = 0; hour < 24; hour++) {
-            // Simulate price patterns
-            // Higher in morning (7-9) and evening (17-20)
-            // Lower at night
-            // Higher in winter, lower in summer
-            const month = date.getMonth();
-            const isWinter = month >= 10 || month <= 2;
-            
-            let basePrice = isWinter ? 80 : 40; // EUR/MWh
-            
-            // Time of day effect
-            if (hour >= 7 && hour <= 9) basePrice *= 1.5;
-            else if (hour >= 17 && hour <= 20) basePrice *= 1.8;
-            else if (hour >= 0 && hour <= 5) basePrice *= 0.5;
-            
-            // Add randomness
-            const price = Math.max(0, basePrice + (Math.random() - 0.5) * 40);
-            
-            hourlyPrices.push({
-                hour,
-                price: Math.round(price * 100) / 100
-            });
-        }
-        
-        prices.push({
-            date: date.toISOString().split('T')[0],
-            area: 'FI',
-            hourlyPrices,
-            avgPrice: hourlyPrices.reduce((sum, h) => sum + h.price, 0) / 24,
-            maxPrice: Math.max(...hourlyPrices.map(h => h.price)),
-            minPrice: Math.min(...hourlyPrices.map(h => h.price))
-        });
-    }
-    
-    return prices;
+    const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() - CONFIG.historyDays - 1));
+    const end = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 2));
+    return { start, end };
 }
 
 async function main() {
-    console.log('Nordpool Price Fetcher');
-    console.log('======================\n');
+    console.log('Day-ahead Price Fetcher');
+    console.log('=======================\n');
+    
+    const provider = getProvider();
+    const { start, end } = getFetchRange();
+    const areas = CONFIG.areas;
     
-    // Try fetching real data
-    console.log('Attempting to fetch Nordpool data...');
-    const raw = await fetchNordpoolData();
-    const validated = validatePriceData(raw);
-    const data = validated || generateSamplePrices();
-    if (!validated) {
-        if (raw != null) console.log('API response invalid or unexpected shape; using sample data.');
-        else console.log('Using sample data for development');
+    console.log(`Fetching ${areas.join(', ')} prices from ${provider.name}...`);
+    let validated = null;
+    try {
+        validated = validatePriceData(await provider.fetchPrices({ areas, start, end }));
+        if (!validated) console.log('Provider returned no usable prices; using sample data.');
+    } catch (e) {
+        console.log(`${provider.name} fetch failed: ${e.message}`);
+        console.log('Using sample data for development');
     }
-    const source = validated ? 'nordpool' : 'sample';
+    
+    const data = validated || await PROVIDERS.sample.fetchPrices({ areas, start, end });
+    const source = validated ? provider.name : 'sample';
+    const present = new Set(data.map(r => r.area));
     const output = {
         generated: new Date().toISOString(),
         source,
+        schemaVersion: 2,
+        areas: areas.filter(area => present.has(area)),
         data
     };
 
@@ -147,10 +86,23 @@ async function main() {
         fs.mkdirSync(dir, { recursive: true });
     }
 
-    fs.writeFileSync(CONFIG.outputFile, JSON.stringify(output, null, 2));
+    // Compact: quarter-hour prices for every zone add up quickly
+    fs.writeFileSync(CONFIG.outputFile, JSON.stringify(output));
     console.log(`\nSaved to ${CONFIG.outputFile}`);
-    console.log(`Records: ${data.length} days`);
+    console.log(`Records: ${data.length} days across ${output.areas.length} zones`);
+    const missing = areas.filter(area => !present.has(area));
+    if (missing.length > 0) console.log(`No prices for: ${missing.join(', ')}`);
+    
+    // Keep real prices beyond the history window for training and backtests
+    if (source !== 'sample') {
+        const months = archivePrices(data);
+        console.log(`Archived prices into ${months} monthly file(s)`);
+    }
     console.log(`Source: ${output.source}`);
 }
 
-main().catch(console.error);
+if (require.main === module) {
+    main().catch(console.error);
+}
+
+module.exports = { validatePriceData };
@@ -4,12 +4,24 @@
  * 
  * API Docs: https://api.met.no/weatherapi/locationforecast/2.0/documentation
  * 
- * Usage: node scripts/fetch-wind-data.js
+ * Usage: node scripts/fetch-wind-data.js [--resume] [--concurrency=8] [--rps=10]
+ *
+ *   --resume         Continue a partial run from the checkpoint file
+ *   --concurrency=N  Parallel requests in flight (env FETCH_CONCURRENCY)
+ *   --rps=N          Request budget per second (env FETCH_RPS)
+ *
+ * Responses are cached per grid point with their Expires/Last-Modified
+ * headers, as the MET Norway terms of service ask: unexpired points are not
+ * requested at all, and stale ones are revalidated with If-Modified-Since.
  */
 
 const https = require('https');
 const fs = require('fs');
 const path = require('path');
+const { loadShearProfile, applyWindShear } = require('./lib/wind-shear');
+const { summarizeDay, archiveDay } = require('./lib/weather-archive');
+const { saveVintage, summarizeWindRun } = require('./lib/vintages');
+const { writeWindTiles } = require('./lib/wind-tiles');
 
 // Configuration
 const CONFIG = {
@@ -22,12 +34,20 @@ const CONFIG = {
     },
     gridResolution: 0.5,  // Degrees between points (0.5 = ~1500 points for smooth heatmap)
     outputFile: path.join(__dirname, '../public/data/wind-data.json'),
+    // Wind farm locations decide onshore/offshore shear for nearby grid points
+    turbineFile: path.join(__dirname, '../public/data/turbines-finland.json'),
+    // Progress of the current run, removed once the output is saved
+    checkpointFile: path.join(__dirname, '../public/data/.cache/wind-fetch-checkpoint.json'),
+    checkpointEvery: 50, // points
+    // Per-point HTTP cache: { "lat,lon": { expires, lastModified, timeseries } }
+    httpCacheFile: path.join(__dirname, '../public/data/.cache/met-no-http.json'),
     // yr.no requires a User-Agent
     userAgent: 'WindPowers/1.0 (https://github.com/leevi00100-png/windpowers)'
 };
 
 // Rate limiting (yr.no allows ~20 req/sec, we'll be conservative)
-const DELAY_BETWEEN_REQUESTS = 200; // ms
+const DEFAULT_CONCURRENCY = parseInt(process.env.FETCH_CONCURRENCY) || 8;
+const DEFAULT_REQUESTS_PER_SECOND = parseFloat(process.env.FETCH_RPS) || 10;
 const MAX_RETRIES = 3;
 
 // Generate grid points
@@ -48,8 +68,9 @@ function generateGridPoints() {
     return points;
 }
 
-// Fetch weather data from yr.no
-function fetchWeatherData(lat, lon) {
+// Fetch weather data from yr.no. Resolves { data, expires, lastModified };
+// data is null when the server answers 304 to If-Modified-Since.
+function fetchWeatherData(lat, lon, ifModifiedSince = null) {
     return new Promise((resolve, reject) => {
         const url = `https://api.met.no/weatherapi/locationforecast/2.0/compact?lat=${lat}&lon=${lon}`;
         
@@ -58,8 +79,22 @@ function fetchWeatherData(lat, lon) {
                 'User-Agent': CONFIG.userAgent
             }
         };
+        if (ifModifiedSince) {
+            options.headers['If-Modified-Since'] = ifModifiedSince;
+        }
         
         https.get(url, options, (res) => {
+            const cacheHeaders = {
+                expires: res.headers['expires'] || null,
+                lastModified: res.headers['last-modified'] || null
+            };
+            
+            if (res.statusCode === 304) {
+                res.resume();
+                resolve({ data: null, ...cacheHeaders });
+                return;
+            }
+            
             if (res.statusCode === 203) {
                 // Deprecated endpoint warning, but still works
                 console.warn('Warning: API endpoint may be deprecated');
@@ -74,7 +109,7 @@ function fetchWeatherData(lat, lon) {
             res.on('data', chunk => data += chunk);
             res.on('end', () => {
                 try {
-                    resolve(JSON.parse(data));
+                    resolve({ data: JSON.parse(data), ...cacheHeaders });
                 } catch (e) {
                     reject(new Error(`Invalid JSON for ${lat},${lon}`));
                 }
@@ -83,13 +118,38 @@ function fetchWeatherData(lat, lon) {
     });
 }
 
-// Parse yr.no response to extract wind data for 9 days
-function parseWeatherResponse(data) {
-    const forecasts = [];
+// Fields kept for every timeseries entry
+const SERIES_FIELDS = ['windSpeed', 'windDirection', 'temperature', 'humidity', 'precipitation'];
+
+// Precipitation rate (mm/h) for the period starting at an entry: hourly
+// entries have a 1-hour sum, 6-hourly ones only a 6-hour sum
+function parsePrecipitation(entry) {
+    const oneHour = entry.data?.next_1_hours?.details?.precipitation_amount;
+    if (typeof oneHour === 'number') return oneHour;
+    const sixHours = entry.data?.next_6_hours?.details?.precipitation_amount;
+    return typeof sixHours === 'number' ? Math.round(sixHours / 6 * 100) / 100 : null;
+}
+
+// Parse the full yr.no timeseries (hourly for ~2.5 days, then 6-hourly)
+function parseTimeseries(data) {
     const timeseries = data.properties?.timeseries || [];
     
-    // Get data for the next 9 days (at 12:00 each day)
-    const now = new Date();
+    return timeseries.map(entry => {
+        const instant = entry.data?.instant?.details || {};
+        return {
+            time: entry.time,
+            windSpeed: instant.wind_speed || 0,
+            windDirection: instant.wind_from_direction || 0,
+            temperature: instant.air_temperature || 0,
+            humidity: instant.relative_humidity || 50,
+            precipitation: parsePrecipitation(entry)
+        };
+    });
+}
+
+// Pick the entry closest to 12:00 for each of the next 9 days
+function buildDailyForecasts(entries, now = new Date()) {
+    const forecasts = [];
     const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
     
     for (let day = 0; day < 9; day++) {
@@ -101,9 +161,8 @@ function parseWeatherResponse(data) {
         let closest = null;
         let minDiff = Infinity;
         
-        for (const entry of timeseries) {
-            const entryDate = new Date(entry.time);
-            const diff = Math.abs(entryDate - targetDate);
+        for (const entry of entries) {
+            const diff = Math.abs(new Date(entry.time) - targetDate);
             
             if (diff < minDiff) {
                 minDiff = diff;
@@ -112,13 +171,13 @@ function parseWeatherResponse(data) {
         }
         
         if (closest) {
-            const instant = closest.data?.instant?.details || {};
             forecasts.push({
                 day,
-                windSpeed: instant.wind_speed || 0,
-                windDirection: instant.wind_from_direction || 0,
-                temperature: instant.air_temperature || 0,
-                humidity: instant.relative_humidity || 50
+                windSpeed: closest.windSpeed,
+                windDirection: closest.windDirection,
+                temperature: closest.temperature,
+                humidity: closest.humidity,
+                precipitation: closest.precipitation ?? null
             });
         }
     }
@@ -126,78 +185,298 @@ function parseWeatherResponse(data) {
     return forecasts;
 }
 
+// Parse yr.no response to extract wind data for 9 days (at 12:00 each day)
+function parseWeatherResponse(data, now = new Date()) {
+    return buildDailyForecasts(parseTimeseries(data), now);
+}
+
+// Align every point's timeseries to one shared time axis. Series are stored
+// column-wise ({ windSpeed: [...], ... }) with null where a point has no entry.
+function buildHourlySeries(results) {
+    const times = [...new Set(results.flatMap(r => r.timeseries.map(e => e.time)))].sort();
+    const timeIndex = new Map(times.map((time, i) => [time, i]));
+    
+    const data = results.map(({ lat, lon, forecasts, timeseries }) => {
+        const hourly = {};
+        SERIES_FIELDS.forEach(field => {
+            hourly[field] = new Array(times.length).fill(null);
+        });
+        
+        timeseries.forEach(entry => {
+            const i = timeIndex.get(entry.time);
+            // Entries cached before a field existed leave it null
+            SERIES_FIELDS.forEach(field => {
+                hourly[field][i] = entry[field] ?? null;
+            });
+        });
+        
+        return { lat, lon, forecasts, hourly };
+    });
+    
+    return { times, data };
+}
+
 // Delay helper
 function delay(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
 }
 
+// Spaces out request starts so the whole run stays within the budget,
+// however many workers are waiting
+function createRateLimiter(requestsPerSecond) {
+    const interval = 1000 / requestsPerSecond;
+    let nextSlot = 0;
+    
+    return async function acquire() {
+        const now = Date.now();
+        const wait = Math.max(0, nextSlot - now);
+        nextSlot = Math.max(now, nextSlot) + interval;
+        if (wait > 0) await delay(wait);
+    };
+}
+
+// Run worker over items with at most `concurrency` in flight
+async function runPool(items, concurrency, worker) {
+    let nextIndex = 0;
+    
+    const runners = Array.from({ length: Math.min(concurrency, items.length) }, async () => {
+        while (nextIndex < items.length) {
+            const i = nextIndex++;
+            await worker(items[i], i);
+        }
+    });
+    
+    await Promise.all(runners);
+}
+
+function pointKey(point) {
+    return `${point.lat},${point.lon}`;
+}
+
+function loadCheckpoint() {
+    try {
+        const checkpoint = JSON.parse(fs.readFileSync(CONFIG.checkpointFile, 'utf-8'));
+        if (checkpoint.gridResolution !== CONFIG.gridResolution) {
+            console.log('Checkpoint was made with a different grid, starting over');
+            return null;
+        }
+        return checkpoint;
+    } catch (e) {
+        return null;
+    }
+}
+
+// Write via a temp file so a crash mid-write never leaves a corrupt file
+function writeJsonAtomic(file, data) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmpFile = `${file}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(data));
+    fs.renameSync(tmpFile, file);
+}
+
+function saveCheckpoint(checkpoint) {
+    writeJsonAtomic(CONFIG.checkpointFile, checkpoint);
+}
+
+function removeCheckpoint() {
+    fs.rmSync(CONFIG.checkpointFile, { force: true });
+}
+
+function loadHttpCache() {
+    try {
+        return JSON.parse(fs.readFileSync(CONFIG.httpCacheFile, 'utf-8'));
+    } catch (e) {
+        return {};
+    }
+}
+
+function saveHttpCache(cache) {
+    writeJsonAtomic(CONFIG.httpCacheFile, cache);
+}
+
+// Fetch one point, retrying with backoff. Resolves { timeseries, outcome }
+// where outcome is 'refreshed', 'not-modified' or 'cached' (not requested).
+async function fetchPoint(point, acquire, cache = {}) {
+    const key = pointKey(point);
+    const cached = cache[key];
+    
+    if (cached && Date.parse(cached.expires) > Date.now()) {
+        return { timeseries: cached.timeseries, outcome: 'cached' };
+    }
+    
+    let retries = 0;
+    
+    while (true) {
+        try {
+            await acquire();
+            const response = await fetchWeatherData(point.lat, point.lon, cached?.lastModified);
+            
+            if (!response.data && cached) {
+                cache[key] = { ...cached, expires: response.expires || cached.expires };
+                return { timeseries: cached.timeseries, outcome: 'not-modified' };
+            }
+            if (!response.data) {
+                throw new Error(`Unexpected 304 for ${key} without a cached copy`);
+            }
+            
+            const timeseries = parseTimeseries(response.data);
+            cache[key] = {
+                expires: response.expires,
+                lastModified: response.lastModified,
+                timeseries
+            };
+            return { timeseries, outcome: 'refreshed' };
+        } catch (error) {
+            retries++;
+            if (retries >= MAX_RETRIES) throw error;
+            await delay(1000 * retries); // Exponential backoff
+        }
+    }
+}
+
 // Main fetch function
-async function fetchAllData() {
+async function fetchAllData(options = {}) {
+    const {
+        resume = false,
+        concurrency = DEFAULT_CONCURRENCY,
+        requestsPerSecond = DEFAULT_REQUESTS_PER_SECOND
+    } = options;
+    
     const points = generateGridPoints();
-    const results = [];
+    let checkpoint = resume ? loadCheckpoint() : null;
+    
+    if (resume && !checkpoint) {
+        console.log('No usable checkpoint found, starting a fresh run');
+    }
+    if (!checkpoint) {
+        checkpoint = {
+            startedAt: new Date().toISOString(),
+            gridResolution: CONFIG.gridResolution,
+            completed: {}
+        };
+    }
+    
+    const pending = points.filter(p => !checkpoint.completed[pointKey(p)]);
+    const acquire = createRateLimiter(requestsPerSecond);
+    const httpCache = loadHttpCache();
+    const outcomes = { refreshed: 0, 'not-modified': 0, cached: 0 };
+    let done = points.length - pending.length;
+    let sinceCheckpoint = 0;
     let success = 0;
     let failed = 0;
     
-    console.log(`Starting to fetch data for ${points.length} points...`);
-    console.log(`Estimated time: ${Math.round(points.length * DELAY_BETWEEN_REQUESTS / 60000)} minutes`);
+    if (done > 0) {
+        console.log(`Resuming run from ${checkpoint.startedAt}: ${done} points already fetched`);
+    }
+    console.log(`Starting to fetch data for ${pending.length} points (${concurrency} workers, ${requestsPerSecond} req/s)...`);
+    console.log(`Estimated time: ${Math.round(pending.length / requestsPerSecond / 60)} minutes`);
     
-    for (let i = 0; i < points.length; i++) {
-        const point = points[i];
+    await runPool(pending, concurrency, async (point) => {
+        try {
+            const { timeseries, outcome } = await fetchPoint(point, acquire, httpCache);
+            outcomes[outcome]++;
+            if (timeseries.length > 0) {
+                checkpoint.completed[pointKey(point)] = timeseries;
+                success++;
+            }
+        } catch (error) {
+            console.error(`Failed to fetch ${point.lat},${point.lon}: ${error.message}`);
+            failed++;
+        }
         
+        done++;
         // Progress update every 10 points
-        if (i % 10 === 0) {
-            console.log(`Progress: ${i}/${points.length} (${Math.round(i/points.length*100)}%)`);
+        if (done % 10 === 0) {
+            console.log(`Progress: ${done}/${points.length} (${Math.round(done/points.length*100)}%)`);
         }
         
-        let retries = 0;
-        while (retries < MAX_RETRIES) {
-            try {
-                const data = await fetchWeatherData(point.lat, point.lon);
-                const forecasts = parseWeatherResponse(data);
-                
-                if (forecasts.length > 0) {
-                    results.push({
-                        lat: point.lat,
-                        lon: point.lon,
-                        forecasts
-                    });
-                    success++;
-                }
-                break;
-            } catch (error) {
-                retries++;
-                if (retries >= MAX_RETRIES) {
-                    console.error(`Failed to fetch ${point.lat},${point.lon}: ${error.message}`);
-                    failed++;
-                } else {
-                    await delay(1000 * retries); // Exponential backoff
-                }
-            }
+        if (++sinceCheckpoint >= CONFIG.checkpointEvery) {
+            sinceCheckpoint = 0;
+            saveCheckpoint(checkpoint);
+            saveHttpCache(httpCache);
         }
-        
-        // Rate limiting
-        await delay(DELAY_BETWEEN_REQUESTS);
-    }
+    });
     
+    saveCheckpoint(checkpoint);
+    saveHttpCache(httpCache);
     console.log(`\nCompleted: ${success} success, ${failed} failed`);
-    return results;
+    console.log(`Refreshed: ${outcomes.refreshed}, not modified (304): ${outcomes['not-modified']}, unexpired cache: ${outcomes.cached}`);
+    
+    // Daily snapshots are derived at the end so resumed points share today's day index
+    const results = points
+        .filter(p => checkpoint.completed[pointKey(p)])
+        .map(p => {
+            const timeseries = checkpoint.completed[pointKey(p)];
+            return {
+                lat: p.lat,
+                lon: p.lon,
+                forecasts: buildDailyForecasts(timeseries),
+                timeseries
+            };
+        });
+    
+    return { results, complete: results.length === points.length };
+}
+
+function loadTurbines() {
+    try {
+        return JSON.parse(fs.readFileSync(CONFIG.turbineFile, 'utf-8')).turbines || [];
+    } catch (e) {
+        console.warn('No turbine data; using the default terrain for every point');
+        return [];
+    }
 }
 
 // Save data to file
-function saveData(data) {
+function saveData(results) {
     const dir = path.dirname(CONFIG.outputFile);
     if (!fs.existsSync(dir)) {
         fs.mkdirSync(dir, { recursive: true });
     }
     
+    const { times, data } = buildHourlySeries(results);
+    
+    // Hub-height speeds alongside the 10 m values
+    const shearProfile = loadShearProfile();
+    const turbines = loadTurbines();
+    data.forEach(point => applyWindShear(point, turbines, shearProfile));
+    
     const output = {
         generated: new Date().toISOString(),
+        schemaVersion: 2,
         pointCount: data.length,
+        windShear: shearProfile,
+        times,
         data
     };
     
-    fs.writeFileSync(CONFIG.outputFile, JSON.stringify(output, null, 2));
+    // Written without indentation: the hourly series would otherwise
+    // put every number on its own line and blow the file up tenfold
+    fs.writeFileSync(CONFIG.outputFile, JSON.stringify(output));
     console.log(`Saved ${data.length} points to ${CONFIG.outputFile}`);
+    
+    // Keep this run for forecast drift comparisons
+    const vintage = saveVintage('wind', summarizeWindRun(output.generated, times, data));
+    console.log(`Stored wind vintage ${vintage}`);
+    
+    // Per-day binary tiles for the map's first paint
+    const tiles = writeWindTiles(output);
+    console.log(`Wrote ${tiles.tileCount} wind tiles (${Math.round(tiles.bytes / 1024)} KB)`);
+    
+    archiveToday(times, data);
+}
+
+// Append today's weather to the historical archive the price model trains on
+function archiveToday(times, data) {
+    const date = new Date().toISOString().split('T')[0];
+    const rows = summarizeDay(data, times, date);
+    if (rows.length === 0) {
+        console.log(`No forecast hours for ${date}; weather archive unchanged`);
+    } else if (archiveDay(date, rows, { source: 'forecast' })) {
+        console.log(`Archived ${rows.length} points for ${date}`);
+    } else {
+        console.log(`Weather archive already holds imported data for ${date}; kept it`);
+    }
 }
 
 // Run
@@ -205,13 +484,46 @@ async function main() {
     console.log('WindPowers Data Fetcher');
     console.log('=======================\n');
     
+    const args = process.argv.slice(2);
+    const getArg = (name) => args.find(a => a.startsWith(`--${name}=`))?.split('=')[1];
+    
     const startTime = Date.now();
-    const data = await fetchAllData();
+    const { results, complete } = await fetchAllData({
+        resume: args.includes('--resume'),
+        concurrency: parseInt(getArg('concurrency')) || DEFAULT_CONCURRENCY,
+        requestsPerSecond: parseFloat(getArg('rps')) || DEFAULT_REQUESTS_PER_SECOND
+    });
     const duration = Math.round((Date.now() - startTime) / 1000);
     
     console.log(`\nTotal time: ${Math.floor(duration/60)}m ${duration%60}s`);
     
-    saveData(data);
+    if (results.length === 0) {
+        throw new Error('No points fetched; keeping the previous wind data (rerun with --resume)');
+    }
+    
+    saveData(results);
+    
+    // Keep the checkpoint while points are missing so --resume only refetches those
+    if (complete) {
+        removeCheckpoint();
+    } else {
+        console.log('Some points failed; run again with --resume to fill them in');
+    }
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error(error);
+        process.exitCode = 1;
+    });
 }
 
-main().catch(console.error);
+module.exports = {
+    parseTimeseries,
+    buildDailyForecasts,
+    parseWeatherResponse,
+    buildHourlySeries,
+    createRateLimiter,
+    runPool,
+    fetchPoint
+};
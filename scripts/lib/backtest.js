@@ -0,0 +1,130 @@
+/**
+ * WindPowers - Rolling-origin backtest
+ *
+ * Replays the forecast as if it had been run on every past day of the
+ * price history: for each origin day the model is fitted on the days
+ * before it only, then asked for the next `horizons` days, and every
+ * predicted hour is compared with the price that cleared. Two naive
+ * baselines are scored on exactly the same hours:
+ *
+ *   yesterday  the last known day (origin - 1) repeated, hour by hour
+ *   lastWeek   the same weekday and hour from the latest known week
+ *
+ * Errors are reported per forecast horizon (day 0-8) and per hour of day
+ * as MAE, RMSE and MAPE. MAPE skips hours with |price| < 1 €/MWh, where a
+ * percentage error is meaningless.
+ */
+
+const { addDays } = require('./time-zone');
+
+const METHODS = ['model', 'yesterday', 'lastWeek'];
+const MAPE_MIN_PRICE = 1;
+
+const round2 = value => Math.round(value * 100) / 100;
+
+function createAccumulator() {
+    return { n: 0, abs: 0, sq: 0, ape: 0, apeN: 0 };
+}
+
+function addError(acc, predicted, actual) {
+    const error = predicted - actual;
+    acc.n++;
+    acc.abs += Math.abs(error);
+    acc.sq += error * error;
+    if (Math.abs(actual) >= MAPE_MIN_PRICE) {
+        acc.ape += Math.abs(error / actual);
+        acc.apeN++;
+    }
+}
+
+function summarize(acc) {
+    if (acc.n === 0) return { n: 0, mae: null, rmse: null, mape: null };
+    return {
+        n: acc.n,
+        mae: round2(acc.abs / acc.n),
+        rmse: round2(Math.sqrt(acc.sq / acc.n)),
+        mape: acc.apeN > 0 ? round2(acc.ape / acc.apeN * 100) : null
+    };
+}
+
+function createBucket() {
+    return Object.fromEntries(METHODS.map(m => [m, createAccumulator()]));
+}
+
+function summarizeBucket(bucket) {
+    const result = Object.fromEntries(METHODS.map(m => [m, summarize(bucket[m])]));
+    // Skill > 0 means the model beats the baseline (1 - MAE ratio)
+    result.skill = Object.fromEntries(METHODS.slice(1).map(m => [
+        m,
+        result.model.mae !== null && result[m].mae > 0 ? round2(1 - result.model.mae / result[m].mae) : null
+    ]));
+    return result;
+}
+
+// Same weekday as `target`, from the most recent week before `origin`
+function lastWeekDate(target, origin) {
+    let date = addDays(target, -7);
+    while (date >= origin) date = addDays(date, -7);
+    return date;
+}
+
+/**
+ * @param {object} options
+ * @param {Map<string, Map<number, number>>} options.actuals - date -> (local hour -> price)
+ * @param {function(string[]): (function(string): Map<number, number>|null)|null} options.fit -
+ *        fitted on the dates before an origin; returns a predictor for a target date
+ * @param {number} [options.horizons=9]
+ * @param {number} [options.minTrainingDays=14]
+ */
+function rollingOriginBacktest({ actuals, fit, horizons = 9, minTrainingDays = 14 }) {
+    const dates = [...actuals.keys()].sort();
+    const byHorizon = Array.from({ length: horizons }, createBucket);
+    const byHour = Array.from({ length: 24 }, createBucket);
+    const overall = createBucket();
+    let origins = 0;
+
+    for (let i = minTrainingDays; i < dates.length; i++) {
+        const origin = dates[i];
+        const predict = fit(dates.slice(0, i));
+        const yesterday = actuals.get(addDays(origin, -1));
+        if (!predict || !yesterday) continue;
+        origins++;
+
+        for (let h = 0; h < horizons; h++) {
+            const target = addDays(origin, h);
+            const actual = actuals.get(target);
+            const predicted = actual && predict(target);
+            const lastWeek = actuals.get(lastWeekDate(target, origin));
+            if (!actual || !predicted || !lastWeek) continue;
+
+            actual.forEach((price, hour) => {
+                const forecasts = {
+                    model: predicted.get(hour),
+                    yesterday: yesterday.get(hour),
+                    lastWeek: lastWeek.get(hour)
+                };
+                // Score only hours every method has a value for
+                if (!METHODS.every(m => Number.isFinite(forecasts[m]))) return;
+                METHODS.forEach(m => {
+                    addError(byHorizon[h][m], forecasts[m], price);
+                    addError(byHour[hour][m], forecasts[m], price);
+                    addError(overall[m], forecasts[m], price);
+                });
+            });
+        }
+    }
+
+    return {
+        origins,
+        minTrainingDays,
+        overall: summarizeBucket(overall),
+        horizons: byHorizon.map((bucket, horizon) => ({ horizon, ...summarizeBucket(bucket) })),
+        hours: byHour.map((bucket, hour) => ({ hour, ...summarizeBucket(bucket) }))
+    };
+}
+
+module.exports = {
+    rollingOriginBacktest,
+    lastWeekDate,
+    METHODS
+};
@@ -0,0 +1,163 @@
+/**
+ * WindPowers - Battery arbitrage
+ *
+ * Optimal charge/discharge schedule of a battery against a price curve
+ * (scripts/lib/price-timeline.js): buy when cheap, sell when expensive.
+ * Solved exactly by dynamic programming over the state of charge, which is
+ * discretised into `levels` steps of capacity / levels.
+ *
+ * Battery parameters:
+ *   capacityKwh      usable energy
+ *   powerKw          grid-side limit for charging and discharging
+ *   efficiency       round trip; losses are split evenly (√η each way)
+ *   degradationCost  €/MWh taken out of the battery, the wear of a cycle
+ *
+ * The battery starts empty and may end in any state; energy left at the
+ * end is worth nothing, so an optimal schedule ends empty. Prices are
+ * €/MWh, energies kWh and money €.
+ */
+
+const { buildPriceTimeline, sliceTimeline, getTimelineSource } = require('./price-timeline');
+
+const DEFAULT_LEVELS = 40;
+
+const round2 = value => Math.round(value * 100) / 100;
+const round3 = value => Math.round(value * 1000) / 1000;
+
+// Throws on parameters the simulation cannot run with
+function checkBatteryOptions({ capacityKwh, powerKw, efficiency, degradationCost }) {
+    if (!(capacityKwh > 0)) throw new Error('capacity must be a positive number of kWh');
+    if (!(powerKw > 0)) throw new Error('power must be a positive number of kW');
+    if (!(efficiency > 0 && efficiency <= 1)) throw new Error('efficiency must be between 0 and 1');
+    if (!(degradationCost >= 0)) throw new Error('degradation must be a non-negative cost in €/MWh');
+}
+
+/**
+ * Optimal schedule over price slots.
+ * @param {Array<{start: number, end: number, price: number, source?: string}>} slots - sorted, epoch ms bounds
+ * @param {{capacityKwh: number, powerKw: number, efficiency?: number, degradationCost?: number, levels?: number}} options
+ * @returns {{schedule: Array<object>, summary: object}}
+ */
+function simulateBattery(slots, { capacityKwh, powerKw, efficiency = 0.9, degradationCost = 0, levels = DEFAULT_LEVELS }) {
+    checkBatteryOptions({ capacityKwh, powerKw, efficiency, degradationCost });
+    const step = capacityKwh / levels;
+    const oneWay = Math.sqrt(efficiency);
+
+    // Grid energy (kWh, + import) and money (€) of moving `delta` levels in a slot
+    const move = (delta, price) => {
+        const stored = delta * step;
+        const grid = stored > 0 ? stored / oneWay : stored * oneWay;
+        const wear = stored < 0 ? -stored * degradationCost / 1000 : 0;
+        return { grid, money: -grid * price / 1000 - wear, wear };
+    };
+    const maxDelta = slot => {
+        const gridKwh = powerKw * (slot.end - slot.start) / 3600000;
+        return {
+            charge: Math.floor(gridKwh * oneWay / step + 1e-9),
+            discharge: Math.floor(gridKwh / oneWay / step + 1e-9)
+        };
+    };
+
+    // value[t][level]: best money from slot t on, starting at `level`
+    const value = Array.from({ length: slots.length + 1 }, () => new Float64Array(levels + 1));
+    const choice = Array.from({ length: slots.length }, () => new Int32Array(levels + 1));
+    for (let t = slots.length - 1; t >= 0; t--) {
+        const { charge, discharge } = maxDelta(slots[t]);
+        for (let level = 0; level <= levels; level++) {
+            let best = -Infinity;
+            let bestDelta = 0;
+            const low = Math.max(-discharge, -level);
+            const high = Math.min(charge, levels - level);
+            for (let delta = low; delta <= high; delta++) {
+                const total = move(delta, slots[t].price).money + value[t + 1][level + delta];
+                // Idle wins ties, then the smaller move
+                if (total > best + 1e-9 || (Math.abs(total - best) <= 1e-9 && Math.abs(delta) < Math.abs(bestDelta))) {
+                    best = total;
+                    bestDelta = delta;
+                }
+            }
+            value[t][level] = best;
+            choice[t][level] = bestDelta;
+        }
+    }
+
+    const totals = { chargedKwh: 0, dischargedKwh: 0, chargeCost: 0, dischargeRevenue: 0, degradationCost: 0 };
+    const profitBySource = {};
+    let level = 0;
+    const schedule = slots.map((slot, t) => {
+        const delta = choice[t][level];
+        const { grid, money, wear } = move(delta, slot.price);
+        level += delta;
+        if (grid > 0) {
+            totals.chargedKwh += grid;
+            totals.chargeCost += grid * slot.price / 1000;
+        } else if (grid < 0) {
+            totals.dischargedKwh -= grid;
+            totals.dischargeRevenue -= grid * slot.price / 1000;
+        }
+        totals.degradationCost += wear;
+        const source = slot.source || 'day-ahead';
+        profitBySource[source] = (profitBySource[source] || 0) + money;
+
+        return {
+            start: new Date(slot.start).toISOString(),
+            end: new Date(slot.end).toISOString(),
+            price: slot.price,
+            source,
+            action: delta > 0 ? 'charge' : delta < 0 ? 'discharge' : 'idle',
+            gridKwh: round3(grid),
+            socKwh: round3(level * step)
+        };
+    });
+
+    const outOfBattery = totals.dischargedKwh / oneWay;
+    return {
+        schedule,
+        summary: {
+            profit: round2(value[0][0]),
+            profitBySource: Object.fromEntries(Object.entries(profitBySource).map(([k, v]) => [k, round2(v)])),
+            chargeCost: round2(totals.chargeCost),
+            dischargeRevenue: round2(totals.dischargeRevenue),
+            degradationCost: round2(totals.degradationCost),
+            chargedKwh: round3(totals.chargedKwh),
+            dischargedKwh: round3(totals.dischargedKwh),
+            cycles: round2(outOfBattery / capacityKwh)
+        }
+    };
+}
+
+/**
+ * Battery schedule for a zone between `from` and `to` on its day-ahead
+ * prices and forecast.
+ * @param {string} area - bidding zone
+ * @param {object|null} priceData - nordpool-prices.json
+ * @param {object|null} predictionData - price-predictions.json
+ * @param {{from: Date, to?: Date|null, capacityKwh: number, powerKw: number, efficiency?: number, degradationCost?: number}} options
+ * @returns {object|null} the simulation, null when there are no prices in the window
+ */
+function planBattery(area, priceData, predictionData, { from, to = null, ...battery }) {
+    const slots = sliceTimeline(buildPriceTimeline(area, priceData, predictionData), from, to);
+    if (slots.length === 0) return null;
+
+    const { schedule, summary } = simulateBattery(slots, battery);
+    return {
+        area,
+        from: schedule[0].start,
+        to: schedule[schedule.length - 1].end,
+        source: getTimelineSource(slots),
+        battery: {
+            capacityKwh: battery.capacityKwh,
+            powerKw: battery.powerKw,
+            efficiency: battery.efficiency ?? 0.9,
+            degradationCost: battery.degradationCost ?? 0
+        },
+        ...summary,
+        schedule
+    };
+}
+
+module.exports = {
+    checkBatteryOptions,
+    simulateBattery,
+    planBattery
+};
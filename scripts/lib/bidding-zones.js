@@ -0,0 +1,62 @@
+/**
+ * WindPowers - Nordic bidding zones
+ *
+ * Zone metadata lives in config/bidding-zones.json: display name, country,
+ * ENTSO-E EIC code, local time zone and approximate bounding boxes. The
+ * boxes are coarse rectangles around each zone, good enough to pick the
+ * weather grid points that drive its price; neighbouring boxes overlap.
+ */
+
+const BIDDING_ZONES = require('../../config/bidding-zones.json');
+
+const DEFAULT_AREA = 'FI';
+
+function getZone(area) {
+    const zone = BIDDING_ZONES[area];
+    if (!zone) throw new Error(`Unknown bidding zone "${area}"`);
+    return zone;
+}
+
+function isInZone(lat, lon, area) {
+    return getZone(area).bounds.some(b =>
+        lat >= b.south && lat <= b.north && lon >= b.west && lon <= b.east
+    );
+}
+
+// Weather grid points inside a zone
+function getZonePoints(points, area) {
+    return points.filter(p => isInZone(p.lat, p.lon, area));
+}
+
+// Countries with bidding zones (FI, SE, NO, DK), in config order
+function getCountries() {
+    return [...new Set(Object.values(BIDDING_ZONES).map(zone => zone.country))];
+}
+
+// Inside any of the country's zone boxes
+function isInCountry(lat, lon, country) {
+    return Object.keys(BIDDING_ZONES).some(area =>
+        BIDDING_ZONES[area].country === country && isInZone(lat, lon, area)
+    );
+}
+
+function getCountryPoints(points, country) {
+    return points.filter(p => isInCountry(p.lat, p.lon, country));
+}
+
+// Records written before prices were stored per zone are all Finnish
+function getRecordArea(record) {
+    return record.area || DEFAULT_AREA;
+}
+
+module.exports = {
+    BIDDING_ZONES,
+    DEFAULT_AREA,
+    getZone,
+    isInZone,
+    getZonePoints,
+    getCountries,
+    isInCountry,
+    getCountryPoints,
+    getRecordArea
+};
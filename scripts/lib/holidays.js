@@ -0,0 +1,83 @@
+/**
+ * WindPowers - Public holidays
+ *
+ * Days on which demand looks like a Sunday. Finnish public holidays plus
+ * Midsummer Eve and Christmas Eve, which are not official holidays but on
+ * which nearly all workplaces are closed. Other countries have no calendar
+ * yet and get no holidays.
+ */
+
+const { addDays } = require('./time-zone');
+
+// Easter Sunday (Gregorian calendar, anonymous algorithm) as YYYY-MM-DD
+function easterSunday(year) {
+    const a = year % 19;
+    const b = Math.floor(year / 100);
+    const c = year % 100;
+    const d = Math.floor(b / 4);
+    const e = b % 4;
+    const f = Math.floor((b + 8) / 25);
+    const g = Math.floor((b - f + 1) / 3);
+    const h = (19 * a + b - d - g + 15) % 30;
+    const i = Math.floor(c / 4);
+    const k = c % 4;
+    const l = (32 + 2 * e + 2 * i - h - k) % 7;
+    const m = Math.floor((a + 11 * h + 22 * l) / 451);
+    const month = Math.floor((h + l - 7 * m + 114) / 31);
+    const day = ((h + l - 7 * m + 114) % 31) + 1;
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+// First date from `from` (YYYY-MM-DD) falling on `weekday` (0 = Sunday)
+function nextWeekday(from, weekday) {
+    let date = from;
+    while (new Date(`${date}T00:00:00Z`).getUTCDay() !== weekday) date = addDays(date, 1);
+    return date;
+}
+
+function finnishHolidays(year) {
+    const easter = easterSunday(year);
+    const midsummerEve = nextWeekday(`${year}-06-19`, 5);
+    return new Map([
+        [`${year}-01-01`, 'New Year\'s Day'],
+        [`${year}-01-06`, 'Epiphany'],
+        [addDays(easter, -2), 'Good Friday'],
+        [easter, 'Easter Sunday'],
+        [addDays(easter, 1), 'Easter Monday'],
+        [`${year}-05-01`, 'May Day'],
+        [addDays(easter, 39), 'Ascension Day'],
+        [addDays(easter, 49), 'Whitsunday'],
+        [midsummerEve, 'Midsummer Eve'],
+        [addDays(midsummerEve, 1), 'Midsummer Day'],
+        [nextWeekday(`${year}-10-31`, 6), 'All Saints\' Day'],
+        [`${year}-12-06`, 'Independence Day'],
+        [`${year}-12-24`, 'Christmas Eve'],
+        [`${year}-12-25`, 'Christmas Day'],
+        [`${year}-12-26`, 'Boxing Day']
+    ]);
+}
+
+const CALENDARS = {
+    FI: finnishHolidays
+};
+
+const cache = new Map();
+
+// Map of date -> holiday name for a country and year
+function getHolidays(country, year) {
+    const key = `${country}-${year}`;
+    if (!cache.has(key)) {
+        cache.set(key, CALENDARS[country] ? CALENDARS[country](year) : new Map());
+    }
+    return cache.get(key);
+}
+
+function isHoliday(date, country) {
+    return getHolidays(country, Number(date.slice(0, 4))).has(date);
+}
+
+module.exports = {
+    easterSunday,
+    getHolidays,
+    isHoliday
+};
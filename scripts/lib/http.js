@@ -0,0 +1,21 @@
+/**
+ * WindPowers - Minimal HTTPS GET helper for the data fetchers
+ */
+
+const https = require('https');
+
+const USER_AGENT = 'WindPowers/1.0 (https://github.com/leevi00100-png/windpowers)';
+
+// Resolves { statusCode, headers, body } for any status; rejects on network errors
+function getText(url, headers = {}) {
+    return new Promise((resolve, reject) => {
+        https.get(url, { headers: { 'User-Agent': USER_AGENT, ...headers } }, (res) => {
+            let body = '';
+            res.setEncoding('utf8');
+            res.on('data', chunk => body += chunk);
+            res.on('end', () => resolve({ statusCode: res.statusCode, headers: res.headers, body }));
+        }).on('error', reject);
+    });
+}
+
+module.exports = { getText };
@@ -0,0 +1,65 @@
+/**
+ * WindPowers - Wind Farm Power Curves
+ *
+ * Turbine output as a fraction of rated power:
+ *   below cut-in or from cut-out  -> 0
+ *   cut-in .. rated               -> cubic ramp (v³ - vin³) / (vr³ - vin³)
+ *   rated .. cut-out              -> 1
+ *
+ * Curves come from config/power-curves.json: a default curve plus per-farm
+ * overrides keyed by the farm name in turbines-finland.json.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { haversineDistance } = require('./geo');
+
+const CURVES_FILE = path.join(__dirname, '../../config/power-curves.json');
+
+function loadPowerCurves(file = CURVES_FILE) {
+    return JSON.parse(fs.readFileSync(file, 'utf-8'));
+}
+
+function getFarmCurve(farm, config) {
+    return { ...config.default, ...(config.farms?.[farm.name] || {}) };
+}
+
+// Installed capacity in MW; an explicit capacityMW on the farm wins. Null
+// when neither that nor a turbine count gives a positive number.
+function getFarmCapacity(farm, curve) {
+    const capacity = farm.capacityMW ?? farm.count * curve.ratedPowerMW;
+    return Number.isFinite(capacity) && capacity > 0 ? capacity : null;
+}
+
+function powerFraction(speed, curve) {
+    if (speed == null || speed < curve.cutIn || speed >= curve.cutOut) return 0;
+    if (speed >= curve.rated) return 1;
+    
+    const cubed = v => v * v * v;
+    return (cubed(speed) - cubed(curve.cutIn)) / (cubed(curve.rated) - cubed(curve.cutIn));
+}
+
+// The k grid points closest to a location, with inverse-distance weights
+// summing to 1. A point within 1 km takes all the weight.
+function nearestGridPoints(lat, lon, points, k) {
+    const nearest = points
+        .map(point => ({ point, distance: haversineDistance(lat, lon, point.lat, point.lon) }))
+        .sort((a, b) => a.distance - b.distance)
+        .slice(0, k);
+    
+    if (nearest.length && nearest[0].distance < 1) {
+        return [{ point: nearest[0].point, weight: 1 }];
+    }
+    
+    const totalWeight = nearest.reduce((sum, n) => sum + 1 / n.distance, 0);
+    return nearest.map(n => ({ point: n.point, weight: 1 / n.distance / totalWeight }));
+}
+
+module.exports = {
+    CURVES_FILE,
+    loadPowerCurves,
+    getFarmCurve,
+    getFarmCapacity,
+    powerFraction,
+    nearestGridPoints
+};
@@ -0,0 +1,90 @@
+/**
+ * WindPowers - Day-ahead price archive
+ *
+ * nordpool-prices.json only covers the last few weeks, so every real
+ * (non-sample) fetch is also merged into monthly files in
+ * data/price-archive/YYYY-MM.json for training and backtesting. Records
+ * are stored compactly as the first interval start plus a plain price
+ * array at the day's resolution:
+ *
+ *   { "records": { "FI": { "2026-02-07": { "resolution": 15, "start": "...", "prices": [41.2, ...] } } } }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { summarizeRecord } = require('./price-records');
+
+const PRICE_ARCHIVE_DIR = path.join(__dirname, '../../data/price-archive');
+
+function readMonth(file) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf-8'));
+    } catch (e) {
+        return { records: {} };
+    }
+}
+
+// Merge interval-schema records into the archive; newer data wins
+function archivePrices(records, dir = PRICE_ARCHIVE_DIR) {
+    const months = new Map();
+    records.filter(r => Array.isArray(r.prices) && r.prices.length > 0).forEach(record => {
+        const file = path.join(dir, `${record.date.slice(0, 7)}.json`);
+        if (!months.has(file)) months.set(file, readMonth(file));
+        const month = months.get(file);
+        month.records[record.area] = month.records[record.area] || {};
+        month.records[record.area][record.date] = {
+            resolution: record.resolution,
+            start: record.prices[0].start,
+            prices: record.prices.map(p => p.price)
+        };
+    });
+    
+    fs.mkdirSync(dir, { recursive: true });
+    months.forEach((month, file) => {
+        const tmpFile = `${file}.tmp`;
+        fs.writeFileSync(tmpFile, JSON.stringify(month));
+        fs.renameSync(tmpFile, file);
+    });
+    return months.size;
+}
+
+// Every archived record in the interval schema, sorted by area and date
+function loadPriceArchive(dir = PRICE_ARCHIVE_DIR) {
+    if (!fs.existsSync(dir)) return [];
+    
+    const records = [];
+    fs.readdirSync(dir).filter(f => /^\d{4}-\d{2}\.json$/.test(f)).sort().forEach(f => {
+        const month = readMonth(path.join(dir, f));
+        Object.entries(month.records || {}).forEach(([area, days]) => {
+            Object.entries(days).forEach(([date, day]) => {
+                const step = day.resolution * 60000;
+                const first = Date.parse(day.start);
+                records.push(summarizeRecord({
+                    date,
+                    area,
+                    resolution: day.resolution,
+                    prices: day.prices.map((price, i) => ({
+                        start: new Date(first + i * step).toISOString(),
+                        end: new Date(first + (i + 1) * step).toISOString(),
+                        price
+                    }))
+                }));
+            });
+        });
+    });
+    return records.sort((a, b) => a.area.localeCompare(b.area) || a.date.localeCompare(b.date));
+}
+
+// Archived history plus the current file; current records replace archived ones
+function mergePriceHistory(archived, current) {
+    const byKey = new Map();
+    [...archived, ...current].forEach(r => byKey.set(`${r.area || 'FI'}|${r.date}`, r));
+    return [...byKey.values()].sort((a, b) => a.date.localeCompare(b.date));
+}
+
+module.exports = {
+    PRICE_ARCHIVE_DIR,
+    archivePrices,
+    loadPriceArchive,
+    mergePriceHistory
+};
@@ -0,0 +1,218 @@
+/**
+ * WindPowers - Price model features
+ *
+ * Turns a day's weather on the grid, the calendar and recent
+ * prices into the feature vector the price models are trained on:
+ *
+ *   - wind weighted by installed turbine capacity (turbines-finland.json,
+ *     config/power-curves.json), since wind where the farms stand is what
+ *     moves the price; zones without listed farms use the plain mean
+ *   - heating degree days weighted by population (config/population-centers.json)
+ *   - public holidays of the zone's country (holidays.js)
+ *   - daily average prices one and seven days back, filled with the
+ *     model's own forecast beyond the last known price day
+ *   - wind, temperature and precipitation (a hydro inflow proxy) averaged
+ *     over whole neighbouring countries, chosen per zone in
+ *     config/zone-features.json, since Nordic zones are coupled
+ *
+ * getFeatures(area) documents every feature of a zone's model; trainers
+ * save the descriptions with the model next to `featureNames`. Values
+ * that are not known (null) are left for the trainer to impute.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getZonePoints, getCountries, getCountryPoints, isInZone } = require('./bidding-zones');
+const { isHoliday } = require('./holidays');
+const { loadPowerCurves, getFarmCurve, getFarmCapacity, nearestGridPoints } = require('./power-curve');
+const { addDays } = require('./time-zone');
+
+const TURBINE_FILE = path.join(__dirname, '../../public/data/turbines-finland.json');
+const POPULATION_FILE = path.join(__dirname, '../../config/population-centers.json');
+const ZONE_FEATURES = require('../../config/zone-features.json');
+
+const FEATURES = [
+    { name: 'windSpeed', description: 'Daily mean 10 m wind (m/s) at the zone\'s wind farms, weighted by installed capacity; zone mean where no farms are listed' },
+    { name: 'temperature', description: 'Daily mean temperature (°C) over the zone\'s grid points' },
+    { name: 'heatingDegreeDays', description: 'Heating degree days (base 17 °C) at the zone\'s cities, weighted by population' },
+    { name: 'isWinter', description: '1 from November to March' },
+    { name: 'isWeekend', description: '1 on Saturdays and Sundays' },
+    { name: 'isHoliday', description: '1 on public holidays of the zone\'s country' },
+    { name: 'windSpeed_x_isWinter', description: 'windSpeed in winter, 0 otherwise' },
+    { name: 'priceLag1', description: 'Daily average price (€/MWh) the day before; forecast when not yet known' },
+    { name: 'priceLag7', description: 'Daily average price (€/MWh) a week before; forecast when not yet known' }
+];
+
+const FEATURE_NAMES = FEATURES.map(f => f.name);
+
+const REGION_FIELDS = [
+    { field: 'windSpeed', describe: country => `Daily mean 10 m wind (m/s) over the ${country} grid points` },
+    { field: 'temperature', describe: country => `Daily mean temperature (°C) over the ${country} grid points` },
+    { field: 'precipitation', describe: country => `Daily precipitation (mm) averaged over the ${country} grid points, a proxy for hydro inflow` }
+];
+
+// Countries whose weather feeds a zone's model (config/zone-features.json)
+function getZoneRegions(area) {
+    const regions = ZONE_FEATURES.zones?.[area]?.regions || [];
+    const unknown = regions.filter(region => !getCountries().includes(region));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown regions for ${area} in config/zone-features.json: ${unknown.join(', ')}`);
+    }
+    return regions;
+}
+
+// Every feature of a zone's model, in feature vector order
+function getFeatures(area) {
+    return [
+        ...FEATURES,
+        ...getZoneRegions(area).flatMap(country => REGION_FIELDS.map(({ field, describe }) => ({
+            name: `${country}_${field}`,
+            description: describe(country)
+        })))
+    ];
+}
+
+function getFeatureNames(area) {
+    return getFeatures(area).map(f => f.name);
+}
+
+let weightSources = null;
+
+// Wind farms (weight = capacity in MW) and cities (weight = population)
+function getWeightSources() {
+    if (!weightSources) {
+        const curves = loadPowerCurves();
+        const { turbines } = JSON.parse(fs.readFileSync(TURBINE_FILE, 'utf-8'));
+        const { baseTemperature, cities } = JSON.parse(fs.readFileSync(POPULATION_FILE, 'utf-8'));
+        weightSources = {
+            neighbours: curves.neighbours || 4,
+            baseTemperature,
+            farms: turbines.map(farm => ({
+                lat: farm.lat,
+                lon: farm.lon,
+                weight: getFarmCapacity(farm, getFarmCurve(farm, curves))
+            })).filter(farm => farm.weight !== null),
+            cities: cities.map(city => ({ lat: city.lat, lon: city.lon, weight: city.population }))
+        };
+    }
+    return weightSources;
+}
+
+// Weighted mean of `valueOf(point)` over sites in the zone, each site
+// reading the inverse-distance blend of its nearest grid points
+function siteWeightedMean(sites, points, area, valueOf, neighbours) {
+    let sum = 0;
+    let weight = 0;
+    sites.forEach(site => {
+        if (!isInZone(site.lat, site.lon, area)) return;
+        nearestGridPoints(site.lat, site.lon, points, neighbours).forEach(n => {
+            sum += valueOf(n.point) * n.weight * site.weight;
+            weight += n.weight * site.weight;
+        });
+    });
+    return weight > 0 ? sum / weight : null;
+}
+
+// Mean of a field over the points that have it, null when none do
+function meanOf(points, field) {
+    const values = points.map(p => p[field]).filter(v => typeof v === 'number');
+    return values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : null;
+}
+
+/**
+ * Daily weather summary of a zone and of the regions that feed its model.
+ * @param {Array<{lat: number, lon: number, windSpeed: number, temperature: number, precipitation?: number}>} grid -
+ *        daily means at grid points; the zone's and each region's points are picked from it
+ * @param {string} area - bidding zone
+ * @returns {{windSpeed: number, meanWindSpeed: number, temperature: number, heatingDegreeDays: number,
+ *            regions: Object<string, {windSpeed: number|null, temperature: number|null, precipitation: number|null}>}}
+ */
+function summarizeZoneWeather(grid, area) {
+    const { neighbours, baseTemperature, farms, cities } = getWeightSources();
+    const points = getZonePoints(grid, area);
+    const mean = key => points.reduce((sum, p) => sum + p[key], 0) / (points.length || 1);
+    const meanWindSpeed = mean('windSpeed');
+    const temperature = mean('temperature');
+
+    const hdd = t => Math.max(0, baseTemperature - t);
+    const windSpeed = siteWeightedMean(farms, points, area, p => p.windSpeed, neighbours);
+    const heatingDegreeDays = siteWeightedMean(cities, points, area, p => hdd(p.temperature), neighbours);
+
+    const regions = {};
+    getZoneRegions(area).forEach(country => {
+        const countryPoints = getCountryPoints(grid, country);
+        regions[country] = Object.fromEntries(REGION_FIELDS.map(({ field }) => [field, meanOf(countryPoints, field)]));
+    });
+
+    return {
+        windSpeed: windSpeed ?? meanWindSpeed,
+        meanWindSpeed,
+        temperature,
+        heatingDegreeDays: heatingDegreeDays ?? hdd(temperature),
+        regions
+    };
+}
+
+/**
+ * Daily feature vector in getFeatureNames(area) order for the zone whose
+ * `regions` are passed; unknown values are null. The spread over the day
+ * comes from the intraday shape (price-shape.js), not from features.
+ * @param {{windSpeed: number, temperature: number, heatingDegreeDays?: number, regions?: object}} weather
+ * @param {string} dateString - local market date (YYYY-MM-DD)
+ * @param {{country?: string, regions?: string[], priceLag1?: number|null, priceLag7?: number|null}} [context]
+ */
+function extractFeatures(weather, dateString, { country = 'FI', regions = [], priceLag1 = 0, priceLag7 = 0 } = {}) {
+    const { windSpeed, temperature } = weather;
+    const heatingDegreeDays = weather.heatingDegreeDays ?? Math.max(0, getWeightSources().baseTemperature - temperature);
+    const date = new Date(`${dateString}T00:00:00Z`);
+    const dayOfWeek = date.getUTCDay();
+    const month = date.getUTCMonth();
+    const isWinter = month >= 10 || month <= 2 ? 1 : 0;
+    const isWeekend = dayOfWeek === 0 || dayOfWeek === 6 ? 1 : 0;
+
+    return [
+        windSpeed,
+        temperature,
+        heatingDegreeDays,
+        isWinter,
+        isWeekend,
+        isHoliday(dateString, country) ? 1 : 0,
+        windSpeed * isWinter,
+        priceLag1,
+        priceLag7,
+        ...regions.flatMap(region => REGION_FIELDS.map(({ field }) => weather.regions?.[region]?.[field] ?? null))
+    ];
+}
+
+/**
+ * Lagged daily average prices for a date. Known prices come from
+ * `history`; days after the last known one are filled by `forecast(date)`,
+ * which may ask for lags itself, so later horizons are forecast
+ * recursively. Gaps inside the history stay null.
+ * @param {Map<string, number>} history - date -> daily average price
+ * @param {function(string): number|null} forecast
+ * @returns {function(string): {priceLag1: number|null, priceLag7: number|null}}
+ */
+function createPriceLags(history, forecast) {
+    const known = new Map(history);
+    const lastKnown = [...known.keys()].sort().pop() || '';
+    const dailyPrice = date => {
+        if (!known.has(date)) known.set(date, date > lastKnown ? forecast(date) : null);
+        return known.get(date);
+    };
+    return date => ({
+        priceLag1: dailyPrice(addDays(date, -1)),
+        priceLag7: dailyPrice(addDays(date, -7))
+    });
+}
+
+module.exports = {
+    FEATURES,
+    FEATURE_NAMES,
+    getZoneRegions,
+    getFeatures,
+    getFeatureNames,
+    summarizeZoneWeather,
+    extractFeatures,
+    createPriceLags
+};
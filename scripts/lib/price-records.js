@@ -0,0 +1,122 @@
+/**
+ * WindPowers - Day-ahead price records
+ *
+ * Providers return raw delivery intervals ({ start, end, price } in UTC,
+ * EUR/MWh). This module groups them into the daily records stored in
+ * nordpool-prices.json:
+ *
+ *   { date, area, resolution, prices: [{ start, end, price }], avgPrice, maxPrice, minPrice }
+ *
+ * `resolution` is the market time unit in minutes (15, 30 or 60) and
+ * `start`/`end` are ISO timestamps, so DST days simply have 23 or 25 hours
+ * worth of intervals. Days are local calendar days in the zone's time
+ * zone. Days that are not fully covered (the edges of a requested range)
+ * are dropped.
+ *
+ * Files written before 15-minute MTUs carry `hourlyPrices: [{ hour, price }]`
+ * instead; normalizePriceRecord() converts those on read.
+ */
+
+const { getZonedParts, getDayLengthMinutes, zonedDateTime } = require('./time-zone');
+
+const round2 = value => Math.round(value * 100) / 100;
+
+function buildDailyRecords(intervals, area, timeZone) {
+    const byDate = new Map();
+    
+    intervals.forEach(interval => {
+        const { date } = getZonedParts(interval.start, timeZone);
+        if (!byDate.has(date)) byDate.set(date, []);
+        byDate.get(date).push(interval);
+    });
+    
+    const records = [];
+    [...byDate.keys()].sort().forEach(date => {
+        const dayIntervals = pickFinestResolution(byDate.get(date))
+            .sort((a, b) => Date.parse(a.start) - Date.parse(b.start));
+        const coveredMinutes = dayIntervals.reduce((sum, i) => sum + durationMinutes(i), 0);
+        if (coveredMinutes < getDayLengthMinutes(date, timeZone)) return;
+        
+        records.push(summarizeRecord({
+            date,
+            area,
+            resolution: durationMinutes(dayIntervals[0]),
+            prices: dayIntervals.map(i => ({
+                start: new Date(i.start).toISOString(),
+                end: new Date(i.end).toISOString(),
+                price: round2(i.price)
+            }))
+        }));
+    });
+    
+    return records;
+}
+
+function durationMinutes(interval) {
+    return (Date.parse(interval.end) - Date.parse(interval.start)) / 60000;
+}
+
+// Some sources publish the same day at two resolutions; keep the finest
+function pickFinestResolution(intervals) {
+    const finest = Math.min(...intervals.map(durationMinutes));
+    return intervals.filter(i => durationMinutes(i) === finest);
+}
+
+// Duration-weighted daily average plus extremes
+function summarizeRecord(record) {
+    const minutes = record.prices.reduce((sum, p) => sum + durationMinutes(p), 0);
+    const weighted = record.prices.reduce((sum, p) => sum + p.price * durationMinutes(p), 0);
+    const values = record.prices.map(p => p.price);
+    return {
+        ...record,
+        avgPrice: round2(weighted / minutes),
+        maxPrice: Math.max(...values),
+        minPrice: Math.min(...values)
+    };
+}
+
+// Convert a legacy { hourlyPrices: [{ hour, price }] } record to the interval
+// schema. Hours are local wall-clock hours of the record's date.
+function normalizePriceRecord(record, timeZone) {
+    if (Array.isArray(record.prices)) return record;
+    
+    const hourly = Array.isArray(record.hourlyPrices) ? record.hourlyPrices : [];
+    const prices = hourly.map(({ hour, price }) => {
+        const start = zonedDateTime(record.date, hour, 0, timeZone);
+        return {
+            start: start.toISOString(),
+            end: new Date(start.getTime() + 3600000).toISOString(),
+            price
+        };
+    });
+    
+    const { hourlyPrices, ...rest } = record;
+    const normalized = { ...rest, resolution: 60, prices };
+    // Summary-only records (avgPrice without hours) are kept as they are
+    return prices.length > 0 ? summarizeRecord(normalized) : normalized;
+}
+
+// Duration-weighted average per local hour of day. The repeated hour of
+// a DST fall-back day is averaged into one value.
+function getLocalHourlyPrices(record, timeZone) {
+    const byHour = new Map();
+    record.prices.forEach(p => {
+        const { hour } = getZonedParts(p.start, timeZone);
+        const bucket = byHour.get(hour) || { sum: 0, minutes: 0 };
+        bucket.sum += p.price * durationMinutes(p);
+        bucket.minutes += durationMinutes(p);
+        byHour.set(hour, bucket);
+    });
+    
+    return new Map([...byHour.keys()].sort((a, b) => a - b).map(hour =>
+        [hour, round2(byHour.get(hour).sum / byHour.get(hour).minutes)]
+    ));
+}
+
+module.exports = {
+    buildDailyRecords,
+    normalizePriceRecord,
+    summarizeRecord,
+    getLocalHourlyPrices,
+    durationMinutes
+};
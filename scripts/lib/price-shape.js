@@ -0,0 +1,139 @@
+/**
+ * WindPowers - Intraday price shape
+ *
+ * The price models forecast a day's average price; this module learns how
+ * prices are spread over the day. For every past day with interval prices,
+ * each local quarter-hour's deviation from the day's average is taken, and
+ * the deviations are averaged per day type (weekday, Saturday, Sunday or
+ * holiday) and season. A forecast slot's price is the daily level plus
+ * the profile of its day.
+ *
+ * Deviations are additive (€/MWh) rather than ratios, since Nordic daily
+ * averages can be close to zero or negative. Profiles seen on fewer than
+ * `minDays` days fall back to the day type over all seasons, then to all
+ * days; with no history at all the curve is flat.
+ */
+
+const { isHoliday } = require('./holidays');
+const { getZonedParts } = require('./time-zone');
+
+const SLOT_MINUTES = 15;
+const SLOTS_PER_DAY = 24 * 60 / SLOT_MINUTES;
+
+const round2 = value => Math.round(value * 100) / 100;
+
+function getDayType(date, country) {
+    const dayOfWeek = new Date(`${date}T00:00:00Z`).getUTCDay();
+    if (dayOfWeek === 0 || isHoliday(date, country)) return 'sunday';
+    return dayOfWeek === 6 ? 'saturday' : 'weekday';
+}
+
+function getSeason(date) {
+    const month = Number(date.slice(5, 7));
+    if (month === 12 || month <= 2) return 'winter';
+    if (month <= 5) return 'spring';
+    return month <= 8 ? 'summer' : 'autumn';
+}
+
+// Profile keys for a date, most specific first
+function getProfileKeys(date, country) {
+    const dayType = getDayType(date, country);
+    return [`${dayType}/${getSeason(date)}`, dayType, 'all'];
+}
+
+const deviationCache = new WeakMap();
+
+// Deviation from the daily average per local quarter-hour slot, null for
+// slots the day does not cover. The repeated hour of a fall-back day is
+// averaged into one set of slots.
+function getDayDeviations(record, timeZone) {
+    if (deviationCache.has(record)) return deviationCache.get(record);
+
+    let deviations = null;
+    if (Array.isArray(record.prices) && record.prices.length > 0 && typeof record.avgPrice === 'number') {
+        const sums = new Array(SLOTS_PER_DAY).fill(0);
+        const counts = new Array(SLOTS_PER_DAY).fill(0);
+        record.prices.forEach(p => {
+            for (let t = Date.parse(p.start); t < Date.parse(p.end); t += SLOT_MINUTES * 60000) {
+                const { hour, minute } = getZonedParts(t, timeZone);
+                const slot = Math.floor((hour * 60 + minute) / SLOT_MINUTES);
+                sums[slot] += p.price - record.avgPrice;
+                counts[slot]++;
+            }
+        });
+        deviations = sums.map((sum, slot) => (counts[slot] > 0 ? sum / counts[slot] : null));
+    }
+    deviationCache.set(record, deviations);
+    return deviations;
+}
+
+/**
+ * Learn intraday profiles from a zone's price history.
+ * @param {Array<object>} records - daily price records with interval `prices`
+ * @param {string} timeZone - the zone's time zone
+ * @param {string} country - for the holiday calendar
+ * @param {number} [minDays=3] - days a profile needs before it is used
+ * @returns {{slotMinutes: number, country: string, profiles: Object<string, {days: number, deviations: number[]}>}}
+ */
+function learnShape(records, timeZone, country, minDays = 3) {
+    const accumulators = new Map();
+
+    records.forEach(record => {
+        const deviations = getDayDeviations(record, timeZone);
+        if (!deviations) return;
+        getProfileKeys(record.date, country).forEach(key => {
+            if (!accumulators.has(key)) {
+                accumulators.set(key, {
+                    days: 0,
+                    sums: new Array(SLOTS_PER_DAY).fill(0),
+                    counts: new Array(SLOTS_PER_DAY).fill(0)
+                });
+            }
+            const acc = accumulators.get(key);
+            acc.days++;
+            deviations.forEach((value, slot) => {
+                if (value === null) return;
+                acc.sums[slot] += value;
+                acc.counts[slot]++;
+            });
+        });
+    });
+
+    const profiles = {};
+    accumulators.forEach((acc, key) => {
+        if (acc.days < minDays) return;
+        const means = acc.sums.map((sum, slot) => (acc.counts[slot] > 0 ? sum / acc.counts[slot] : 0));
+        // Centre so the curve averages to the daily level
+        const offset = means.reduce((a, b) => a + b, 0) / means.length;
+        profiles[key] = { days: acc.days, deviations: means.map(v => round2(v - offset)) };
+    });
+
+    return { slotMinutes: SLOT_MINUTES, country, profiles };
+}
+
+// The profile used for a date, or null for a flat curve
+function getShapeProfile(shape, date) {
+    if (!shape?.profiles) return null;
+    const key = getProfileKeys(date, shape.country).find(k => shape.profiles[k]);
+    return key ? shape.profiles[key].deviations : null;
+}
+
+// Mean deviation over a slot of `durationMinutes` starting at a local time
+function getSlotShape(profile, hour, minute, durationMinutes) {
+    if (!profile) return 0;
+    const first = Math.floor((hour * 60 + minute) / SLOT_MINUTES);
+    const count = Math.max(1, Math.round(durationMinutes / SLOT_MINUTES));
+    let sum = 0;
+    for (let i = 0; i < count; i++) sum += profile[(first + i) % SLOTS_PER_DAY];
+    return sum / count;
+}
+
+module.exports = {
+    SLOT_MINUTES,
+    getDayType,
+    getSeason,
+    getDayDeviations,
+    learnShape,
+    getShapeProfile,
+    getSlotShape
+};
@@ -0,0 +1,65 @@
+/**
+ * WindPowers - Price timeline of a zone
+ *
+ * The published day-ahead prices (nordpool-prices.json, optionally with
+ * the price archive merged in) continued with the forecast slots of
+ * price-predictions.json for the time after the last published price.
+ * Used by the planners that schedule consumption or storage against the
+ * price curve (src/cheapest-hours.js, battery.js). Prices are €/MWh.
+ */
+
+const { getZone, getRecordArea } = require('./bidding-zones');
+const { normalizePriceRecord } = require('./price-records');
+const { zonedDateTime } = require('./time-zone');
+
+// Forecast slots of a predicted day; files from before schema v2 only have
+// local hours, which are taken as one hour long
+function getForecastSlots(prediction, timeZone) {
+    return (prediction.hourlyPredictions || []).map(h => {
+        const start = h.start ? Date.parse(h.start) : zonedDateTime(prediction.date, h.hour, 0, timeZone).getTime();
+        const end = h.end ? Date.parse(h.end) : start + 3600000;
+        return { start, end, price: h.price, source: 'forecast', p10: h.p10, p90: h.p90 };
+    });
+}
+
+/**
+ * Day-ahead prices of a zone followed by its forecast, sorted by start.
+ * @param {string} area - bidding zone
+ * @param {object|null} priceData - nordpool-prices.json
+ * @param {object|null} predictionData - price-predictions.json
+ * @returns {Array<{start: number, end: number, price: number, source: string, p10?: number, p90?: number}>}
+ *          slots with epoch millisecond bounds
+ */
+function buildPriceTimeline(area, priceData, predictionData) {
+    const { timeZone } = getZone(area);
+
+    const dayAhead = (priceData?.data || [])
+        .filter(record => getRecordArea(record) === area)
+        .flatMap(record => normalizePriceRecord(record, timeZone).prices || [])
+        .map(p => ({ start: Date.parse(p.start), end: Date.parse(p.end), price: p.price, source: 'day-ahead' }));
+    const lastDayAhead = Math.max(-Infinity, ...dayAhead.map(slot => slot.end));
+
+    const forecast = (predictionData?.predictions || [])
+        .filter(prediction => (prediction.area || 'FI') === area)
+        .flatMap(prediction => getForecastSlots(prediction, timeZone))
+        .filter(slot => slot.start >= lastDayAhead && typeof slot.price === 'number');
+
+    return [...dayAhead, ...forecast].sort((a, b) => a.start - b.start);
+}
+
+// Slots starting at or after `from` and ending by `to` (open-ended when null)
+function sliceTimeline(timeline, from, to = null) {
+    return timeline.filter(slot => slot.start >= from.getTime() && (!to || slot.end <= to.getTime()));
+}
+
+// Where a set of slots' prices come from: 'day-ahead', 'forecast' or 'mixed'
+function getTimelineSource(slots) {
+    const sources = new Set(slots.map(s => s.source));
+    return sources.size === 1 ? [...sources][0] : 'mixed';
+}
+
+module.exports = {
+    buildPriceTimeline,
+    sliceTimeline,
+    getTimelineSource
+};
@@ -0,0 +1,21 @@
+/**
+ * WindPowers - Empirical quantiles
+ *
+ * Linear interpolation between order statistics (the "type 7" definition
+ * used by numpy and R defaults).
+ */
+
+function quantile(values, q) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const position = (sorted.length - 1) * q;
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+function quantiles(values, levels) {
+    return levels.map(q => quantile(values, q));
+}
+
+module.exports = { quantile, quantiles };
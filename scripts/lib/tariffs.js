@@ -0,0 +1,115 @@
+/**
+ * WindPowers - Consumer electricity tariffs
+ *
+ * Turns wholesale day-ahead prices (€/MWh) into what a household pays
+ * (c/kWh): spot price plus retailer margin, grid transfer fee and
+ * electricity tax, with VAT on top. Components are configured per country
+ * in config/tariffs.json, with per-zone overrides (Northern Norway has no
+ * VAT on electricity). Transfer fees have a day and a night rate; the
+ * night runs from `nightStart` to `nightEnd` local time and may wrap past
+ * midnight.
+ *
+ * This is the only copy of the formula: the frontend shows consumer
+ * prices from /api/consumer-prices and /api/cheapest-hours?unit=consumer.
+ */
+
+const TARIFFS = require('../../config/tariffs.json');
+const { BIDDING_ZONES, getZone } = require('./bidding-zones');
+const { getZonedParts } = require('./time-zone');
+
+const round2 = value => Math.round(value * 100) / 100;
+
+// Country tariff with the zone's overrides applied
+function getTariff(area) {
+    const { country } = getZone(area);
+    const base = TARIFFS.countries[country];
+    if (!base) throw new Error(`No tariff for ${country} in config/tariffs.json`);
+    const override = TARIFFS.zones?.[area] || {};
+    return {
+        ...base,
+        ...override,
+        transfer: { ...base.transfer, ...override.transfer }
+    };
+}
+
+// Tariffs of every zone, keyed by area
+function getAllTariffs() {
+    return Object.fromEntries(Object.keys(BIDDING_ZONES).map(area => [area, getTariff(area)]));
+}
+
+function isNightHour(hour, { nightStart, nightEnd }) {
+    return nightStart > nightEnd
+        ? hour >= nightStart || hour < nightEnd
+        : hour >= nightStart && hour < nightEnd;
+}
+
+/**
+ * Consumer price of a wholesale price at a local hour.
+ * @param {number} wholesale - €/MWh
+ * @param {object} tariff - from getTariff()
+ * @param {number} hour - local hour of day, for the transfer rate
+ * @returns {{spot: number, margin: number, transfer: number, tax: number, vat: number, total: number}} c/kWh
+ */
+function applyTariff(wholesale, tariff, hour) {
+    const spot = wholesale / 10;
+    const transfer = isNightHour(hour, tariff.transfer) ? tariff.transfer.night : tariff.transfer.day;
+    const net = spot + tariff.retailerMargin + transfer + tariff.electricityTax;
+    const vat = net * tariff.vatRate;
+    return {
+        spot: round2(spot),
+        margin: tariff.retailerMargin,
+        transfer,
+        tax: tariff.electricityTax,
+        vat: round2(vat),
+        total: round2(net + vat)
+    };
+}
+
+// Daily consumer price of a wholesale price held over all 24 hours
+function getFlatConsumerPrice(wholesale, tariff) {
+    const totals = Array.from({ length: 24 }, (_, hour) => applyTariff(wholesale, tariff, hour).total);
+    return round2(totals.reduce((a, b) => a + b, 0) / totals.length);
+}
+
+/**
+ * Consumer prices of a predicted day (price-predictions.json). The daily
+ * figure averages the slots, so a cheap night counts at its own transfer
+ * rate; days without slots assume a flat price over 24 hours. P10/P90
+ * bands, where the prediction has them, are converted too; the daily band
+ * is held flat over the day.
+ * @param {object} prediction - one entry of `predictions`
+ * @param {object} tariff - from getTariff()
+ * @param {string} timeZone - the zone's time zone
+ */
+function getConsumerDay(prediction, tariff, timeZone) {
+    const band = (source, hour) => (typeof source.p10 === 'number' && typeof source.p90 === 'number'
+        ? { p10: applyTariff(source.p10, tariff, hour).total, p90: applyTariff(source.p90, tariff, hour).total }
+        : {});
+    const slots = (prediction.hourlyPredictions || []).map(h => {
+        const hour = h.start ? getZonedParts(h.start, timeZone).hour : h.hour;
+        return { start: h.start, end: h.end, hour, wholesale: h.price, ...applyTariff(h.price, tariff, hour), ...band(h, hour) };
+    });
+    const consumer = slots.length > 0
+        ? round2(slots.reduce((sum, s) => sum + s.total, 0) / slots.length)
+        : getFlatConsumerPrice(prediction.predictedPrice, tariff);
+    const dailyBand = typeof prediction.p10 === 'number' && typeof prediction.p90 === 'number'
+        ? { p10: getFlatConsumerPrice(prediction.p10, tariff), p90: getFlatConsumerPrice(prediction.p90, tariff) }
+        : {};
+
+    return {
+        date: prediction.date,
+        dayName: prediction.dayName,
+        wholesale: prediction.predictedPrice,
+        consumer,
+        ...dailyBand,
+        slots
+    };
+}
+
+module.exports = {
+    getTariff,
+    getAllTariffs,
+    isNightHour,
+    applyTariff,
+    getConsumerDay
+};
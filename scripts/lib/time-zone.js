@@ -0,0 +1,85 @@
+/**
+ * WindPowers - Time zone helpers
+ *
+ * Market days are local calendar days in the bidding zone's time zone, so
+ * they are 23 or 25 hours long around DST changes. These helpers use Intl
+ * rather than a date library.
+ */
+
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        }));
+    }
+    return formatters.get(timeZone);
+}
+
+// Wall-clock parts of an instant in a time zone
+function getZonedParts(date, timeZone) {
+    const parts = {};
+    getFormatter(timeZone).formatToParts(new Date(date)).forEach(({ type, value }) => {
+        if (type !== 'literal') parts[type] = parseInt(value, 10);
+    });
+    
+    return {
+        ...parts,
+        date: `${parts.year}-${String(parts.month).padStart(2, '0')}-${String(parts.day).padStart(2, '0')}`
+    };
+}
+
+// Offset of local time from UTC in minutes at an instant
+function getTimeZoneOffset(date, timeZone) {
+    const p = getZonedParts(date, timeZone);
+    const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    return Math.round((asUtc - Math.floor(new Date(date).getTime() / 1000) * 1000) / 60000);
+}
+
+// UTC instant of a local wall-clock time on a YYYY-MM-DD date
+function zonedDateTime(dateString, hour, minute, timeZone) {
+    const [year, month, day] = dateString.split('-').map(Number);
+    const guess = Date.UTC(year, month - 1, day, hour, minute);
+    let result = guess - getTimeZoneOffset(guess, timeZone) * 60000;
+    
+    // The offset at the result can differ from the offset at the guess near DST changes
+    const corrected = guess - getTimeZoneOffset(result, timeZone) * 60000;
+    if (corrected !== result) result = corrected;
+    
+    return new Date(result);
+}
+
+// UTC instant of local midnight on a YYYY-MM-DD date
+function zonedMidnight(dateString, timeZone) {
+    return zonedDateTime(dateString, 0, 0, timeZone);
+}
+
+function addDays(dateString, days) {
+    const date = new Date(`${dateString}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().split('T')[0];
+}
+
+// Length of a local day in minutes (1380 / 1440 / 1500)
+function getDayLengthMinutes(dateString, timeZone) {
+    const start = zonedMidnight(dateString, timeZone);
+    const end = zonedMidnight(addDays(dateString, 1), timeZone);
+    return (end - start) / 60000;
+}
+
+module.exports = {
+    getZonedParts,
+    getTimeZoneOffset,
+    zonedDateTime,
+    zonedMidnight,
+    addDays,
+    getDayLengthMinutes
+};
@@ -0,0 +1,154 @@
+/**
+ * WindPowers - Forecast vintages
+ *
+ * Every run of price-prediction.js and fetch-wind-data.js replaces its
+ * output file; a copy is also kept as a vintage so successive forecasts for
+ * the same target day can be compared (forecast drift). Vintages live in
+ * public/data/vintages/<kind>/<run time>.json, named after the run's
+ * `generated` time with colons replaced, and only the newest `keep` runs
+ * of each kind are kept.
+ *
+ * Vintages are compact so a month of them stays small enough to deploy:
+ *
+ *   predictions  daily level, bands and the slot prices as a plain array
+ *                from the first slot start, like data/price-archive
+ *   wind         daily mean wind and temperature per bidding zone
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { BIDDING_ZONES, getZonePoints } = require('./bidding-zones');
+
+const VINTAGE_DIR = path.join(__dirname, '../../public/data/vintages');
+const VINTAGE_KINDS = ['predictions', 'wind'];
+const DEFAULT_KEEP = 30;
+
+const ID_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}(\.\d{3})?Z$/;
+
+const round1 = value => Math.round(value * 10) / 10;
+
+function checkKind(kind) {
+    if (!VINTAGE_KINDS.includes(kind)) throw new Error(`Unknown vintage kind "${kind}"`);
+}
+
+// File-safe vintage id of a run time: 2026-02-07T18-10-00.000Z
+function toVintageId(generated) {
+    return new Date(generated).toISOString().replace(/:/g, '-');
+}
+
+function fromVintageId(id) {
+    return id.replace(/T(\d{2})-(\d{2})-/, 'T$1:$2:');
+}
+
+/**
+ * Store a run and drop the oldest vintages beyond `keep`.
+ * @returns {string} the vintage id
+ */
+function saveVintage(kind, payload, { dir = VINTAGE_DIR, keep = DEFAULT_KEEP } = {}) {
+    checkKind(kind);
+    const kindDir = path.join(dir, kind);
+    fs.mkdirSync(kindDir, { recursive: true });
+
+    const id = toVintageId(payload.generated);
+    fs.writeFileSync(path.join(kindDir, `${id}.json`), JSON.stringify({ kind, ...payload }));
+
+    listVintages(kind, dir).slice(keep).forEach(old => {
+        fs.unlinkSync(path.join(kindDir, `${old.id}.json`));
+    });
+    return id;
+}
+
+// Vintages of a kind, newest first
+function listVintages(kind, dir = VINTAGE_DIR) {
+    checkKind(kind);
+    const kindDir = path.join(dir, kind);
+    if (!fs.existsSync(kindDir)) return [];
+    return fs.readdirSync(kindDir)
+        .map(f => f.replace(/\.json$/, ''))
+        .filter(id => ID_PATTERN.test(id))
+        .sort()
+        .reverse()
+        .map(id => ({ id, generated: fromVintageId(id) }));
+}
+
+// A stored vintage, null when there is none with that id
+function loadVintage(kind, id, dir = VINTAGE_DIR) {
+    checkKind(kind);
+    if (!ID_PATTERN.test(id)) return null;
+    try {
+        return JSON.parse(fs.readFileSync(path.join(dir, kind, `${id}.json`), 'utf-8'));
+    } catch (e) {
+        return null;
+    }
+}
+
+// Compact copy of a price-predictions.json output
+function compactPredictions(output) {
+    return {
+        generated: output.generated,
+        model: output.model,
+        areas: output.areas,
+        predictions: output.predictions.map(p => {
+            const slots = p.hourlyPredictions || [];
+            return {
+                area: p.area,
+                date: p.date,
+                predictedPrice: p.predictedPrice,
+                p10: p.p10,
+                p50: p.p50,
+                p90: p.p90,
+                resolution: p.resolution,
+                start: slots[0]?.start,
+                prices: slots.map(h => h.price)
+            };
+        })
+    };
+}
+
+/**
+ * Daily means per zone of a wind-data.json run (hourly series on a shared
+ * `times` axis), by UTC date.
+ * @returns {{generated: string, areas: Object<string, Array<{date: string, windSpeed: number, temperature: number}>>}}
+ */
+function summarizeWindRun(generated, times, points) {
+    const dates = [...new Set((times || []).map(t => t.slice(0, 10)))];
+    const areas = {};
+    Object.keys(BIDDING_ZONES).forEach(area => {
+        const zonePoints = getZonePoints(points, area);
+        if (zonePoints.length === 0) return;
+        areas[area] = dates.map(date => {
+            const mean = key => {
+                const values = [];
+                times.forEach((time, i) => {
+                    if (!time.startsWith(date)) return;
+                    zonePoints.forEach(p => {
+                        const value = p.hourly?.[key]?.[i];
+                        if (typeof value === 'number') values.push(value);
+                    });
+                });
+                return values.length > 0 ? round1(values.reduce((a, b) => a + b, 0) / values.length) : null;
+            };
+            return { date, windSpeed: mean('windSpeed'), temperature: mean('temperature') };
+        });
+    });
+    return { generated, areas };
+}
+
+// Only one zone's part of a vintage
+function filterVintage(vintage, area) {
+    if (vintage.kind === 'wind') {
+        return { ...vintage, areas: { [area]: vintage.areas[area] || [] } };
+    }
+    return { ...vintage, areas: [area], predictions: vintage.predictions.filter(p => p.area === area) };
+}
+
+module.exports = {
+    VINTAGE_DIR,
+    VINTAGE_KINDS,
+    saveVintage,
+    listVintages,
+    loadVintage,
+    compactPredictions,
+    summarizeWindRun,
+    filterVintage
+};
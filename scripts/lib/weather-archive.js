@@ -0,0 +1,151 @@
+/**
+ * WindPowers - Historical weather archive
+ *
+ * Daily mean weather per grid point, kept so the price model can be
+ * trained on the weather that actually happened on each price day.
+ * One file per month in data/weather-archive/YYYY-MM.json:
+ *
+ *   { "fields": ["lat", "lon", "windSpeed", "temperature", "precipitation"],
+ *     "days": { "2026-02-07": { "source": "forecast", "updated": "...", "points": [[60, 25, 6.1, -4.2, 1.8], ...] } } }
+ *
+ * Precipitation is the daily total in mm, null where unknown. Files
+ * written before it was archived list only the first four fields.
+ *
+ * The daily fetch archives the current day from the start of the forecast
+ * (source "forecast", the closest thing to an analysis yr.no offers).
+ * Backfilled observations or reanalysis (source "import") are only
+ * replaced when explicitly asked to. Until the archive covers a day, the
+ * price model can read it from the current run (withForecastDays).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ARCHIVE_DIR = path.join(__dirname, '../../data/weather-archive');
+const FIELDS = ['lat', 'lon', 'windSpeed', 'temperature', 'precipitation'];
+
+const round1 = value => Math.round(value * 10) / 10;
+
+function getMonthFile(date, dir = ARCHIVE_DIR) {
+    return path.join(dir, `${date.slice(0, 7)}.json`);
+}
+
+function readMonth(file) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf-8'));
+    } catch (e) {
+        return { fields: FIELDS, days: {} };
+    }
+}
+
+// Daily means per grid point for a UTC date from the hourly series of
+// wind-data.json points (shared `times` axis)
+function summarizeDay(points, times, date) {
+    const indices = (times || []).reduce((acc, time, i) => {
+        if (time.startsWith(date)) acc.push(i);
+        return acc;
+    }, []);
+
+    return points.map(point => {
+        const mean = key => {
+            const values = indices.map(i => point.hourly?.[key]?.[i]).filter(v => typeof v === 'number');
+            return values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : null;
+        };
+        const windSpeed = mean('windSpeed');
+        const temperature = mean('temperature');
+        if (windSpeed === null || temperature === null) return null;
+        // Hourly rates (mm/h) to a daily total
+        const precipitation = mean('precipitation');
+
+        return [
+            point.lat,
+            point.lon,
+            round1(windSpeed),
+            round1(temperature),
+            precipitation === null ? null : round1(precipitation * 24)
+        ];
+    }).filter(Boolean);
+}
+
+// Store one day's rows; returns false when the day holds imported data
+// and overwrite is not set
+function archiveDay(date, rows, { source = 'forecast', overwrite = false, dir = ARCHIVE_DIR } = {}) {
+    const file = getMonthFile(date, dir);
+    const month = readMonth(file);
+    const existing = month.days[date];
+
+    if (existing && !overwrite && existing.source === 'import') {
+        return false;
+    }
+
+    month.fields = FIELDS;
+    month.days[date] = { source, updated: new Date().toISOString(), points: rows };
+    fs.mkdirSync(dir, { recursive: true });
+    const tmpFile = `${file}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(month));
+    fs.renameSync(tmpFile, file);
+    return true;
+}
+
+// All archived days as a Map of date -> [{ lat, lon, windSpeed, temperature, precipitation }].
+// Fields are only ever appended, so shorter rows from older files read as
+// a prefix with the missing values null.
+function loadArchive(dir = ARCHIVE_DIR) {
+    const archive = new Map();
+    if (!fs.existsSync(dir)) return archive;
+
+    fs.readdirSync(dir).filter(f => /^\d{4}-\d{2}\.json$/.test(f)).sort().forEach(f => {
+        const month = readMonth(path.join(dir, f));
+        Object.entries(month.days || {}).forEach(([date, day]) => {
+            archive.set(date, day.points.map(row =>
+                Object.fromEntries(FIELDS.map((field, i) => [field, row[i] ?? null]))
+            ));
+        });
+    });
+    return archive;
+}
+
+// Archive with the days of a wind-data.json run it does not hold yet:
+// daily means where the hourly series covers the day, else the day's 12:00
+// forecast. Lets a fresh archive (a new deployment, CI without history)
+// train on the forecast until real days have been archived.
+// Returns the merged Map and the number of days added.
+function withForecastDays(archive, windFile) {
+    const points = windFile.data || [];
+    const times = windFile.times || [];
+    const generated = new Date(windFile.generated || times[0] || Date.now());
+    const merged = new Map(archive);
+    let added = 0;
+
+    for (let day = 0; day < (points[0]?.forecasts || []).length; day++) {
+        const date = new Date(Date.UTC(generated.getUTCFullYear(), generated.getUTCMonth(), generated.getUTCDate() + day))
+            .toISOString().slice(0, 10);
+        if (merged.has(date)) continue;
+
+        let rows = summarizeDay(points, times, date);
+        if (rows.length === 0) {
+            rows = points.map(p => [p, p.forecasts?.[day]])
+                .filter(([, f]) => typeof f?.windSpeed === 'number' && typeof f.temperature === 'number')
+                .map(([p, f]) => [
+                    p.lat,
+                    p.lon,
+                    f.windSpeed,
+                    f.temperature,
+                    typeof f.precipitation === 'number' ? round1(f.precipitation * 24) : null
+                ]);
+        }
+        if (rows.length === 0) continue;
+        merged.set(date, rows.map(row => Object.fromEntries(FIELDS.map((field, i) => [field, row[i] ?? null]))));
+        added++;
+    }
+    return { archive: merged, added };
+}
+
+module.exports = {
+    ARCHIVE_DIR,
+    FIELDS,
+    summarizeDay,
+    archiveDay,
+    loadArchive,
+    withForecastDays
+};
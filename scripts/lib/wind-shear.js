@@ -0,0 +1,77 @@
+/**
+ * WindPowers - Hub-Height Wind Extrapolation
+ *
+ * yr.no reports wind at 10 m; turbines sit at 100-150 m where it blows
+ * harder. Speeds are extrapolated with the power law
+ *
+ *   v(h) = v(10 m) * (h / 10 m) ^ alpha
+ *
+ * with the exponent and hub height chosen per terrain (config/wind-shear.json).
+ * Grid points take the terrain of the nearest wind farm within
+ * `terrainRadiusKm`, otherwise `defaultTerrain`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { haversineDistance } = require('./geo');
+
+const PROFILE_FILE = path.join(__dirname, '../../config/wind-shear.json');
+
+function loadShearProfile(file = PROFILE_FILE) {
+    return JSON.parse(fs.readFileSync(file, 'utf-8'));
+}
+
+// Exponent and hub height for a terrain, falling back to the default terrain
+function getTerrainShear(terrain, profile) {
+    return profile.terrains[terrain] || profile.terrains[profile.defaultTerrain];
+}
+
+function hubHeightSpeed(speed, hubHeight, exponent, referenceHeight = 10) {
+    if (speed == null) return null;
+    return Math.round(speed * Math.pow(hubHeight / referenceHeight, exponent) * 10) / 10;
+}
+
+// Terrain of the nearest wind farm within the profile radius
+function getPointTerrain(lat, lon, turbines, profile) {
+    let nearest = null;
+    let minDistance = Infinity;
+    
+    for (const farm of turbines) {
+        const distance = haversineDistance(lat, lon, farm.lat, farm.lon);
+        if (distance < minDistance) {
+            minDistance = distance;
+            nearest = farm;
+        }
+    }
+    
+    if (nearest && minDistance <= profile.terrainRadiusKm && profile.terrains[nearest.type]) {
+        return nearest.type;
+    }
+    return profile.defaultTerrain;
+}
+
+// Add windSpeedHub next to windSpeed in a point's daily forecasts and hourly
+// series. Mutates and returns the point.
+function applyWindShear(point, turbines, profile) {
+    const terrain = getPointTerrain(point.lat, point.lon, turbines, profile);
+    const { exponent, hubHeight } = getTerrainShear(terrain, profile);
+    const extrapolate = speed => hubHeightSpeed(speed, hubHeight, exponent, profile.referenceHeight);
+    
+    point.terrain = terrain;
+    point.forecasts.forEach(forecast => {
+        forecast.windSpeedHub = extrapolate(forecast.windSpeed);
+    });
+    if (point.hourly) {
+        point.hourly.windSpeedHub = point.hourly.windSpeed.map(extrapolate);
+    }
+    
+    return point;
+}
+
+module.exports = {
+    loadShearProfile,
+    getTerrainShear,
+    hubHeightSpeed,
+    getPointTerrain,
+    applyWindShear
+};
@@ -0,0 +1,224 @@
+/**
+ * WindPowers - Binary wind tiles
+ *
+ * wind-data.json holds every grid point with every day and hour, several
+ * megabytes before the map can draw anything. The map only needs the points
+ * in view for the selected day, so each run is also cut into Web Mercator
+ * z/x/y tiles per forecast day with every value quantized to one byte:
+ *
+ *   public/data/wind-tiles/manifest.json
+ *   public/data/wind-tiles/<run>/<day>/<z>/<x>/<y>.bin
+ *
+ * A tile (little-endian):
+ *
+ *   0   "WPT1"
+ *   4   uint16  point count n
+ *   6   uint16  samples per point s: the day's 12:00 forecast, then the
+ *               hours of the day (manifest days[].start/count into times)
+ *   8   int16[n] latitude × 100, then int16[n] longitude × 100
+ *       uint8[n × s] per field in manifest order, point by point;
+ *       value = q × scale + offset, 255 = missing
+ *
+ * Days follow the UTC date of the run, so hours before it count to day 0.
+ * Zooms below 5 keep every second grid row and column. Tile paths contain
+ * the run, so tiles never change and can be cached for good; only the
+ * manifest points at the current run.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const TILE_DIR = path.join(__dirname, '../../public/data/wind-tiles');
+const TILE_URL = '/data/wind-tiles';
+const MAGIC = 'WPT1';
+const HEADER_BYTES = 8;
+const MISSING = 255;
+const MIN_ZOOM = 3;
+const MAX_ZOOM = 6;
+
+// One byte per value; the ranges cover Nordic weather with room to spare
+const TILE_FIELDS = [
+    { name: 'windSpeed', scale: 0.2, offset: 0 },       // 0-50.8 m/s
+    { name: 'windSpeedHub', scale: 0.2, offset: 0 },
+    { name: 'windDirection', scale: 2, offset: 0 },     // 0-358°
+    { name: 'temperature', scale: 0.5, offset: -60 },   // -60-+67 °C
+    { name: 'humidity', scale: 1, offset: 0 }           // %
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function quantize(value, field) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) return MISSING;
+    let q = Math.round((value - field.offset) / field.scale);
+    if (field.name === 'windDirection') q = ((q % 180) + 180) % 180;
+    return Math.max(0, Math.min(MISSING - 1, q));
+}
+
+function lonToTileX(lon, z) {
+    return Math.floor((lon + 180) / 360 * 2 ** z);
+}
+
+function latToTileY(lat, z) {
+    const radians = lat * Math.PI / 180;
+    return Math.floor((1 - Math.log(Math.tan(radians) + 1 / Math.cos(radians)) / Math.PI) / 2 * 2 ** z);
+}
+
+// Every `stride`th grid row and column
+function getStride(z) {
+    return z < 5 ? 2 : 1;
+}
+
+// Smallest spacing between grid rows or columns
+function getGridStep(points) {
+    const minStep = values => [...new Set(values)].sort((a, b) => a - b)
+        .reduce((step, v, i, sorted) => (i === 0 ? step : Math.min(step, v - sorted[i - 1])), Infinity);
+    return Math.min(minStep(points.map(p => p.lat)), minStep(points.map(p => p.lon)));
+}
+
+/**
+ * Forecast days of a run with their hours on the `times` axis.
+ * @returns {Array<{day: number, date: string, start: number, count: number}>}
+ */
+function getTileDays(windData) {
+    const times = windData.times || [];
+    const generated = windData.generated ? new Date(windData.generated) : new Date(times[0] || Date.now());
+    const firstDay = Date.UTC(generated.getUTCFullYear(), generated.getUTCMonth(), generated.getUTCDate());
+    const timeDays = times.map(t => Math.max(0, Math.floor((Date.parse(t) - firstDay) / DAY_MS)));
+    const forecastDays = (windData.data || []).flatMap(p => (p.forecasts || []).map(f => f.day));
+    const dayCount = Math.max(0, ...timeDays, ...forecastDays) + 1;
+
+    return Array.from({ length: dayCount }, (_, day) => {
+        const start = timeDays.indexOf(day);
+        return {
+            day,
+            date: new Date(firstDay + day * DAY_MS).toISOString().slice(0, 10),
+            start: start === -1 ? times.length : start,
+            count: timeDays.filter(d => d === day).length
+        };
+    });
+}
+
+function encodeTile(points, day) {
+    const samples = 1 + day.count;
+    const buffer = Buffer.alloc(HEADER_BYTES + points.length * 4 + TILE_FIELDS.length * points.length * samples);
+    buffer.write(MAGIC, 0, 'ascii');
+    buffer.writeUInt16LE(points.length, 4);
+    buffer.writeUInt16LE(samples, 6);
+
+    points.forEach((p, i) => {
+        buffer.writeInt16LE(Math.round(p.lat * 100), HEADER_BYTES + i * 2);
+        buffer.writeInt16LE(Math.round(p.lon * 100), HEADER_BYTES + (points.length + i) * 2);
+    });
+
+    let offset = HEADER_BYTES + points.length * 4;
+    TILE_FIELDS.forEach(field => {
+        points.forEach(p => {
+            const daily = (p.forecasts || []).find(f => f.day === day.day);
+            buffer[offset++] = quantize(daily?.[field.name], field);
+            for (let i = day.start; i < day.start + day.count; i++) {
+                buffer[offset++] = quantize(p.hourly?.[field.name]?.[i], field);
+            }
+        });
+    });
+    return buffer;
+}
+
+/**
+ * Cut a wind-data.json run into tiles.
+ * @returns {{manifest: object, tiles: Map<string, Buffer>}} tiles keyed by day/z/x/y
+ */
+function buildWindTiles(windData, { minZoom = MIN_ZOOM, maxZoom = MAX_ZOOM } = {}) {
+    const points = windData.data || [];
+    const step = getGridStep(points);
+    const south = Math.min(...points.map(p => p.lat));
+    const west = Math.min(...points.map(p => p.lon));
+    const run = new Date(windData.generated || Date.now()).toISOString().replace(/:/g, '-');
+    const days = getTileDays(windData);
+
+    // Points of every tile, per zoom
+    const tilePoints = new Map();
+    for (let z = minZoom; z <= maxZoom; z++) {
+        const stride = getStride(z);
+        points.forEach(p => {
+            const row = Number.isFinite(step) ? Math.round((p.lat - south) / step) : 0;
+            const column = Number.isFinite(step) ? Math.round((p.lon - west) / step) : 0;
+            if (row % stride !== 0 || column % stride !== 0) return;
+            const key = `${z}/${lonToTileX(p.lon, z)}/${latToTileY(p.lat, z)}`;
+            if (!tilePoints.has(key)) tilePoints.set(key, []);
+            tilePoints.get(key).push(p);
+        });
+    }
+
+    const tiles = new Map();
+    days.forEach(day => {
+        tilePoints.forEach((list, key) => tiles.set(`${day.day}/${key}`, encodeTile(list, day)));
+    });
+
+    const manifest = {
+        generated: windData.generated,
+        run,
+        format: MAGIC,
+        url: `${TILE_URL}/${run}/{day}/{z}/{x}/{y}.bin`,
+        minZoom,
+        maxZoom,
+        bounds: points.length > 0 ? {
+            south,
+            north: Math.max(...points.map(p => p.lat)),
+            west,
+            east: Math.max(...points.map(p => p.lon))
+        } : null,
+        step: Number.isFinite(step) ? step : null,
+        missing: MISSING,
+        fields: TILE_FIELDS,
+        times: windData.times || [],
+        days,
+        tiles: [...tilePoints.keys()].sort()
+    };
+    return { manifest, tiles };
+}
+
+/**
+ * Write the tiles of a run and point the manifest at them; tiles of runs
+ * before the previous one are removed.
+ * @returns {{run: string, tileCount: number, bytes: number}}
+ */
+function writeWindTiles(windData, { dir = TILE_DIR, ...options } = {}) {
+    const { manifest, tiles } = buildWindTiles(windData, options);
+    let bytes = 0;
+    tiles.forEach((buffer, key) => {
+        const file = path.join(dir, manifest.run, `${key}.bin`);
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, buffer);
+        bytes += buffer.length;
+    });
+
+    // The manifest goes last so it never names tiles that are not there yet.
+    // The previous run stays for clients that loaded its manifest.
+    const manifestFile = path.join(dir, 'manifest.json');
+    let previousRun = null;
+    try {
+        previousRun = JSON.parse(fs.readFileSync(manifestFile, 'utf-8')).run;
+    } catch (e) {
+        // First run
+    }
+    fs.writeFileSync(`${manifestFile}.tmp`, JSON.stringify(manifest));
+    fs.renameSync(`${manifestFile}.tmp`, manifestFile);
+
+    fs.readdirSync(dir, { withFileTypes: true })
+        .filter(entry => entry.isDirectory() && entry.name !== manifest.run && entry.name !== previousRun)
+        .forEach(entry => fs.rmSync(path.join(dir, entry.name), { recursive: true, force: true }));
+
+    return { run: manifest.run, tileCount: tiles.size, bytes };
+}
+
+module.exports = {
+    TILE_DIR,
+    TILE_FIELDS,
+    MIN_ZOOM,
+    MAX_ZOOM,
+    lonToTileX,
+    latToTileY,
+    getTileDays,
+    buildWindTiles,
+    writeWindTiles
+};
@@ -0,0 +1,171 @@
+/**
+ * WindPowers - Gradient-boosted regression trees price model
+ *
+ * Squared-error gradient boosting: starting from the mean price, each
+ * round fits a small regression tree to the current residuals and adds a
+ * shrunken copy of it to the ensemble. Trees split on raw feature values,
+ * so no scaling is needed, and they can pick up the non-linear wind/price
+ * cliff the linear model misses.
+ *
+ * Same interface as LinearRegression: fit(X, y), predict(x), save(file),
+ * load(file), plus `featureNames` and `metadata`.
+ */
+
+const fs = require('fs');
+
+const MODEL_VERSION = 1;
+
+class GradientBoostedTrees {
+    constructor({
+        nEstimators = 100,
+        learningRate = 0.1,
+        maxDepth = 3,
+        minSamplesLeaf = 3
+    } = {}) {
+        this.params = { nEstimators, learningRate, maxDepth, minSamplesLeaf };
+        this.base = 0;
+        this.trees = [];
+        this.featureNames = [];
+        this.metadata = {};
+    }
+
+    // Fit the ensemble to training data
+    fit(X, y) {
+        if (X.length === 0 || X.length !== y.length) {
+            throw new Error(`Cannot fit ${X.length} samples to ${y.length} targets`);
+        }
+        const { nEstimators, learningRate } = this.params;
+
+        this.base = y.reduce((a, b) => a + b, 0) / y.length;
+        this.trees = [];
+        const current = y.map(() => this.base);
+        const indices = X.map((_, i) => i);
+
+        for (let round = 0; round < nEstimators; round++) {
+            const residuals = y.map((v, i) => v - current[i]);
+            const tree = this.buildTree(X, residuals, indices, 0);
+            this.trees.push(tree);
+            X.forEach((x, i) => { current[i] += learningRate * evaluate(tree, x); });
+        }
+
+        this.validate();
+        return this;
+    }
+
+    // Greedy CART split minimising the squared error of the two children
+    buildTree(X, residuals, indices, depth) {
+        const leafValue = indices.reduce((sum, i) => sum + residuals[i], 0) / indices.length;
+        const { maxDepth, minSamplesLeaf } = this.params;
+        if (depth >= maxDepth || indices.length < 2 * minSamplesLeaf) return { value: leafValue };
+
+        const split = findBestSplit(X, residuals, indices, minSamplesLeaf);
+        if (!split) return { value: leafValue };
+
+        const left = indices.filter(i => X[i][split.feature] <= split.threshold);
+        const right = indices.filter(i => X[i][split.feature] > split.threshold);
+        return {
+            feature: split.feature,
+            threshold: split.threshold,
+            gain: split.gain,
+            left: this.buildTree(X, residuals, left, depth + 1),
+            right: this.buildTree(X, residuals, right, depth + 1)
+        };
+    }
+
+    // Predict single sample
+    predict(x) {
+        const { learningRate } = this.params;
+        return this.trees.reduce((sum, tree) => sum + learningRate * evaluate(tree, x), this.base);
+    }
+
+    // Total squared-error reduction per feature, normalised to sum to 1
+    getFeatureImportance() {
+        const importance = new Array(this.featureNames.length).fill(0);
+        const visit = node => {
+            if (node.value !== undefined) return;
+            importance[node.feature] = (importance[node.feature] || 0) + node.gain;
+            visit(node.left);
+            visit(node.right);
+        };
+        this.trees.forEach(visit);
+        const total = importance.reduce((a, b) => a + b, 0);
+        return importance.map(v => (total > 0 ? v / total : 0));
+    }
+
+    // Throw if any threshold or leaf value is NaN or infinite
+    validate() {
+        const finite = node => (node.value !== undefined
+            ? Number.isFinite(node.value)
+            : Number.isFinite(node.threshold) && finite(node.left) && finite(node.right));
+        if (!Number.isFinite(this.base) || !this.trees.every(finite)) {
+            throw new Error('Model diverged: tree values are not finite');
+        }
+        return this;
+    }
+
+    // Save model to JSON, refusing to write a diverged model
+    save(filepath) {
+        this.validate();
+        fs.writeFileSync(filepath, JSON.stringify({
+            type: 'gbt',
+            version: MODEL_VERSION,
+            params: this.params,
+            base: this.base,
+            trees: this.trees,
+            featureNames: this.featureNames,
+            metadata: this.metadata
+        }));
+    }
+
+    // Load model from JSON
+    load(filepath) {
+        const data = JSON.parse(fs.readFileSync(filepath, 'utf-8'));
+        if (data.type !== 'gbt' || data.version !== MODEL_VERSION) {
+            throw new Error(`${filepath} is not a version ${MODEL_VERSION} gbt model; retrain`);
+        }
+        this.params = data.params;
+        this.base = data.base;
+        this.trees = data.trees;
+        this.featureNames = data.featureNames;
+        this.metadata = data.metadata || {};
+        return this.validate();
+    }
+}
+
+function evaluate(node, x) {
+    while (node.value === undefined) {
+        node = x[node.feature] <= node.threshold ? node.left : node.right;
+    }
+    return node.value;
+}
+
+// Best (feature, threshold) by squared-error reduction, scanning sorted
+// values with running sums; thresholds sit halfway between distinct values
+function findBestSplit(X, residuals, indices, minSamplesLeaf) {
+    const n = indices.length;
+    const totalSum = indices.reduce((sum, i) => sum + residuals[i], 0);
+    const parentScore = totalSum * totalSum / n;
+    let best = null;
+
+    for (let feature = 0; feature < X[indices[0]].length; feature++) {
+        const sorted = [...indices].sort((a, b) => X[a][feature] - X[b][feature]);
+        let leftSum = 0;
+
+        for (let k = 0; k < n - 1; k++) {
+            leftSum += residuals[sorted[k]];
+            const leftCount = k + 1;
+            const value = X[sorted[k]][feature];
+            const next = X[sorted[k + 1]][feature];
+            if (value === next || leftCount < minSamplesLeaf || n - leftCount < minSamplesLeaf) continue;
+
+            const rightSum = totalSum - leftSum;
+            const gain = leftSum * leftSum / leftCount + rightSum * rightSum / (n - leftCount) - parentScore;
+            if (gain > 1e-12 && (!best || gain > best.gain)) {
+                best = { feature, threshold: (value + next) / 2, gain };
+            }
+        }
+    }
+    return best;
+}
+
+module.exports = { GradientBoostedTrees };
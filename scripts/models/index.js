@@ -0,0 +1,45 @@
+/**
+ * WindPowers - Price model registry
+ *
+ * Every model implements fit(X, y), predict(x), save(file) and load(file)
+ * and carries `featureNames` and `metadata`, so the predictor can swap them
+ * freely. Saved files record their `type`; loadModel() picks the class.
+ */
+
+const fs = require('fs');
+const { LinearRegression } = require('./linear-regression');
+const { GradientBoostedTrees } = require('./gbt');
+
+const MODELS = {
+    linear: { label: 'LinearRegression v2', Model: LinearRegression },
+    gbt: { label: 'GradientBoostedTrees v1', Model: GradientBoostedTrees }
+};
+
+const DEFAULT_MODEL = 'linear';
+
+function getModelEntry(name) {
+    const entry = MODELS[name];
+    if (!entry) {
+        throw new Error(`Unknown model "${name}". Available: ${Object.keys(MODELS).join(', ')}`);
+    }
+    return entry;
+}
+
+function createModel(name = DEFAULT_MODEL, options) {
+    return new (getModelEntry(name).Model)(options);
+}
+
+// Load a saved model of any type; returns { name, model }
+function loadModel(filepath) {
+    const { type } = JSON.parse(fs.readFileSync(filepath, 'utf-8'));
+    const name = type || DEFAULT_MODEL;
+    return { name, model: createModel(name).load(filepath) };
+}
+
+module.exports = {
+    MODELS,
+    DEFAULT_MODEL,
+    getModelEntry,
+    createModel,
+    loadModel
+};
@@ -0,0 +1,197 @@
+/**
+ * WindPowers - Linear regression price model
+ *
+ * Ordinary least squares with an optional ridge penalty, solved in closed
+ * form with a Householder QR factorisation instead of gradient descent.
+ * Features are standardised (zero mean, unit variance) before fitting and
+ * the scaling is saved with the model, so raw feature vectors can be passed
+ * to predict(). Constant features (zero variance in the training set) get
+ * a zero weight.
+ *
+ * Models whose coefficients are not finite are never saved or loaded.
+ * `metadata` is saved as-is for whatever the trainer wants to keep with the
+ * model (e.g. residual quantiles for prediction intervals).
+ */
+
+const fs = require('fs');
+
+const MODEL_VERSION = 2;
+
+class LinearRegression {
+    constructor({ lambda = 0.1 } = {}) {
+        this.lambda = lambda;
+        this.weights = null;
+        this.bias = 0;
+        this.scaling = null;
+        this.featureNames = [];
+        this.metadata = {};
+    }
+
+    // Fit the model to training data
+    fit(X, y) {
+        if (X.length === 0 || X.length !== y.length) {
+            throw new Error(`Cannot fit ${X.length} samples to ${y.length} targets`);
+        }
+        const numFeatures = X[0].length;
+
+        this.scaling = standardize(X);
+        const active = [];
+        for (let j = 0; j < numFeatures; j++) {
+            if (this.scaling.std[j] > 0) active.push(j);
+        }
+
+        const meanY = y.reduce((a, b) => a + b, 0) / y.length;
+        const Z = X.map(x => active.map(j => (x[j] - this.scaling.mean[j]) / this.scaling.std[j]));
+        const target = y.map(v => v - meanY);
+
+        // Ridge as an augmented least-squares problem: [Z; sqrt(λ)I] w = [y; 0]
+        if (this.lambda > 0) {
+            const root = Math.sqrt(this.lambda);
+            active.forEach((_, k) => {
+                Z.push(active.map((__, m) => (m === k ? root : 0)));
+                target.push(0);
+            });
+        }
+
+        const solved = solveLeastSquares(Z, target);
+        this.weights = new Array(numFeatures).fill(0);
+        active.forEach((j, k) => { this.weights[j] = solved[k]; });
+        this.bias = meanY;
+
+        this.validate();
+        return this;
+    }
+
+    // Predict single sample (raw, unscaled features)
+    predict(x) {
+        if (!this.weights) return 0;
+        return x.reduce((sum, val, i) => {
+            if (this.scaling.std[i] === 0) return sum;
+            return sum + (val - this.scaling.mean[i]) / this.scaling.std[i] * this.weights[i];
+        }, this.bias);
+    }
+
+    // Throw if any coefficient diverged to NaN or infinity
+    validate() {
+        const values = [this.bias, ...(this.weights || []), ...(this.scaling?.mean || []), ...(this.scaling?.std || [])];
+        if (!this.weights || !this.scaling || this.weights.length !== this.scaling.mean.length) {
+            throw new Error('Model is missing weights or feature scaling');
+        }
+        if (!values.every(Number.isFinite)) {
+            throw new Error('Model diverged: coefficients are not finite');
+        }
+        return this;
+    }
+
+    // Get model coefficients for interpretation (weights are per standard deviation)
+    getCoefficients() {
+        return {
+            type: 'linear',
+            version: MODEL_VERSION,
+            weights: this.weights,
+            bias: this.bias,
+            scaling: this.scaling,
+            lambda: this.lambda,
+            featureNames: this.featureNames,
+            metadata: this.metadata
+        };
+    }
+
+    // Save model to JSON, refusing to write a diverged model
+    save(filepath) {
+        this.validate();
+        fs.writeFileSync(filepath, JSON.stringify(this.getCoefficients(), null, 2));
+    }
+
+    // Load model from JSON; files from the old gradient-descent model have
+    // no scaling and are rejected so the caller retrains
+    load(filepath) {
+        const data = JSON.parse(fs.readFileSync(filepath, 'utf-8'));
+        if (data.version !== MODEL_VERSION) {
+            throw new Error(`${filepath} is not a version ${MODEL_VERSION} model; retrain`);
+        }
+        this.weights = data.weights;
+        this.bias = data.bias;
+        this.scaling = data.scaling;
+        this.lambda = data.lambda;
+        this.featureNames = data.featureNames;
+        this.metadata = data.metadata || {};
+        return this.validate();
+    }
+}
+
+// Column means and (population) standard deviations
+function standardize(X) {
+    const n = X.length;
+    const numFeatures = X[0].length;
+    const mean = new Array(numFeatures).fill(0);
+    const std = new Array(numFeatures).fill(0);
+
+    X.forEach(x => x.forEach((v, j) => { mean[j] += v / n; }));
+    X.forEach(x => x.forEach((v, j) => { std[j] += (v - mean[j]) ** 2 / n; }));
+
+    return {
+        mean,
+        // Relative threshold so floating-point noise on a constant column is not scaled up
+        std: std.map((v, j) => {
+            const s = Math.sqrt(v);
+            return s > 1e-12 * Math.max(1, Math.abs(mean[j])) ? s : 0;
+        })
+    };
+}
+
+// Minimise ||A w - b|| with Householder QR. A is m x n with m >= n.
+function solveLeastSquares(A, b) {
+    const m = A.length;
+    const n = A[0]?.length || 0;
+    if (n === 0) return [];
+    if (m < n) throw new Error(`Underdetermined system: ${m} rows for ${n} unknowns`);
+
+    const R = A.map(row => row.slice());
+    const qtb = b.slice();
+
+    for (let k = 0; k < n; k++) {
+        let norm = 0;
+        for (let i = k; i < m; i++) norm += R[i][k] ** 2;
+        norm = Math.sqrt(norm);
+        if (norm === 0) continue;
+
+        const alpha = R[k][k] > 0 ? -norm : norm;
+        const v = new Array(m).fill(0);
+        v[k] = R[k][k] - alpha;
+        for (let i = k + 1; i < m; i++) v[i] = R[i][k];
+        const vNorm2 = v.reduce((sum, vi) => sum + vi * vi, 0);
+        if (vNorm2 === 0) continue;
+
+        // Apply H = I - 2vv'/v'v to the remaining columns and to b
+        for (let j = k; j < n; j++) {
+            let dot = 0;
+            for (let i = k; i < m; i++) dot += v[i] * R[i][j];
+            const f = 2 * dot / vNorm2;
+            for (let i = k; i < m; i++) R[i][j] -= f * v[i];
+        }
+        let dot = 0;
+        for (let i = k; i < m; i++) dot += v[i] * qtb[i];
+        const f = 2 * dot / vNorm2;
+        for (let i = k; i < m; i++) qtb[i] -= f * v[i];
+    }
+
+    // Back substitution on the upper triangle
+    const scale = Math.max(...R.slice(0, n).map((row, i) => Math.abs(row[i])));
+    const w = new Array(n).fill(0);
+    for (let i = n - 1; i >= 0; i--) {
+        if (Math.abs(R[i][i]) <= 1e-12 * scale) {
+            throw new Error('Singular design matrix: features are collinear (use a ridge penalty)');
+        }
+        let sum = qtb[i];
+        for (let j = i + 1; j < n; j++) sum -= R[i][j] * w[j];
+        w[i] = sum / R[i][i];
+    }
+    return w;
+}
+
+module.exports = {
+    LinearRegression,
+    solveLeastSquares,
+    standardize
+};
@@ -1,144 +1,145 @@
 /**
  * WindPowers - Electricity Price Prediction Model
  * 
- * Predicts electricity prices based on:
- * - Wind speed (low wind = high prices, especially in winter)
- * - Temperature (cold = high demand = high prices)
- * - Time of day and day of week
- * - Historical patterns
+ * Predicts electricity prices based on (scripts/lib/price-features.js):
+ * - Wind at the wind farms (low wind = high prices, especially in winter)
+ * - Temperature and heating demand where people live
+ * - Day of week and public holidays
+ * - Recent prices (D-1, D-7)
+ *
+ * The models forecast each day's average price; the curve within the day
+ * comes from intraday profiles learned from past prices per day type and
+ * season (scripts/lib/price-shape.js).
  * 
- * Model: Multiple Linear Regression (simple but effective)
- * Can be upgraded to XGBoost or Neural Network later
+ * Models (scripts/models/, selected with --model):
+ *   linear  Multiple Linear Regression, solved in closed form with ridge
+ *           regularisation (default)
+ *   gbt     Gradient-boosted regression trees, for non-linear effects
+ * 
+ * One model per bidding zone, trained on the wind grid points inside that
+ * zone (config/bidding-zones.json). Price days are joined to the weather
+ * archived for that date (data/weather-archive, see backfill-weather.js;
+ * days it does not hold yet are read from the current wind forecast) and
+ * to the prices one and seven days before; days without weather or without
+ * those prices are left out of training. Usage:
+ *   node scripts/price-prediction.js [--train] [--predict] [--backtest] [--model gbt] [--area=FI,SE3]
+ *
+ * --backtest writes a rolling-origin skill report (public/data/backtest-report.json)
+ * comparing the model with naive baselines; see scripts/lib/backtest.js.
  */
 
 const fs = require('fs');
 const path = require('path');
+const { LinearRegression } = require('./models/linear-regression');
+const { DEFAULT_MODEL, getModelEntry, createModel, loadModel } = require('./models');
+const { BIDDING_ZONES, getZone, getZonePoints, getRecordArea } = require('./lib/bidding-zones');
+const { normalizePriceRecord, getLocalHourlyPrices } = require('./lib/price-records');
+const { loadPriceArchive, mergePriceHistory } = require('./lib/price-archive');
+const { rollingOriginBacktest } = require('./lib/backtest');
+const { quantiles } = require('./lib/quantiles');
+const { loadArchive, summarizeDay, withForecastDays } = require('./lib/weather-archive');
+const { getZonedParts, zonedMidnight, addDays } = require('./lib/time-zone');
+const {
+    FEATURE_NAMES,
+    getZoneRegions,
+    getFeatures,
+    getFeatureNames,
+    summarizeZoneWeather,
+    extractFeatures,
+    createPriceLags
+} = require('./lib/price-features');
+const { learnShape, getShapeProfile, getSlotShape } = require('./lib/price-shape');
+const { saveVintage, compactPredictions } = require('./lib/vintages');
 
 const CONFIG = {
     windDataFile: path.join(__dirname, '../public/data/wind-data.json'),
     priceDataFile: path.join(__dirname, '../public/data/nordpool-prices.json'),
-    modelFile: path.join(__dirname, '../public/data/prediction-model.json'),
-    predictionFile: path.join(__dirname, '../public/data/price-predictions.json')
+    modelDir: path.join(__dirname, '../public/data/models'),
+    predictionFile: path.join(__dirname, '../public/data/price-predictions.json'),
+    backtestFile: path.join(__dirname, '../public/data/backtest-report.json'),
+    // History a backtest model needs before its first forecast origin
+    backtestMinTrainingDays: 14,
+    // Prediction interval levels (P10/P50/P90) and the residuals an hour of
+    // day needs before it gets its own quantiles instead of the pooled ones
+    quantileLevels: [0.1, 0.5, 0.9],
+    minResidualsPerHour: 10,
+    // Training days before a model publishes bands at all; a few days of a
+    // fresh archive fit almost perfectly and would give a band of zero width
+    minBandDays: 7
 };
 
-// Simple Linear Regression implementation
-class LinearRegression {
-    constructor() {
-        this.weights = null;
-        this.bias = 0;
-        this.featureNames = [];
-    }
-    
-    // Fit the model to training data
-    fit(X, y) {
-        const n = X.length;
-        const numFeatures = X[0].length;
-        
-        // Initialize weights
-        this.weights = new Array(numFeatures).fill(0);
-        
-        // Gradient descent
-        const learningRate = 0.01;
-        const iterations = 1000;
-        
-        for (let iter = 0; iter < iterations; iter++) {
-            const predictions = X.map(x => this.predict(x));
-            
-            // Calculate gradients
-            const errors = predictions.map((p, i) => p - y[i]);
-            
-            // Update weights
-            for (let j = 0; j < numFeatures; j++) {
-                const gradient = errors.reduce((sum, e, i) => sum + e * X[i][j], 0) / n;
-                this.weights[j] -= learningRate * gradient;
-            }
-            
-            // Update bias
-            const biasGradient = errors.reduce((sum, e) => sum + e, 0) / n;
-            this.bias -= learningRate * biasGradient;
-        }
-        
-        return this;
-    }
-    
-    // Predict single sample
-    predict(x) {
-        if (!this.weights) return 0;
-        return x.reduce((sum, val, i) => sum + val * this.weights[i], this.bias);
-    }
-    
-    // Get model coefficients for interpretation
-    getCoefficients() {
-        return {
-            weights: this.weights,
-            bias: this.bias,
-            featureNames: this.featureNames
-        };
-    }
-    
-    // Save model to JSON
-    save(filepath) {
-        fs.writeFileSync(filepath, JSON.stringify(this.getCoefficients(), null, 2));
-    }
-    
-    // Load model from JSON
-    load(filepath) {
-        const data = JSON.parse(fs.readFileSync(filepath, 'utf-8'));
-        this.weights = data.weights;
-        this.bias = data.bias;
-        this.featureNames = data.featureNames;
-        return this;
-    }
+const round2 = value => Math.round(value * 100) / 100;
+
+function getModelFile(area) {
+    return path.join(CONFIG.modelDir, `${area}.json`);
 }
 
-// Feature extraction. dayIndexInPriceData = 0..N; for 0..8 we use wind forecast for that day;
-// for older dates we use synthetic values (no historical weather API).
-function extractFeatures(windData, priceData, targetDate, dayIndexInPriceData) {
-    const finlandPoints = (windData && Array.isArray(windData)) ? windData.filter(p => p.lat >= 60 && p.lat <= 70 && p.lon >= 20 && p.lon <= 32) : [];
-    const hasForecastForDay = dayIndexInPriceData >= 0 && dayIndexInPriceData < 9 && finlandPoints.length > 0;
+const zoneWeatherCache = new WeakMap();
 
-    let avgWindSpeed, avgTemperature;
-    if (hasForecastForDay) {
-        avgWindSpeed = finlandPoints.reduce((sum, p) => sum + (p.forecasts[dayIndexInPriceData]?.windSpeed || 0), 0) / (finlandPoints.length || 1);
-        avgTemperature = finlandPoints.reduce((sum, p) => sum + (p.forecasts[dayIndexInPriceData]?.temperature || 0), 0) / (finlandPoints.length || 1);
-    } else {
-        // Synthetic values for historical dates (reproducible from date string)
-        const seed = String(targetDate).split('').reduce((a, c) => a + c.charCodeAt(0), 0);
-        avgWindSpeed = 3 + (seed % 100) / 100 * 8;
-        avgTemperature = -5 + (seed % 100) / 100 * 20;
+// Zone weather summary of the archived weather for a date, or null when
+// the zone has no archived points that day. Cached per archive, as
+// backtests ask for the same days over and over.
+function getZoneWeather(archive, date, area) {
+    if (!zoneWeatherCache.has(archive)) zoneWeatherCache.set(archive, new Map());
+    const cache = zoneWeatherCache.get(archive);
+    const key = `${area}/${date}`;
+    if (!cache.has(key)) {
+        const grid = archive.get(date) || [];
+        cache.set(key, getZonePoints(grid, area).length > 0 ? summarizeZoneWeather(grid, area) : null);
     }
+    return cache.get(key);
+}
 
-    const date = new Date(targetDate);
-    const hour = date.getHours();
-    const dayOfWeek = date.getDay();
-    const month = date.getMonth();
-    const isWinter = month >= 10 || month <= 2 ? 1 : 0;
-    const isWeekend = dayOfWeek === 0 || dayOfWeek === 6 ? 1 : 0;
-    const isMorningPeak = (hour >= 7 && hour <= 9) ? 1 : 0;
-    const isEveningPeak = (hour >= 17 && hour <= 20) ? 1 : 0;
-
-    return [
-        avgWindSpeed,
-        avgTemperature,
-        isWinter,
-        isMorningPeak,
-        isEveningPeak,
-        isWeekend,
-        avgWindSpeed * isWinter
-    ];
+// Zone-level part of the feature context
+function getZoneContext(area) {
+    return { country: getZone(area).country, regions: getZoneRegions(area) };
 }
 
-// Train prediction model
-async function trainModel() {
-    console.log('Training Price Prediction Model');
-    console.log('===============================\n');
-    
-    // Load data
-    let windData, priceData;
+// Model prediction with unknown features (null) replaced by their
+// training mean
+function predictPrice(model, features) {
+    const means = model.metadata?.featureMeans || {};
+    return model.predict(features.map((value, j) => value ?? means[model.featureNames[j]] ?? 0));
+}
+
+// Daily average price per date for one zone
+function getPriceHistory(zonePrices) {
+    return new Map(zonePrices
+        .filter(r => typeof r.avgPrice === 'number')
+        .map(r => [r.date, r.avgPrice]));
+}
+
+// Price of every local hour of a day: the daily level plus the intraday
+// shape learned with the model
+function predictHours(model, level, date) {
+    const profile = getShapeProfile(model.metadata?.shape, date);
+    return new Map(Array.from({ length: 24 }, (_, hour) => [hour, level + getSlotShape(profile, hour, 0, 60)]));
+}
+
+// Per-date feature context (country, regions, lagged prices) for
+// forecasting. Lags beyond the known prices come from the model's own
+// daily forecast for the days before; lags that cannot be resolved stay
+// null and predictPrice() uses their training mean.
+function createFeatureContext(model, area, history, weatherFor) {
+    const zoneContext = getZoneContext(area);
+    const lagsFor = createPriceLags(history, date => {
+        const weather = weatherFor(date);
+        if (!weather) return null;
+        return predictPrice(model, extractFeatures(weather, date, contextFor(date)));
+    });
+    const contextFor = date => ({ ...zoneContext, ...lagsFor(date) });
+    return contextFor;
+}
+
+// Load wind grid and price history, falling back to sample data
+function loadInputs() {
+    let windData, priceData, windTimes = [], windGenerated;
     
     try {
         const windFile = JSON.parse(fs.readFileSync(CONFIG.windDataFile, 'utf-8'));
         windData = windFile.data || windFile;
+        windTimes = windFile.times || [];
+        windGenerated = windFile.generated;
         const priceFile = JSON.parse(fs.readFileSync(CONFIG.priceDataFile, 'utf-8'));
         priceData = priceFile.data || priceFile;
     } catch (e) {
@@ -153,43 +154,145 @@ async function trainModel() {
         console.log('Price data missing or invalid; using sample price data.');
         priceData = generateSamplePriceData();
     }
+    // Old files carry 24 `hourlyPrices`; bring everything to the interval schema
+    priceData = priceData.map(r => normalizePriceRecord(r, getZone(getRecordArea(r)).timeZone));
+    // Older days from data/price-archive extend the few weeks in the file
+    priceData = mergePriceHistory(loadPriceArchive(), priceData);
+    
+    // Weather that actually happened on past price days (data/weather-archive),
+    // plus the days of the current run the archive does not hold yet
+    const { archive: weatherArchive, added } = withForecastDays(loadArchive(), {
+        generated: windGenerated,
+        times: windTimes,
+        data: windData
+    });
+    if (added > 0) console.log(`Weather of ${added} days taken from the current forecast`);
+    return { windData, windTimes, priceData, weatherArchive };
+}
 
-    console.log(`Wind data points: ${windData.length}`);
-    console.log(`Price data records: ${priceData.length}`);
+// Market time unit of the most recent price day for a zone (minutes)
+function getLatestResolution(priceData, area) {
+    const zoneRecords = priceData.filter(r => getRecordArea(r) === area && r.prices.length > 0);
+    return zoneRecords.length > 0 ? zoneRecords[zoneRecords.length - 1].resolution : 60;
+}
 
+// Bidding zones present in the price history, in config order
+function getPriceAreas(priceData) {
+    const present = new Set(priceData.map(getRecordArea));
+    return Object.keys(BIDDING_ZONES).filter(area => present.has(area));
+}
+
+// Join every price day to the weather archived for that date and the
+// prices one and seven days before; days missing any of them are skipped
+function buildTrainingSet(zonePrices, weatherArchive, area) {
+    const zoneContext = getZoneContext(area);
+    const history = getPriceHistory(zonePrices);
     const X = [];
     const y = [];
+    const days = [];
 
-    priceData.forEach((dayData, index) => {
-        const features = extractFeatures(windData, priceData, dayData.date, index);
-        X.push(features);
-        y.push(dayData.avgPrice || 50);
+    zonePrices.forEach(dayData => {
+        const weather = getZoneWeather(weatherArchive, dayData.date, area);
+        const priceLag1 = history.get(addDays(dayData.date, -1));
+        const priceLag7 = history.get(addDays(dayData.date, -7));
+        if (!weather || typeof dayData.avgPrice !== 'number' || priceLag1 === undefined || priceLag7 === undefined) return;
+        const context = { ...zoneContext, priceLag1, priceLag7 };
+        X.push(extractFeatures(weather, dayData.date, context));
+        y.push(dayData.avgPrice);
+        days.push({ record: dayData, weather, context });
     });
+    return { X, y, days };
+}
+
+// Quantiles of the training residuals (actual - predicted), per local hour
+// of day and for the daily average. Added to a point forecast they give
+// the P10/P50/P90 band. They describe model error given the weather, not
+// the uncertainty of the weather forecast itself.
+function computeResidualQuantiles(model, days, timeZone) {
+    const hourly = Array.from({ length: 24 }, () => []);
+    const daily = [];
     
-    console.log(`Training samples: ${X.length}`);
+    days.forEach(({ record, weather, context }) => {
+        const level = predictPrice(model, extractFeatures(weather, record.date, context));
+        const predicted = predictHours(model, level, record.date);
+        const actual = record.prices.length > 0 ? getLocalHourlyPrices(record, timeZone) : new Map();
+        actual.forEach((price, hour) => hourly[hour].push(price - predicted.get(hour)));
+        daily.push(record.avgPrice - level);
+    });
     
-    // Train model
-    const model = new LinearRegression();
-    model.featureNames = [
-        'windSpeed',
-        'temperature', 
-        'isWinter',
-        'isMorningPeak',
-        'isEveningPeak',
-        'isWeekend',
-        'windSpeed_x_isWinter'
-    ];
+    const levels = CONFIG.quantileLevels;
+    const pooled = hourly.flat();
+    const round = values => values.map(v => (v === null ? null : Math.round(v * 100) / 100));
+    return {
+        levels,
+        daily: round(quantiles(daily, levels)),
+        hourly: pooled.length === 0 ? null : hourly.map(residuals =>
+            round(quantiles(residuals.length >= CONFIG.minResidualsPerHour ? residuals : pooled, levels))
+        )
+    };
+}
+
+// Fit a zone's model. Unknown values (null, e.g. precipitation on days
+// archived before it was fetched) are replaced in X by the mean of the
+// known ones, which is saved for predictPrice() to do the same. The
+// intraday shape is learned from `shapeRecords`, which need no weather.
+function fitPriceModel(area, X, y, modelName = DEFAULT_MODEL, shapeRecords = []) {
+    const features = getFeatures(area);
+    const means = features.map((_, j) => {
+        const known = X.map(x => x[j]).filter(v => v !== null);
+        return known.length > 0 ? round2(known.reduce((a, b) => a + b, 0) / known.length) : 0;
+    });
+    X.forEach(x => x.forEach((value, j) => { if (value === null) x[j] = means[j]; }));
     
+    const model = createModel(modelName);
+    model.featureNames = features.map(f => f.name);
     model.fit(X, y);
+    model.metadata.featureDescriptions = Object.fromEntries(features.map(f => [f.name, f.description]));
+    model.metadata.featureMeans = Object.fromEntries(features.map((f, j) => [f.name, means[j]]));
+    const { timeZone, country } = getZone(area);
+    model.metadata.shape = learnShape(shapeRecords, timeZone, country);
+    return model;
+}
+
+// Train prediction model for one bidding zone
+async function trainModel(area, { priceData, weatherArchive } = loadInputs(), modelName = DEFAULT_MODEL) {
+    console.log(`Training Price Prediction Model (${area}, ${getModelEntry(modelName).label})`);
+    console.log('===============================\n');
+
+    const zonePrices = priceData.filter(r => getRecordArea(r) === area);
+    if (zonePrices.length === 0) {
+        throw new Error(`No price history for ${area}`);
+    }
+
+    console.log(`Price data records: ${zonePrices.length}`);
+    console.log(`Archived weather days: ${weatherArchive.size}`);
+
+    const { X, y, days } = buildTrainingSet(zonePrices, weatherArchive, area);
+    
+    console.log(`Training samples: ${X.length} (price days with archived weather and D-1/D-7 prices)`);
+    if (X.length === 0) {
+        throw new Error(`No price days for ${area} with archived weather and a week of prices before them; run scripts/backfill-weather.js or let the daily fetch build up the archive`);
+    }
+    
+    // Train model
+    const model = fitPriceModel(area, X, y, modelName, zonePrices);
     
     // Print model interpretation
-    console.log('\nModel Coefficients:');
-    model.featureNames.forEach((name, i) => {
-        const weight = model.weights[i].toFixed(3);
-        const direction = weight > 0 ? '↑' : '↓';
-        console.log(`  ${name}: ${weight} ${direction}`);
-    });
-    console.log(`  bias: ${model.bias.toFixed(3)}`);
+    if (model.getFeatureImportance) {
+        console.log('\nFeature Importance:');
+        const importance = model.getFeatureImportance();
+        model.featureNames.forEach((name, i) => {
+            console.log(`  ${name}: ${(importance[i] * 100).toFixed(1)}%`);
+        });
+    } else {
+        console.log('\nModel Coefficients (per standard deviation):');
+        model.featureNames.forEach((name, i) => {
+            const weight = model.weights[i].toFixed(3);
+            const direction = weight > 0 ? '↑' : '↓';
+            console.log(`  ${name}: ${weight} ${direction}`);
+        });
+        console.log(`  bias: ${model.bias.toFixed(3)}`);
+    }
     
     // Calculate R² score
     const predictions = X.map(x => model.predict(x));
@@ -198,77 +301,99 @@ async function trainModel() {
     const ssTot = y.reduce((sum, val) => sum + Math.pow(val - meanY, 2), 0);
     const r2 = 1 - ssRes / ssTot;
     
-    console.log(`\nModel R² Score: ${(r2 * 100).toFixed(1)}%`);
+    console.log(`\nModel R² Score (daily average): ${(r2 * 100).toFixed(1)}%`);
+    const profiles = Object.entries(model.metadata.shape.profiles);
+    console.log(`Intraday profiles: ${profiles.length > 0 ? profiles.map(([key, p]) => `${key} (${p.days} days)`).join(', ') : 'none, flat curve'}`);
+    
+    // Prediction intervals from the residual distribution
+    if (days.length >= CONFIG.minBandDays) {
+        model.metadata.residualQuantiles = computeResidualQuantiles(model, days, getZone(area).timeZone);
+        const [low, , high] = model.metadata.residualQuantiles.daily;
+        console.log(`Daily P10-P90 residual band: ${low.toFixed(1)} to ${high.toFixed(1)} €/MWh`);
+    } else {
+        console.log(`No P10-P90 band until ${CONFIG.minBandDays} training days`);
+    }
     
     // Save model
-    model.save(CONFIG.modelFile);
-    console.log(`\nModel saved to ${CONFIG.modelFile}`);
+    fs.mkdirSync(CONFIG.modelDir, { recursive: true });
+    const modelFile = getModelFile(area);
+    model.save(modelFile);
+    console.log(`\nModel saved to ${modelFile}`);
     
     return model;
 }
 
-// Generate predictions for next 9 days
-async function generatePredictions() {
-    console.log('\nGenerating Predictions...');
-    
-    let model;
-    try {
-        model = new LinearRegression().load(CONFIG.modelFile);
-    } catch (e) {
-        console.log('No trained model found. Training first...');
-        model = await trainModel();
-    }
-    
-    // Load current wind forecast
-    let windData;
-    try {
-        const windFile = JSON.parse(fs.readFileSync(CONFIG.windDataFile, 'utf-8'));
-        windData = windFile.data || windFile;
-    } catch (e) {
-        windData = generateSampleWindData();
-    }
-    
+// P10/P50/P90 around a point forecast from residual quantiles; empty when
+// the model was saved without them
+function withBand(price, residuals) {
+    if (!Array.isArray(residuals) || residuals.some(r => typeof r !== 'number')) return {};
+    const [p10, p50, p90] = residuals.map(r => round2(price + r));
+    return { p10, p50, p90 };
+}
+
+// Zone weather for one forecast day: daily means, like the archived
+// weather the model was trained on; the 12:00 snapshot beyond the hourly
+// series
+function getForecastWeather(points, times, date, day, area) {
+    const dailyMeans = summarizeDay(points, times, date);
+    const grid = dailyMeans.length > 0
+        ? dailyMeans.map(([lat, lon, windSpeed, temperature, precipitation]) => ({ lat, lon, windSpeed, temperature, precipitation }))
+        : points.map(p => ({
+            lat: p.lat,
+            lon: p.lon,
+            windSpeed: p.forecasts[day]?.windSpeed || 5,
+            temperature: p.forecasts[day]?.temperature || 0,
+            precipitation: typeof p.forecasts[day]?.precipitation === 'number' ? p.forecasts[day].precipitation * 24 : null
+        }));
+    return summarizeZoneWeather(grid, area);
+}
+
+// 9-day forecast for one zone from its model and the wind grid (the zone's
+// and its regions' points are picked from it).
+// Days are local market days; each gets one slot per `resolution` minutes,
+// so DST days have 23 or 25 hours of slots. `history` (date -> daily
+// average price) supplies the lagged prices.
+function predictZone(model, area, points, now = new Date(), resolution = 60, times = [], history = new Map()) {
+    const { timeZone } = getZone(area);
+    const today = getZonedParts(now, timeZone).date;
+    const bands = model.metadata?.residualQuantiles;
     const predictions = [];
-    const now = new Date();
+    
+    const forecastDates = Array.from({ length: 9 }, (_, day) => addDays(today, day));
+    const forecastWeather = new Map(forecastDates.map((date, day) =>
+        [date, getForecastWeather(points, times, date, day, area)]
+    ));
+    const contextFor = createFeatureContext(model, area, history, date => forecastWeather.get(date) || null);
     
     for (let day = 0; day < 9; day++) {
-        const targetDate = new Date(now);
-        targetDate.setDate(targetDate.getDate() + day);
+        const targetDate = forecastDates[day];
+        const weather = forecastWeather.get(targetDate);
+        const level = predictPrice(model, extractFeatures(weather, targetDate, contextFor(targetDate)));
+        const profile = getShapeProfile(model.metadata?.shape, targetDate);
         
-        // Get wind forecast for this day
-        const finlandPoints = windData.filter(p => p.lat >= 60 && p.lat <= 70 && p.lon >= 20 && p.lon <= 32);
-        
-        const avgWindSpeed = finlandPoints.reduce((sum, p) => {
-            const forecast = p.forecasts[day];
-            return sum + (forecast?.windSpeed || 5);
-        }, 0) / (finlandPoints.length || 1);
-        
-        const avgTemperature = finlandPoints.reduce((sum, p) => {
-            const forecast = p.forecasts[day];
-            return sum + (forecast?.temperature || 0);
-        }, 0) / (finlandPoints.length || 1);
-        
-        // Predict for different hours
+        // Daily level plus the intraday shape for every market time unit
         const hourlyPredictions = [];
-        for (let hour = 0; hour < 24; hour++) {
-            const date = new Date(targetDate);
-            date.setHours(hour);
-            
-            const features = [
-                avgWindSpeed,
-                avgTemperature,
-                (date.getMonth() >= 10 || date.getMonth() <= 2) ? 1 : 0,
-                (hour >= 7 && hour <= 9) ? 1 : 0,
-                (hour >= 17 && hour <= 20) ? 1 : 0,
-                (date.getDay() === 0 || date.getDay() === 6) ? 1 : 0,
-                avgWindSpeed * ((date.getMonth() >= 10 || date.getMonth() <= 2) ? 1 : 0)
-            ];
+        const pointForecasts = [];
+        const dayEnd = zonedMidnight(addDays(targetDate, 1), timeZone).getTime();
+        for (let t = zonedMidnight(targetDate, timeZone).getTime(); t < dayEnd; t += resolution * 60000) {
+            const { hour, minute } = getZonedParts(t, timeZone);
             
-            const price = Math.max(0, model.predict(features));
-            hourlyPredictions.push({ hour, price: Math.round(price * 100) / 100 });
+            // Not clamped: Nordic day-ahead prices do go negative
+            const price = level + getSlotShape(profile, hour, minute, resolution);
+            pointForecasts.push(price);
+            const band = withBand(price, bands?.hourly?.[hour]);
+            hourlyPredictions.push({
+                hour,
+                start: new Date(t).toISOString(),
+                end: new Date(t + resolution * 60000).toISOString(),
+                price: band.p50 ?? round2(price),
+                ...band
+            });
         }
         
-        const avgPrice = hourlyPredictions.reduce((sum, h) => sum + h.price, 0) / 24;
+        const pointAvg = pointForecasts.reduce((sum, p) => sum + p, 0) / pointForecasts.length;
+        const dailyBand = withBand(pointAvg, bands?.daily);
+        const avgPrice = dailyBand.p50 ?? pointAvg;
         
         // Determine price level
         let priceLevel = 'NORMAL';
@@ -277,36 +402,157 @@ async function generatePredictions() {
         else if (avgPrice > 150) priceLevel = 'VERY HIGH';
         
         predictions.push({
-            date: targetDate.toISOString().split('T')[0],
+            area,
+            timeZone,
+            date: targetDate,
             dayName: day === 0 ? 'Today' : day === 1 ? 'Tomorrow' : `+${day} days`,
-            avgWindSpeed: Math.round(avgWindSpeed * 10) / 10,
-            avgTemperature: Math.round(avgTemperature * 10) / 10,
-            predictedPrice: Math.round(avgPrice * 100) / 100,
+            avgWindSpeed: Math.round(weather.meanWindSpeed * 10) / 10,
+            avgTemperature: Math.round(weather.temperature * 10) / 10,
+            predictedPrice: round2(avgPrice),
+            ...dailyBand,
             priceLevel,
-            hourlyPredictions,
-            confidence: 0.7 - day * 0.05 // Confidence decreases with forecast distance
+            resolution,
+            hourlyPredictions
         });
     }
     
+    return predictions;
+}
+
+// Generate predictions for next 9 days in every requested zone
+async function generatePredictions(areas, inputs = loadInputs(), modelName = DEFAULT_MODEL) {
+    console.log('\nGenerating Predictions...');
+    
+    const predictions = [];
+    const predictedAreas = [];
+    for (const area of areas) {
+        let model;
+        try {
+            const saved = loadModel(getModelFile(area));
+            if (saved.name !== modelName) {
+                throw new Error(`saved model is ${saved.name}, ${modelName} requested`);
+            }
+            if ((saved.model.featureNames || []).join() !== getFeatureNames(area).join()) {
+                throw new Error('saved model uses a different feature set');
+            }
+            model = saved.model;
+        } catch (e) {
+            console.log(`No usable model for ${area} (${e.message}). Training first...`);
+            try {
+                model = await trainModel(area, inputs, modelName);
+            } catch (err) {
+                console.log(`Skipping ${area}: ${err.message}`);
+                continue;
+            }
+        }
+        
+        const zonePredictions = predictZone(
+            model, area, inputs.windData, new Date(),
+            getLatestResolution(inputs.priceData, area), inputs.windTimes,
+            getPriceHistory(inputs.priceData.filter(r => getRecordArea(r) === area))
+        );
+        predictions.push(...zonePredictions);
+        predictedAreas.push(area);
+        
+        // Print summary
+        console.log(`\n9-Day Price Forecast (${area}):`);
+        console.log('─'.repeat(60));
+        zonePredictions.forEach(p => {
+            const bar = '█'.repeat(Math.min(20, Math.round(p.predictedPrice / 10)));
+            const band = p.p10 !== undefined ? ` (P10 ${p.p10.toFixed(0)}–P90 ${p.p90.toFixed(0)})` : '';
+            console.log(`${p.dayName.padEnd(10)} | Wind: ${p.avgWindSpeed.toFixed(1)}m/s | Temp: ${p.avgTemperature.toFixed(0)}°C | €${p.predictedPrice.toFixed(0)}/MWh${band} ${p.priceLevel.padStart(10)} ${bar}`);
+        });
+    }
+
+    // A blank forecast would replace the last good one (and its vintage)
+    if (predictedAreas.length === 0) {
+        console.log('\nNo zone could be predicted; keeping the previous predictions');
+        return predictions;
+    }
+
     // Save predictions
     const output = {
         generated: new Date().toISOString(),
-        model: 'LinearRegression v1',
+        model: getModelEntry(modelName).label,
+        schemaVersion: 2,
+        areas: predictedAreas,
         predictions
     };
     
-    fs.writeFileSync(CONFIG.predictionFile, JSON.stringify(output, null, 2));
-    console.log(`Predictions saved to ${CONFIG.predictionFile}`);
+    fs.writeFileSync(CONFIG.predictionFile, JSON.stringify(output));
+    console.log(`\nPredictions saved to ${CONFIG.predictionFile}`);
+    const vintage = saveVintage('predictions', compactPredictions(output));
+    console.log(`Stored prediction vintage ${vintage}`);
     
-    // Print summary
-    console.log('\n9-Day Price Forecast:');
-    console.log('─'.repeat(60));
-    predictions.forEach(p => {
-        const bar = '█'.repeat(Math.min(20, Math.round(p.predictedPrice / 10)));
-        console.log(`${p.dayName.padEnd(10)} | Wind: ${p.avgWindSpeed.toFixed(1)}m/s | Temp: ${p.avgTemperature.toFixed(0)}°C | €${p.predictedPrice.toFixed(0)}/MWh ${p.priceLevel.padStart(10)} ${bar}`);
+    return predictions;
+}
+
+// Rolling-origin backtest of one zone. Archived weather stands in for the
+// weather forecast of each target day, so the scores show the model's skill
+// given a perfect weather forecast.
+function backtestZone(area, priceData, weatherArchive, minTrainingDays = CONFIG.backtestMinTrainingDays, modelName = DEFAULT_MODEL) {
+    const { timeZone } = getZone(area);
+    const zonePrices = priceData.filter(r => getRecordArea(r) === area && r.prices.length > 0);
+    const byDate = new Map(zonePrices.map(r => [r.date, r]));
+    const actuals = new Map(zonePrices.map(r => [r.date, getLocalHourlyPrices(r, timeZone)]));
+
+    return rollingOriginBacktest({
+        actuals,
+        minTrainingDays,
+        fit: trainDates => {
+            const trainRecords = trainDates.map(date => byDate.get(date));
+            const { X, y } = buildTrainingSet(trainRecords, weatherArchive, area);
+            if (X.length < 2) return null;
+            const model = fitPriceModel(area, X, y, modelName, trainRecords);
+            // Only prices before the origin are known; later lags are forecast
+            const weatherFor = date => getZoneWeather(weatherArchive, date, area);
+            const contextFor = createFeatureContext(model, area, getPriceHistory(trainRecords), weatherFor);
+            
+            return target => {
+                const weather = weatherFor(target);
+                if (!weather) return null;
+                return predictHours(model, predictPrice(model, extractFeatures(weather, target, contextFor(target))), target);
+            };
+        }
     });
+}
+
+async function runBacktest(areas, inputs = loadInputs(), modelName = DEFAULT_MODEL) {
+    console.log('Backtesting Price Predictions');
+    console.log('=============================\n');
     
-    return predictions;
+    const report = {
+        generated: new Date().toISOString(),
+        model: getModelEntry(modelName).label,
+        weather: 'archived',
+        baselines: {
+            yesterday: 'Previous day, same hour',
+            lastWeek: 'Same weekday and hour from the latest known week'
+        },
+        areas: {}
+    };
+    
+    const fmt = value => (value === null ? '--' : value.toFixed(1)).padStart(9);
+    for (const area of areas) {
+        const result = backtestZone(area, inputs.priceData, inputs.weatherArchive, CONFIG.backtestMinTrainingDays, modelName);
+        if (result.origins === 0) {
+            console.log(`${area}: not enough price history with archived weather to backtest`);
+            continue;
+        }
+        report.areas[area] = result;
+        
+        console.log(`\n${area}: ${result.origins} forecast origins, MAE in €/MWh`);
+        console.log('Horizon |     Model | Yesterday | Last week');
+        result.horizons.forEach(h => {
+            console.log(`D+${h.horizon}     |${fmt(h.model.mae)}  |${fmt(h.yesterday.mae)}  |${fmt(h.lastWeek.mae)}`);
+        });
+        const { overall } = result;
+        console.log(`Overall | MAE ${overall.model.mae} | RMSE ${overall.model.rmse} | MAPE ${overall.model.mape}%`);
+    }
+    
+    fs.writeFileSync(CONFIG.backtestFile, JSON.stringify(report, null, 2));
+    console.log(`\nBacktest report saved to ${CONFIG.backtestFile}`);
+    return report;
 }
 
 // Sample data generators
@@ -332,7 +578,7 @@ function generateSampleWindData() {
     return points;
 }
 
-function generateSamplePriceData() {
+function generateSamplePriceData(area = 'FI') {
     const prices = [];
     const now = new Date();
     
@@ -345,6 +591,7 @@ function generateSamplePriceData() {
         
         prices.push({
             date: date.toISOString().split('T')[0],
+            area,
             avgPrice: basePrice + (Math.random() - 0.5) * 40
         });
     }
@@ -354,14 +601,48 @@ function generateSamplePriceData() {
 // Main
 async function main() {
     const args = process.argv.slice(2);
+    const areaArg = args.find(a => a.startsWith('--area='));
+    // --model gbt or --model=gbt
+    const modelIndex = args.indexOf('--model');
+    const modelName = args.find(a => a.startsWith('--model='))?.slice('--model='.length)
+        || (modelIndex >= 0 ? args[modelIndex + 1] : DEFAULT_MODEL);
+    getModelEntry(modelName);
+    const inputs = loadInputs();
+    const areas = areaArg
+        ? areaArg.slice('--area='.length).split(',').map(a => a.trim().toUpperCase())
+        : getPriceAreas(inputs.priceData);
     
     if (args.includes('--train')) {
-        await trainModel();
+        for (const area of areas) {
+            try {
+                await trainModel(area, inputs, modelName);
+            } catch (e) {
+                console.log(`Skipping ${area}: ${e.message}`);
+            }
+        }
+    }
+    
+    if (args.includes('--backtest')) {
+        await runBacktest(areas, inputs, modelName);
     }
     
-    if (args.includes('--predict') || args.length === 0) {
-        await generatePredictions();
+    if (args.includes('--predict') || (!args.includes('--train') && !args.includes('--backtest'))) {
+        await generatePredictions(areas, inputs, modelName);
     }
 }
 
-main().catch(console.error);
+if (require.main === module) {
+    main().catch(console.error);
+}
+
+module.exports = {
+    LinearRegression,
+    FEATURE_NAMES,
+    getFeatureNames,
+    extractFeatures,
+    getZoneWeather,
+    getPriceAreas,
+    predictZone,
+    backtestZone,
+    computeResidualQuantiles
+};
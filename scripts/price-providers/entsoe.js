@@ -0,0 +1,118 @@
+/**
+ * WindPowers - ENTSO-E Transparency Platform price provider
+ *
+ * Day-ahead prices come as A44 Publication_MarketDocument XML, one request
+ * per bidding zone. Requires a security token (free registration at
+ * https://transparency.entsoe.eu/) in ENTSOE_API_TOKEN.
+ *
+ * API guide: https://transparency.entsoe.eu/content/static_content/Static%20content/web%20api/Guide.html
+ */
+
+const { getText } = require('../lib/http');
+const { buildDailyRecords } = require('../lib/price-records');
+const BIDDING_ZONES = require('../../config/bidding-zones.json');
+
+const API_URL = 'https://web-api.tp.entsoe.eu/api';
+
+// ISO 8601 durations used by A44 documents
+const RESOLUTION_MINUTES = { PT15M: 15, PT30M: 30, PT60M: 60 };
+
+function getTag(xml, tag) {
+    const match = xml.match(new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`));
+    return match ? match[1].trim() : null;
+}
+
+function getBlocks(xml, tag) {
+    return xml.match(new RegExp(`<${tag}(?:\\s[^>]*)?>[\\s\\S]*?</${tag}>`, 'g')) || [];
+}
+
+// Parse an A44 document into { start, end, price } intervals. Curve type A03
+// omits points whose price repeats the previous one, so gaps are filled
+// forward.
+function parseA44(xml) {
+    if (xml.includes('Acknowledgement_MarketDocument')) {
+        const reason = getTag(xml, 'text') || 'request rejected';
+        throw new Error(`ENTSO-E: ${reason}`);
+    }
+    
+    const intervals = [];
+    getBlocks(xml, 'TimeSeries').forEach(series => {
+        getBlocks(series, 'Period').forEach(period => {
+            const start = Date.parse(getTag(period, 'start'));
+            const end = Date.parse(getTag(period, 'end'));
+            const resolution = RESOLUTION_MINUTES[getTag(period, 'resolution')];
+            if (!resolution || Number.isNaN(start) || Number.isNaN(end)) return;
+            
+            const prices = new Map();
+            getBlocks(period, 'Point').forEach(point => {
+                prices.set(parseInt(getTag(point, 'position'), 10), parseFloat(getTag(point, 'price.amount')));
+            });
+            
+            const slots = (end - start) / (resolution * 60000);
+            let price = null;
+            for (let position = 1; position <= slots; position++) {
+                if (prices.has(position)) price = prices.get(position);
+                if (price == null) continue;
+                
+                const slotStart = start + (position - 1) * resolution * 60000;
+                intervals.push({
+                    start: new Date(slotStart).toISOString(),
+                    end: new Date(slotStart + resolution * 60000).toISOString(),
+                    price
+                });
+            }
+        });
+    });
+    
+    return intervals;
+}
+
+// yyyyMMddHHmm in UTC as the API expects
+function formatPeriod(date) {
+    return date.toISOString().replace(/[-:T]/g, '').slice(0, 12);
+}
+
+async function fetchZone(area, token, start, end) {
+    const zone = BIDDING_ZONES[area];
+    const url = `${API_URL}?securityToken=${encodeURIComponent(token)}&documentType=A44` +
+        `&in_Domain=${zone.eic}&out_Domain=${zone.eic}` +
+        `&periodStart=${formatPeriod(start)}&periodEnd=${formatPeriod(end)}`;
+    
+    const response = await getText(url);
+    if (response.statusCode !== 200) {
+        throw new Error(`HTTP ${response.statusCode}`);
+    }
+    return buildDailyRecords(parseA44(response.body), area, zone.timeZone);
+}
+
+// Zones are fetched one by one; a zone that fails is logged and left out,
+// so one bad zone does not throw away the others. Fails only when none
+// could be fetched.
+async function fetchPrices({ areas, start, end }) {
+    const token = process.env.ENTSOE_API_TOKEN;
+    if (!token) {
+        throw new Error('ENTSOE_API_TOKEN is not set (register at https://transparency.entsoe.eu/)');
+    }
+    
+    const records = [];
+    const failed = [];
+    for (const area of areas) {
+        try {
+            records.push(...await fetchZone(area, token, start, end));
+        } catch (e) {
+            console.log(`ENTSO-E ${area} failed: ${e.message}`);
+            failed.push(area);
+        }
+    }
+    
+    if (failed.length === areas.length) {
+        throw new Error(`ENTSO-E returned no prices for ${failed.join(', ')}`);
+    }
+    return records;
+}
+
+module.exports = {
+    name: 'entsoe',
+    parseA44,
+    fetchPrices
+};
@@ -0,0 +1,27 @@
+/**
+ * WindPowers - Day-ahead price providers
+ *
+ * Every provider exports:
+ *   name                                  value written to `source` in nordpool-prices.json
+ *   fetchPrices({ areas, start, end })    Promise of daily records (see lib/price-records.js)
+ *
+ * plus a pure parser for its wire format so it can be tested against
+ * recorded fixtures. Pick one with PRICE_PROVIDER=entsoe|nordpool|sample.
+ */
+
+const entsoe = require('./entsoe');
+const nordpool = require('./nordpool');
+const sample = require('./sample');
+
+const PROVIDERS = { entsoe, nordpool, sample };
+const DEFAULT_PROVIDER = 'nordpool';
+
+function getProvider(name = process.env.PRICE_PROVIDER || DEFAULT_PROVIDER) {
+    const provider = PROVIDERS[name];
+    if (!provider) {
+        throw new Error(`Unknown price provider "${name}" (expected one of: ${Object.keys(PROVIDERS).join(', ')})`);
+    }
+    return provider;
+}
+
+module.exports = { getProvider, PROVIDERS };
@@ -0,0 +1,64 @@
+/**
+ * WindPowers - Nordpool Data Portal price provider
+ *
+ * Uses the JSON endpoint behind https://data.nordpoolgroup.com/ — one request
+ * per delivery day (CET), covering all requested bidding zones at once.
+ * No authentication needed.
+ */
+
+const { getText } = require('../lib/http');
+const { buildDailyRecords } = require('../lib/price-records');
+const { addDays } = require('../lib/time-zone');
+const BIDDING_ZONES = require('../../config/bidding-zones.json');
+
+const API_URL = 'https://dataportal-api.nordpoolgroup.com/api/DayAheadPrices';
+
+// Parse a DayAheadPrices response into { area: intervals[] }
+function parseDayAheadPrices(json) {
+    const byArea = {};
+    
+    (json.multiAreaEntries || []).forEach(entry => {
+        Object.entries(entry.entryPerArea || {}).forEach(([area, price]) => {
+            if (typeof price !== 'number') return;
+            if (!byArea[area]) byArea[area] = [];
+            byArea[area].push({
+                start: new Date(entry.deliveryStart).toISOString(),
+                end: new Date(entry.deliveryEnd).toISOString(),
+                price
+            });
+        });
+    });
+    
+    return byArea;
+}
+
+async function fetchPrices({ areas, start, end }) {
+    const byArea = {};
+    const lastDate = end.toISOString().split('T')[0];
+    
+    for (let date = start.toISOString().split('T')[0]; date <= lastDate; date = addDays(date, 1)) {
+        const url = `${API_URL}?date=${date}&market=DayAhead&deliveryArea=${areas.join(',')}&currency=EUR`;
+        const response = await getText(url, { Accept: 'application/json' });
+        
+        // 204: not published yet (tomorrow before ~13:00 CET)
+        if (response.statusCode === 204) continue;
+        if (response.statusCode !== 200) {
+            throw new Error(`Nordpool HTTP ${response.statusCode} for ${date}`);
+        }
+        
+        Object.entries(parseDayAheadPrices(JSON.parse(response.body))).forEach(([area, intervals]) => {
+            if (!byArea[area]) byArea[area] = [];
+            byArea[area].push(...intervals);
+        });
+    }
+    
+    return areas.flatMap(area =>
+        buildDailyRecords(byArea[area] || [], area, BIDDING_ZONES[area].timeZone)
+    );
+}
+
+module.exports = {
+    name: 'nordpool',
+    parseDayAheadPrices,
+    fetchPrices
+};
@@ -0,0 +1,72 @@
+/**
+ * WindPowers - Sample price provider
+ *
+ * Random but plausibly shaped prices for development, and the fallback
+ * when a real provider fails.
+ */
+
+const BIDDING_ZONES = require('../../config/bidding-zones.json');
+const { buildDailyRecords } = require('../lib/price-records');
+const { getZonedParts, zonedMidnight, addDays } = require('../lib/time-zone');
+
+// Market time unit of the generated prices in minutes
+const MTU_MINUTES = 15;
+
+// Rough price level of each zone relative to FI: hydro-heavy north is
+// cheap, the southern zones coupled to the continent are expensive
+const ZONE_LEVELS = {
+    FI: 1.0,
+    SE1: 0.55, SE2: 0.55, SE3: 0.85, SE4: 1.15,
+    NO1: 0.9, NO2: 0.95, NO3: 0.5, NO4: 0.4, NO5: 0.9,
+    DK1: 1.2, DK2: 1.25
+};
+
+// Generate sample price data for development: 15-minute intervals for the
+// last 30 local days plus today, in the zone's time zone
+function generateSamplePrices(area = 'FI', now = new Date()) {
+    const level = ZONE_LEVELS[area] ?? 1;
+    const { timeZone } = BIDDING_ZONES[area] || BIDDING_ZONES.FI;
+    const today = getZonedParts(now, timeZone).date;
+    const intervals = [];
+    
+    for (let day = -30; day <= 0; day++) {
+        const date = addDays(today, day);
+        const dayEnd = zonedMidnight(addDays(date, 1), timeZone).getTime();
+        
+        for (let t = zonedMidnight(date, timeZone).getTime(); t < dayEnd; t += MTU_MINUTES * 60000) {
+            // Simulate price patterns
+            // Higher in morning (7-9) and evening (17-20)
+            // Lower at night
+            // Higher in winter, lower in summer
+            const { month, hour } = getZonedParts(t, timeZone);
+            const isWinter = month >= 11 || month <= 3;
+            
+            let basePrice = (isWinter ? 80 : 40) * level; // EUR/MWh
+            
+            // Time of day effect
+            if (hour >= 7 && hour <= 9) basePrice *= 1.5;
+            else if (hour >= 17 && hour <= 20) basePrice *= 1.8;
+            else if (hour >= 0 && hour <= 5) basePrice *= 0.5;
+            
+            // Add randomness
+            intervals.push({
+                start: new Date(t),
+                end: new Date(t + MTU_MINUTES * 60000),
+                price: Math.max(0, basePrice + (Math.random() - 0.5) * 40)
+            });
+        }
+    }
+    
+    return buildDailyRecords(intervals, area, timeZone);
+}
+
+async function fetchPrices({ areas }) {
+    return areas.flatMap(area => generateSamplePrices(area));
+}
+
+module.exports = {
+    name: 'sample',
+    ZONE_LEVELS,
+    generateSamplePrices,
+    fetchPrices
+};
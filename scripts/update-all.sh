@@ -14,13 +14,17 @@ echo ""
 echo "Fetching wind data from yr.no..."
 node scripts/fetch-wind-data.js
 
+echo ""
+echo "Estimating wind power production..."
+node scripts/wind-production.js
+
 echo ""
 echo "Fetching Nordpool prices..."
 node scripts/fetch-nordpool-prices.js
 
 echo ""
 echo "Generating price predictions..."
-node scripts/price-prediction.js
+node scripts/price-prediction.js --train --predict
 
 echo ""
 echo "================================"
@@ -0,0 +1,157 @@
+/**
+ * WindPowers - Wind Power Production Estimate
+ *
+ * Turns the wind forecast into expected output for every wind farm in
+ * turbines-finland.json:
+ *   1. Interpolate 10 m wind from the nearest grid points (inverse distance)
+ *   2. Extrapolate to the farm's hub height (config/wind-shear.json)
+ *   3. Apply the farm's power curve (config/power-curves.json)
+ *
+ * Writes per-farm and total MW for every forecast time step to
+ * public/data/wind-production.json. Steps without wind data are null, not
+ * 0 MW; farms without a known capacity are left out and listed in `skipped`.
+ *
+ * Usage: node scripts/wind-production.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadShearProfile, getTerrainShear, hubHeightSpeed } = require('./lib/wind-shear');
+const {
+    loadPowerCurves,
+    getFarmCurve,
+    getFarmCapacity,
+    powerFraction,
+    nearestGridPoints
+} = require('./lib/power-curve');
+
+const CONFIG = {
+    windDataFile: path.join(__dirname, '../public/data/wind-data.json'),
+    turbineFile: path.join(__dirname, '../public/data/turbines-finland.json'),
+    outputFile: path.join(__dirname, '../public/data/wind-production.json')
+};
+
+// Time axis and a per-point 10 m speed lookup. Older files without hourly
+// series fall back to the daily 12:00 snapshots.
+function getWindSeries(windFile) {
+    if (Array.isArray(windFile.times) && windFile.times.length > 0) {
+        return {
+            times: windFile.times,
+            speedsFor: point => point.hourly?.windSpeed || []
+        };
+    }
+    
+    const start = new Date(windFile.generated || Date.now());
+    start.setUTCHours(12, 0, 0, 0);
+    const days = Math.max(0, ...windFile.data.map(p => p.forecasts.length));
+    const times = Array.from({ length: days }, (_, day) =>
+        new Date(start.getTime() + day * 24 * 60 * 60 * 1000).toISOString()
+    );
+    
+    return {
+        times,
+        speedsFor: point => point.forecasts.map(f => f.windSpeed)
+    };
+}
+
+// Inverse-distance wind at each time step, skipping neighbours with gaps
+function interpolateSpeeds(neighbours, speedsFor, steps) {
+    const series = neighbours.map(n => speedsFor(n.point));
+    
+    return Array.from({ length: steps }, (_, t) => {
+        let sum = 0;
+        let weight = 0;
+        neighbours.forEach((n, i) => {
+            const speed = series[i][t];
+            if (speed != null) {
+                sum += speed * n.weight;
+                weight += n.weight;
+            }
+        });
+        return weight > 0 ? sum / weight : null;
+    });
+}
+
+function estimateProduction(windFile, turbines, shearProfile, curves) {
+    const { times, speedsFor } = getWindSeries(windFile);
+    const round = mw => Math.round(mw * 10) / 10;
+    const skipped = [];
+    
+    const farms = turbines.map(farm => {
+        const curve = getFarmCurve(farm, curves);
+        const capacityMW = getFarmCapacity(farm, curve);
+        if (capacityMW === null) {
+            skipped.push(farm.name);
+            return null;
+        }
+        const shear = getTerrainShear(farm.type, shearProfile);
+        const hubHeight = farm.hubHeight || shear.hubHeight;
+        const neighbours = nearestGridPoints(farm.lat, farm.lon, windFile.data, curves.neighbours);
+        
+        const output = interpolateSpeeds(neighbours, speedsFor, times.length).map(speed => {
+            if (speed === null) return null;
+            const hubSpeed = hubHeightSpeed(speed, hubHeight, shear.exponent, shearProfile.referenceHeight);
+            return round(powerFraction(hubSpeed, curve) * capacityMW * curves.lossFactor);
+        });
+        
+        return {
+            name: farm.name,
+            lat: farm.lat,
+            lon: farm.lon,
+            type: farm.type,
+            count: farm.count,
+            hubHeight,
+            capacityMW: round(capacityMW),
+            output
+        };
+    }).filter(Boolean);
+    
+    // A total missing some farms would read as a drop in output
+    const totalAt = t => (farms.some(f => f.output[t] === null) ? null : round(farms.reduce((sum, f) => sum + f.output[t], 0)));
+    return {
+        times,
+        farms,
+        skipped,
+        total: {
+            capacityMW: round(farms.reduce((sum, f) => sum + f.capacityMW, 0)),
+            output: times.map((_, t) => totalAt(t))
+        }
+    };
+}
+
+async function main() {
+    console.log('Wind Power Production Estimate');
+    console.log('==============================\n');
+    
+    let windFile, turbines;
+    try {
+        windFile = JSON.parse(fs.readFileSync(CONFIG.windDataFile, 'utf-8'));
+        turbines = JSON.parse(fs.readFileSync(CONFIG.turbineFile, 'utf-8')).turbines || [];
+    } catch (e) {
+        console.log('Wind or turbine data not found. Run npm run fetch-data first.');
+        return;
+    }
+    
+    const production = estimateProduction(windFile, turbines, loadShearProfile(), loadPowerCurves());
+    const output = {
+        generated: new Date().toISOString(),
+        windDataGenerated: windFile.generated,
+        ...production
+    };
+    
+    fs.writeFileSync(CONFIG.outputFile, JSON.stringify(output, null, 2));
+    console.log(`Saved production for ${production.farms.length} farms, ${production.times.length} time steps`);
+    if (production.skipped.length > 0) {
+        console.warn(`Warning: no capacityMW or turbine count for ${production.skipped.join(', ')}; left out of the estimate`);
+    }
+    console.log(`Installed capacity: ${production.total.capacityMW} MW`);
+    
+    const known = production.total.output.filter(mw => mw !== null);
+    console.log(`Peak total output: ${known.length > 0 ? Math.max(...known) : '--'} MW`);
+}
+
+if (require.main === module) {
+    main().catch(console.error);
+}
+
+module.exports = { estimateProduction };
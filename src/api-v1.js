@@ -0,0 +1,201 @@
+/**
+ * WindPowers - REST API v1
+ *
+ * Filtered, cacheable access to the data files for scripts and tools,
+ * mounted at /api/v1 (see openapi.json, served at /api/v1/openapi.json).
+ *
+ *   GET /wind         grid forecasts, filtered by bbox, day and fields
+ *   GET /prices       day-ahead price records of a zone between dates
+ *   GET /predictions  price predictions of a zone between dates
+ *   GET /turbines     wind farms with their installed capacity
+ *
+ * Errors are { error: { code, message } } with code invalid_parameter
+ * (400), not_found (404) or internal_error (500). Responses carry an ETag
+ * derived from the request and the versions of the files it reads (config
+ * included), so an unchanged If-None-Match answers 304 without building
+ * the body.
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const { readDataFile, getDataFileVersion } = require('./data-files');
+const { BIDDING_ZONES, DEFAULT_AREA, getZone, getRecordArea } = require('../scripts/lib/bidding-zones');
+const { normalizePriceRecord } = require('../scripts/lib/price-records');
+const { CURVES_FILE, loadPowerCurves, getFarmCurve, getFarmCapacity } = require('../scripts/lib/power-curve');
+const OPENAPI = require('./openapi.json');
+
+const CACHE_CONTROL = 'public, max-age=300';
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+class ApiError extends Error {
+    constructor(status, code, message) {
+        super(message);
+        this.status = status;
+        this.code = code;
+    }
+}
+
+const invalid = message => new ApiError(400, 'invalid_parameter', message);
+const notFound = message => new ApiError(404, 'not_found', message);
+
+// Data file contents; a missing file is a 404
+function readRequired(name) {
+    const data = readDataFile(name);
+    if (!data) throw notFound(`${name} has not been generated yet`);
+    return data;
+}
+
+// Set ETag and Cache-Control; true when the client's copy is current
+function isCached(req, res, files) {
+    const versions = files.map(getDataFileVersion).join('|');
+    const hash = crypto.createHash('sha1').update(`${req.originalUrl}|${versions}`).digest('base64url').slice(0, 16);
+    res.set('ETag', `W/"${hash}"`);
+    res.set('Cache-Control', CACHE_CONTROL);
+    return req.fresh;
+}
+
+// Route handler with the v1 caching and error handling around `build`
+function dataRoute(files, build) {
+    return (req, res) => {
+        try {
+            if (isCached(req, res, files)) return res.status(304).end();
+            res.json(build(req.query));
+        } catch (e) {
+            const error = e instanceof ApiError ? e : new ApiError(500, 'internal_error', 'Data could not be read');
+            res.removeHeader('ETag');
+            res.set('Cache-Control', 'no-store');
+            res.status(error.status).json({ error: { code: error.code, message: error.message } });
+        }
+    };
+}
+
+// west,south,east,north in degrees
+function parseBbox(value) {
+    if (value === undefined) return null;
+    const parts = String(value).split(',').map(Number);
+    if (parts.length !== 4 || parts.some(n => !Number.isFinite(n))) {
+        throw invalid('bbox must be west,south,east,north');
+    }
+    const [west, south, east, north] = parts;
+    if (west >= east || south >= north) throw invalid('bbox must have west < east and south < north');
+    return { west, south, east, north };
+}
+
+const inBbox = (item, bbox) => !bbox ||
+    (item.lat >= bbox.south && item.lat <= bbox.north && item.lon >= bbox.west && item.lon <= bbox.east);
+
+function parseArea(value) {
+    const area = String(value || DEFAULT_AREA).toUpperCase();
+    if (!BIDDING_ZONES[area]) throw invalid(`Unknown bidding zone ${area}`);
+    return area;
+}
+
+// Inclusive YYYY-MM-DD range; either end may be open
+function parseDateRange({ from, to }) {
+    [from, to].forEach(value => {
+        if (value !== undefined && !DATE_PATTERN.test(value)) throw invalid('from and to must be dates (YYYY-MM-DD)');
+    });
+    if (from && to && from > to) throw invalid('from must not be after to');
+    return date => (!from || date >= from) && (!to || date <= to);
+}
+
+function buildWind(query) {
+    const data = readRequired('wind-data.json');
+    const bbox = parseBbox(query.bbox);
+    const points = (data.data || []).filter(p => inBbox(p, bbox));
+
+    let day = null;
+    if (query.day !== undefined) {
+        day = Number(query.day);
+        if (!Number.isInteger(day) || day < 0) throw invalid('day must be a non-negative integer');
+    }
+
+    const available = new Set(points.flatMap(p => (p.forecasts || []).flatMap(f => Object.keys(f))));
+    available.delete('day');
+    const fields = query.fields ? String(query.fields).split(',').map(f => f.trim()) : [...available];
+    const unknown = fields.filter(f => !available.has(f));
+    if (unknown.length > 0 && points.length > 0) {
+        throw invalid(`Unknown fields: ${unknown.join(', ')}. Available: ${[...available].join(', ')}`);
+    }
+    const pick = record => Object.fromEntries(fields.map(f => [f, record[f] ?? null]));
+
+    // Hourly series on request, cut to the UTC date of `day`
+    const hourly = query.hourly === 'true';
+    const generatedDate = data.generated ? new Date(data.generated) : new Date();
+    let indices = (data.times || []).map((_, i) => i);
+    if (hourly && day !== null) {
+        const date = new Date(Date.UTC(generatedDate.getUTCFullYear(), generatedDate.getUTCMonth(), generatedDate.getUTCDate() + day))
+            .toISOString().slice(0, 10);
+        indices = indices.filter(i => data.times[i].startsWith(date));
+    }
+
+    return {
+        generated: data.generated,
+        day,
+        fields,
+        count: points.length,
+        ...(hourly ? { times: indices.map(i => data.times[i]) } : {}),
+        points: points.map(p => ({
+            lat: p.lat,
+            lon: p.lon,
+            forecasts: (p.forecasts || []).filter(f => day === null || f.day === day).map(f => ({ day: f.day, ...pick(f) })),
+            ...(hourly && p.hourly ? {
+                hourly: Object.fromEntries(fields.filter(f => p.hourly[f]).map(f => [f, indices.map(i => p.hourly[f][i])]))
+            } : {})
+        }))
+    };
+}
+
+function buildPrices(query) {
+    const area = parseArea(query.area);
+    const inRange = parseDateRange(query);
+    const data = readRequired('nordpool-prices.json');
+    const { timeZone } = getZone(area);
+    const records = (data.data || [])
+        .filter(r => getRecordArea(r) === area && inRange(r.date))
+        .map(r => normalizePriceRecord({ area, ...r }, timeZone));
+    return { area, timeZone, source: data.source, generated: data.generated, count: records.length, records };
+}
+
+function buildPredictions(query) {
+    const area = parseArea(query.area);
+    const inRange = parseDateRange(query);
+    const data = readRequired('price-predictions.json');
+    const predictions = (data.predictions || [])
+        .map(p => ({ area: DEFAULT_AREA, ...p }))
+        .filter(p => p.area === area && inRange(p.date));
+    return { area, generated: data.generated, model: data.model, count: predictions.length, predictions };
+}
+
+function buildTurbines(query) {
+    const bbox = parseBbox(query.bbox);
+    const curves = loadPowerCurves();
+    const { turbines = [] } = readRequired('turbines-finland.json');
+    const farms = turbines
+        .filter(farm => inBbox(farm, bbox))
+        .map(farm => ({ ...farm, capacityMW: getFarmCapacity(farm, getFarmCurve(farm, curves)) }));
+    return {
+        count: farms.length,
+        capacityMW: Math.round(farms.reduce((sum, f) => sum + (f.capacityMW ?? 0), 0) * 10) / 10,
+        turbines: farms
+    };
+}
+
+const router = express.Router();
+
+router.get('/wind', dataRoute(['wind-data.json'], buildWind));
+router.get('/prices', dataRoute(['nordpool-prices.json'], buildPrices));
+router.get('/predictions', dataRoute(['price-predictions.json'], buildPredictions));
+// Capacities come from the power curves, so they are part of the version
+router.get('/turbines', dataRoute(['turbines-finland.json', CURVES_FILE], buildTurbines));
+
+router.get('/openapi.json', (req, res) => {
+    res.set('Cache-Control', 'public, max-age=3600');
+    res.json(OPENAPI);
+});
+
+router.use((req, res) => {
+    res.status(404).json({ error: { code: 'not_found', message: `No endpoint ${req.method} ${req.baseUrl}${req.path}` } });
+});
+
+module.exports = router;
@@ -0,0 +1,152 @@
+/**
+ * WindPowers - Cheapest hours planner
+ *
+ * Picks the cheapest time to run a flexible load (EV charging, water
+ * heating, a dishwasher) in a bidding zone, on the zone's day-ahead prices
+ * continued with the forecast (scripts/lib/price-timeline.js). Forecast
+ * slots are hourly or at the market time unit while day-ahead prices may be
+ * 15-minute, so the timeline is cut into slots of the finest resolution
+ * present before planning.
+ *
+ * Prices are €/MWh throughout, like the data files, unless a consumer
+ * tariff is given: then every slot is converted to the all-in price
+ * (c/kWh) before planning, so the cheaper night transfer counts too.
+ */
+
+const { buildPriceTimeline, sliceTimeline, getTimelineSource } = require('../scripts/lib/price-timeline');
+const { applyTariff } = require('../scripts/lib/tariffs');
+const { getZone } = require('../scripts/lib/bidding-zones');
+const { getZonedParts } = require('../scripts/lib/time-zone');
+
+const round2 = value => Math.round(value * 100) / 100;
+
+// Cut slots into pieces of `minutes`; a slot's price applies to each piece
+function splitSlots(slots, minutes) {
+    const step = minutes * 60000;
+    return slots.flatMap(slot => {
+        const pieces = [];
+        for (let start = slot.start; start < slot.end; start += step) {
+            pieces.push({ ...slot, start, end: Math.min(start + step, slot.end) });
+        }
+        return pieces;
+    });
+}
+
+/**
+ * The `count` cheapest slots. Contiguous plans are the cheapest run of
+ * back-to-back slots; ties go to the earliest.
+ * @returns {Array<object>|null} chosen slots by start, null if there are too few
+ */
+function findCheapestSlots(slots, count, contiguous) {
+    if (count < 1 || slots.length < count) return null;
+
+    if (!contiguous) {
+        return [...slots]
+            .sort((a, b) => a.price - b.price || a.start - b.start)
+            .slice(0, count)
+            .sort((a, b) => a.start - b.start);
+    }
+
+    let best = null;
+    let bestSum = Infinity;
+    let runStart = 0;
+    let sum = 0;
+    for (let i = 0; i < slots.length; i++) {
+        if (i > 0 && slots[i].start !== slots[i - 1].end) {
+            // Gap in the timeline: start a new run
+            runStart = i;
+            sum = 0;
+        }
+        sum += slots[i].price;
+        if (i - runStart >= count) sum -= slots[i - count].price;
+        if (i - runStart + 1 >= count && sum < bestSum - 1e-9) {
+            bestSum = sum;
+            best = i - count + 1;
+        }
+    }
+    return best === null ? null : slots.slice(best, best + count);
+}
+
+// Merge back-to-back slots into blocks
+function toBlocks(slots) {
+    const blocks = [];
+    slots.forEach(slot => {
+        const last = blocks[blocks.length - 1];
+        if (last && last.end === slot.start) {
+            last.end = slot.end;
+            last.slots.push(slot);
+        } else {
+            blocks.push({ start: slot.start, end: slot.end, slots: [slot] });
+        }
+    });
+    return blocks.map(block => ({
+        start: new Date(block.start).toISOString(),
+        end: new Date(block.end).toISOString(),
+        averagePrice: round2(mean(block.slots.map(s => s.price))),
+        source: getTimelineSource(block.slots)
+    }));
+}
+
+function mean(values) {
+    return values.reduce((a, b) => a + b, 0) / values.length;
+}
+
+// Slot prices as a household pays them at the slot's local hour
+function toConsumerSlots(slots, tariff, timeZone) {
+    return slots.map(slot => {
+        const hour = getZonedParts(slot.start, timeZone).hour;
+        const convert = price => applyTariff(price, tariff, hour).total;
+        return {
+            ...slot,
+            price: convert(slot.price),
+            ...(typeof slot.p10 === 'number' ? { p10: convert(slot.p10), p90: convert(slot.p90) } : {})
+        };
+    });
+}
+
+/**
+ * Plan `hours` of consumption between `from` and `to`.
+ * @param {string} area - bidding zone
+ * @param {object|null} priceData - nordpool-prices.json
+ * @param {object|null} predictionData - price-predictions.json
+ * @param {{hours: number, from: Date, to: Date|null, contiguous: boolean, tariff?: object|null}} options -
+ *        slots must start at or after `from` and end by `to` (open-ended when null);
+ *        with a `tariff` (scripts/lib/tariffs.js) prices are consumer c/kWh
+ * @returns {object|null} the plan, null when the window does not hold enough priced slots
+ */
+function planCheapestHours(area, priceData, predictionData, { hours, from, to = null, contiguous = false, tariff = null }) {
+    const timeline = sliceTimeline(buildPriceTimeline(area, priceData, predictionData), from, to);
+    if (timeline.length === 0) return null;
+
+    const resolution = Math.min(...timeline.map(slot => (slot.end - slot.start) / 60000));
+    const split = splitSlots(timeline, resolution);
+    const slots = tariff ? toConsumerSlots(split, tariff, getZone(area).timeZone) : split;
+    const chosen = findCheapestSlots(slots, Math.ceil(hours * 60 / resolution), contiguous);
+    if (!chosen) return null;
+
+    return {
+        area,
+        hours,
+        contiguous,
+        unit: tariff ? 'c/kWh' : '€/MWh',
+        from: new Date(slots[0].start).toISOString(),
+        to: new Date(slots[slots.length - 1].end).toISOString(),
+        resolution,
+        averagePrice: round2(mean(chosen.map(s => s.price))),
+        windowAveragePrice: round2(mean(slots.map(s => s.price))),
+        source: getTimelineSource(chosen),
+        blocks: toBlocks(chosen),
+        slots: chosen.map(slot => ({
+            start: new Date(slot.start).toISOString(),
+            end: new Date(slot.end).toISOString(),
+            price: slot.price,
+            source: slot.source,
+            ...(typeof slot.p10 === 'number' ? { p10: slot.p10, p90: slot.p90 } : {})
+        }))
+    };
+}
+
+module.exports = {
+    findCheapestSlots,
+    planCheapestHours
+};
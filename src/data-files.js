@@ -0,0 +1,63 @@
+/**
+ * WindPowers - Data files for the API
+ *
+ * The fetch scripts rewrite public/data/*.json in place; API routes read
+ * them through readDataFile(), which parses a file again only when its
+ * modification time or size changed. A file caught half-written keeps
+ * serving the last good copy.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DATA_DIR = path.join(__dirname, '../public/data');
+
+const cache = new Map();
+
+/**
+ * Parsed contents of a data file, or null when it does not exist.
+ * @param {string} name - file name inside public/data
+ * @returns {object|null}
+ */
+function readDataFile(name) {
+    const file = path.join(DATA_DIR, name);
+    let stat;
+    try {
+        stat = fs.statSync(file);
+    } catch (e) {
+        cache.delete(file);
+        return null;
+    }
+
+    const cached = cache.get(file);
+    if (cached && cached.mtimeMs === stat.mtimeMs && cached.size === stat.size) {
+        return cached.data;
+    }
+
+    try {
+        const data = JSON.parse(fs.readFileSync(file, 'utf-8'));
+        cache.set(file, { mtimeMs: stat.mtimeMs, size: stat.size, data });
+        return data;
+    } catch (e) {
+        if (cached) return cached.data;
+        throw e;
+    }
+}
+
+// Changes whenever the file does; null when it does not exist. Used to
+// build ETags without reading or hashing the response. Absolute paths
+// reach files outside public/data, such as config the response depends on.
+function getDataFileVersion(name) {
+    try {
+        const stat = fs.statSync(path.resolve(DATA_DIR, name));
+        return `${Math.round(stat.mtimeMs).toString(36)}-${stat.size.toString(36)}`;
+    } catch (e) {
+        return null;
+    }
+}
+
+module.exports = {
+    DATA_DIR,
+    readDataFile,
+    getDataFileVersion
+};
@@ -0,0 +1,176 @@
+/**
+ * WindPowers - Live updates over Server-Sent Events
+ *
+ * /api/stream keeps a text/event-stream open and pushes an event when one
+ * of the data files changes:
+ *
+ *   wind-updated         wind-data.json        points whose forecast changed
+ *   prices-updated       nordpool-prices.json  new or changed days per zone
+ *   predictions-updated  price-predictions.json  predicted days that moved
+ *
+ * Every event carries the file's new `version` (see getDataFileVersion) and
+ * a small delta, never the data itself; clients fetch what they need. A
+ * `hello` event on connect lists the current versions so a reconnecting
+ * client can tell what it missed. Files are checked by modification time
+ * every few seconds, and only while someone is listening.
+ *
+ * Streams end after `maxStreamMs` so serverless hosts can recycle the
+ * function; EventSource reconnects by itself after `retry`.
+ */
+
+const { readDataFile, getDataFileVersion } = require('./data-files');
+
+const STREAMS = {
+    'wind-data.json': 'wind-updated',
+    'nordpool-prices.json': 'prices-updated',
+    'price-predictions.json': 'predictions-updated'
+};
+
+// Grid points whose daily forecasts differ between two wind files
+function describeWind(previous, current) {
+    const key = p => `${p.lat},${p.lon}`;
+    const before = new Map((previous?.data || []).map(p => [key(p), JSON.stringify(p.forecasts)]));
+    const points = current?.data || [];
+    return {
+        generated: current?.generated,
+        pointCount: points.length,
+        changedPoints: points.filter(p => before.get(key(p)) !== JSON.stringify(p.forecasts)).length
+    };
+}
+
+// Days that are new or whose daily average changed
+function describePrices(previous, current) {
+    const key = r => `${r.area || 'FI'}|${r.date}`;
+    const before = new Map((previous?.data || []).map(r => [key(r), r.avgPrice]));
+    return {
+        generated: current?.generated,
+        changed: (current?.data || [])
+            .filter(r => before.get(key(r)) !== r.avgPrice)
+            .map(r => ({ area: r.area || 'FI', date: r.date, avgPrice: r.avgPrice, previous: before.get(key(r)) ?? null }))
+    };
+}
+
+// Predicted days whose level moved
+function describePredictions(previous, current) {
+    const key = p => `${p.area || 'FI'}|${p.date}`;
+    const before = new Map((previous?.predictions || []).map(p => [key(p), p.predictedPrice]));
+    return {
+        generated: current?.generated,
+        model: current?.model,
+        changed: (current?.predictions || [])
+            .filter(p => before.get(key(p)) !== p.predictedPrice)
+            .map(p => ({ area: p.area || 'FI', date: p.date, predictedPrice: p.predictedPrice, previous: before.get(key(p)) ?? null }))
+    };
+}
+
+const DESCRIBE = {
+    'wind-data.json': describeWind,
+    'nordpool-prices.json': describePrices,
+    'price-predictions.json': describePredictions
+};
+
+/**
+ * Live update channel; `handler` is the Express route.
+ * @param {{intervalMs?: number, heartbeatMs?: number, maxStreamMs?: number, retryMs?: number,
+ *          readFile?: function(string): object|null, versionOf?: function(string): string|null}} [options]
+ */
+function createLiveUpdates({
+    intervalMs = 5000,
+    heartbeatMs = 25000,
+    maxStreamMs = 4 * 60 * 1000,
+    retryMs = 5000,
+    readFile = readDataFile,
+    versionOf = getDataFileVersion
+} = {}) {
+    const clients = new Set();
+    const known = new Map();
+    let timer = null;
+    let eventId = 0;
+
+    function send(res, event, data) {
+        res.write(`id: ${++eventId}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+
+    function versions() {
+        return Object.fromEntries(Object.keys(STREAMS).map(file => [STREAMS[file], versionOf(file)]));
+    }
+
+    // Remember the current files so the next change can be described
+    function snapshot() {
+        Object.keys(STREAMS).forEach(file => {
+            known.set(file, { version: versionOf(file), data: safeRead(file) });
+        });
+    }
+
+    function safeRead(file) {
+        try {
+            return readFile(file);
+        } catch (e) {
+            return null;
+        }
+    }
+
+    // Push an event for every file that changed since the last check
+    function check() {
+        Object.keys(STREAMS).forEach(file => {
+            const version = versionOf(file);
+            const previous = known.get(file) || { version: null, data: null };
+            if (version === previous.version) return;
+
+            const data = safeRead(file);
+            known.set(file, { version, data });
+            const event = {
+                version,
+                previousVersion: previous.version,
+                ...DESCRIBE[file](previous.data, data)
+            };
+            clients.forEach(res => send(res, STREAMS[file], event));
+        });
+    }
+
+    function start() {
+        if (timer) return;
+        snapshot();
+        timer = setInterval(check, intervalMs);
+        timer.unref();
+    }
+
+    function stop() {
+        clearInterval(timer);
+        timer = null;
+    }
+
+    function handler(req, res) {
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache, no-transform',
+            Connection: 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+        res.write(`retry: ${retryMs}\n\n`);
+
+        start();
+        clients.add(res);
+        send(res, 'hello', { versions: versions(), streams: Object.values(STREAMS) });
+
+        const heartbeat = setInterval(() => res.write(': ping\n\n'), heartbeatMs);
+        const expiry = setTimeout(() => res.end(), maxStreamMs);
+        heartbeat.unref();
+        expiry.unref();
+
+        req.on('close', () => {
+            clearInterval(heartbeat);
+            clearTimeout(expiry);
+            clients.delete(res);
+            if (clients.size === 0) stop();
+        });
+    }
+
+    return { handler, check, versions, clientCount: () => clients.size };
+}
+
+module.exports = {
+    STREAMS,
+    createLiveUpdates
+};
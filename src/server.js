@@ -1,21 +1,43 @@
 /**
  * WindPowers - Express Server for Vercel Deployment
- * Serves static files with polling-based live updates
+ * Serves static files, the APIs and live updates over Server-Sent Events
  */
 
 const express = require('express');
 const path = require('path');
-const fs = require('fs');
+const { readDataFile } = require('./data-files');
+const { createWindIndex } = require('./wind-index');
+const apiV1 = require('./api-v1');
+const { createLiveUpdates } = require('./live-updates');
+const { planCheapestHours } = require('./cheapest-hours');
+const { checkBatteryOptions, planBattery } = require('../scripts/lib/battery');
+const { getTariff, getAllTariffs, getConsumerDay } = require('../scripts/lib/tariffs');
+const { VINTAGE_KINDS, listVintages, loadVintage, filterVintage } = require('../scripts/lib/vintages');
+const { BIDDING_ZONES, DEFAULT_AREA } = require('../scripts/lib/bidding-zones');
+const { TILE_DIR } = require('../scripts/lib/wind-tiles');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Wind tiles: the paths contain the run, so only the manifest can change
+app.use('/data/wind-tiles', express.static(TILE_DIR, {
+    immutable: true,
+    maxAge: '365d',
+    setHeaders(res, file) {
+        if (path.basename(file) === 'manifest.json') res.set('Cache-Control', 'no-cache');
+        else res.set('Content-Type', 'application/octet-stream');
+    }
+}));
+
 // Serve static files
 app.use(express.static(path.join(__dirname, '../public')));
 
 // Serve data files
 app.use('/data', express.static(path.join(__dirname, '../public/data')));
 
+// Versioned API for scripts and tools (src/openapi.json)
+app.use('/api/v1', apiV1);
+
 // Health check
 app.get('/api/health', (req, res) => {
     res.json({ 
@@ -24,50 +46,203 @@ app.get('/api/health', (req, res) => {
     });
 });
 
-// Wind data API endpoint
+// Push notifications when the data files change (Server-Sent Events)
+const liveUpdates = createLiveUpdates();
+app.get('/api/stream', liveUpdates.handler);
+
+// Spatial index of the current wind-data.json; readDataFile() returns the
+// same object until the file changes, so the index is rebuilt only then
+const windIndexes = new WeakMap();
+
+function getWindIndex() {
+    const data = readDataFile('wind-data.json');
+    if (!data) return null;
+    if (!windIndexes.has(data)) windIndexes.set(data, createWindIndex(data));
+    return windIndexes.get(data);
+}
+
+// Weather at any coordinate, interpolated from the surrounding grid points
 app.get('/api/weather', (req, res) => {
-    const { lat, lon } = req.query;
+    const lat = parseFloat(req.query.lat);
+    const lon = parseFloat(req.query.lon);
     
-    if (!lat || !lon) {
+    if (!Number.isFinite(lat) || !Number.isFinite(lon)) {
         return res.status(400).json({ error: 'lat and lon required' });
     }
     
-    const dataFile = path.join(__dirname, '../public/data/wind-data.json');
-    
+    let index;
     try {
-        const data = JSON.parse(fs.readFileSync(dataFile, 'utf-8'));
-        const point = data.data.find(p => 
-            Math.abs(p.lat - parseFloat(lat)) < 0.5 && 
-            Math.abs(p.lon - parseFloat(lon)) < 0.5
-        );
-        
-        if (point) {
-            return res.json(point);
-        }
+        index = getWindIndex();
     } catch (e) {
-        // Continue to 404
+        return res.status(500).json({ error: 'Wind data could not be read' });
+    }
+    if (!index) {
+        return res.status(404).json({ error: 'No wind data available' });
+    }
+    
+    const weather = index.interpolate(lat, lon);
+    if (weather) {
+        return res.json(weather);
     }
     
-    res.status(404).json({ error: 'No data for this location' });
+    res.status(404).json({ error: 'Location is outside the forecast area' });
 });
 
 // Get full wind data
 app.get('/api/wind-data', (req, res) => {
-    const dataFile = path.join(__dirname, '../public/data/wind-data.json');
+    try {
+        const data = readDataFile('wind-data.json');
+        if (data) {
+            return res.json(data);
+        }
+    } catch (e) {
+        // Unreadable counts as missing
+    }
+    res.status(404).json({ error: 'No wind data available' });
+});
+
+// Consumer tariff components per zone (c/kWh, config/tariffs.json)
+app.get('/api/tariffs', (req, res) => {
+    res.json({ unit: 'c/kWh', areas: getAllTariffs() });
+});
+
+// Predicted prices as paid by households: spot, margin, transfer, tax and VAT
+app.get('/api/consumer-prices', (req, res) => {
+    const area = String(req.query.area || DEFAULT_AREA).toUpperCase();
+    if (!BIDDING_ZONES[area]) {
+        return res.status(400).json({ error: `Unknown bidding zone ${area}` });
+    }
+    
+    try {
+        const data = readDataFile('price-predictions.json');
+        const tariff = getTariff(area);
+        const { timeZone } = BIDDING_ZONES[area];
+        const days = (data?.predictions || [])
+            .filter(p => (p.area || DEFAULT_AREA) === area)
+            .map(p => getConsumerDay(p, tariff, timeZone));
+        if (days.length > 0) {
+            return res.json({ area, unit: 'c/kWh', tariff, days });
+        }
+    } catch (e) {
+        return res.status(500).json({ error: 'Price predictions could not be read' });
+    }
+    
+    res.status(404).json({ error: `No price predictions for ${area}` });
+});
+
+// Cheapest time to run a flexible load, from day-ahead prices and the forecast
+app.get('/api/cheapest-hours', (req, res) => {
+    const area = String(req.query.area || DEFAULT_AREA).toUpperCase();
+    const hours = req.query.hours === undefined ? 1 : Number(req.query.hours);
+    const from = req.query.from ? new Date(req.query.from) : new Date();
+    const to = req.query.to ? new Date(req.query.to) : null;
+    const contiguous = ['true', '1'].includes(String(req.query.contiguous));
+    const unit = String(req.query.unit || 'wholesale');
+    
+    if (!BIDDING_ZONES[area]) {
+        return res.status(400).json({ error: `Unknown bidding zone ${area}` });
+    }
+    if (!['wholesale', 'consumer'].includes(unit)) {
+        return res.status(400).json({ error: 'unit must be wholesale or consumer' });
+    }
+    if (!Number.isFinite(hours) || hours <= 0) {
+        return res.status(400).json({ error: 'hours must be a positive number' });
+    }
+    if (isNaN(from) || (to && isNaN(to))) {
+        return res.status(400).json({ error: 'from and to must be ISO dates' });
+    }
+    if (to && to <= from) {
+        return res.status(400).json({ error: 'to must be after from' });
+    }
+    
+    try {
+        const plan = planCheapestHours(area, readDataFile('nordpool-prices.json'), readDataFile('price-predictions.json'),
+            { hours, from, to, contiguous, tariff: unit === 'consumer' ? getTariff(area) : null });
+        if (plan) {
+            return res.json(plan);
+        }
+    } catch (e) {
+        return res.status(500).json({ error: 'Price data could not be read' });
+    }
+    
+    res.status(404).json({ error: `Not enough prices for ${hours} h in ${area}` });
+});
+
+// Optimal battery charge/discharge schedule and its profit
+app.get('/api/battery', (req, res) => {
+    const area = String(req.query.area || DEFAULT_AREA).toUpperCase();
+    const from = req.query.from ? new Date(req.query.from) : new Date();
+    const to = req.query.to ? new Date(req.query.to) : null;
+    const numberOr = (value, fallback) => (value === undefined ? fallback : Number(value));
+    const battery = {
+        capacityKwh: numberOr(req.query.capacity, 13.5),
+        powerKw: numberOr(req.query.power, 5),
+        efficiency: numberOr(req.query.efficiency, 0.9),
+        degradationCost: numberOr(req.query.degradation, 30)
+    };
     
+    if (!BIDDING_ZONES[area]) {
+        return res.status(400).json({ error: `Unknown bidding zone ${area}` });
+    }
+    if (isNaN(from) || (to && isNaN(to))) {
+        return res.status(400).json({ error: 'from and to must be ISO dates' });
+    }
     try {
-        const data = JSON.parse(fs.readFileSync(dataFile, 'utf-8'));
-        return res.json(data);
+        checkBatteryOptions(battery);
     } catch (e) {
-        res.status(404).json({ error: 'No wind data available' });
+        return res.status(400).json({ error: e.message });
+    }
+    
+    try {
+        const plan = planBattery(area, readDataFile('nordpool-prices.json'), readDataFile('price-predictions.json'),
+            { from, to, ...battery });
+        if (plan) {
+            return res.json(plan);
+        }
+    } catch (e) {
+        return res.status(500).json({ error: 'Price data could not be read' });
+    }
+    
+    res.status(404).json({ error: `No prices for ${area} in the requested window` });
+});
+
+// Past forecast runs (vintages), newest first
+app.get('/api/vintages/:kind', (req, res) => {
+    const { kind } = req.params;
+    if (!VINTAGE_KINDS.includes(kind)) {
+        return res.status(400).json({ error: `kind must be one of ${VINTAGE_KINDS.join(', ')}` });
+    }
+    
+    const limit = req.query.limit === undefined ? Infinity : Number(req.query.limit);
+    if (!(limit > 0)) {
+        return res.status(400).json({ error: 'limit must be a positive number' });
+    }
+    res.json({ kind, vintages: listVintages(kind).slice(0, limit) });
+});
+
+// One forecast run, optionally only one zone of it
+app.get('/api/vintages/:kind/:id', (req, res) => {
+    const { kind, id } = req.params;
+    const area = req.query.area ? String(req.query.area).toUpperCase() : null;
+    if (!VINTAGE_KINDS.includes(kind)) {
+        return res.status(400).json({ error: `kind must be one of ${VINTAGE_KINDS.join(', ')}` });
+    }
+    if (area && !BIDDING_ZONES[area]) {
+        return res.status(400).json({ error: `Unknown bidding zone ${area}` });
+    }
+    
+    const vintage = loadVintage(kind, id);
+    if (!vintage) {
+        return res.status(404).json({ error: `No ${kind} vintage ${id}` });
     }
+    res.json(area ? filterVintage(vintage, area) : vintage);
 });
 
 // For local development
 if (require.main === module) {
     app.listen(PORT, () => {
         console.log(`🌬️ WindPowers server running at http://localhost:${PORT}`);
-        console.log(`📡 Live updates every 30 seconds via polling`);
+        console.log(`📡 Live updates via Server-Sent Events at /api/stream`);
     });
 }
 
@@ -0,0 +1,162 @@
+/**
+ * WindPowers - Spatial index of the wind grid
+ *
+ * wind-data.json holds forecasts on a regular lat/lon grid. The index keys
+ * the points by grid cell so the weather at any coordinate inside the grid
+ * can be interpolated from the four corners of its cell (bilinear). Where a
+ * corner is missing, for example a point whose fetch failed, the nearest
+ * four points are blended by inverse distance instead.
+ *
+ * Scalars (speed, temperature, humidity, ...) are interpolated directly.
+ * Wind direction is interpolated as u/v components, so 350° and 10° blend
+ * to north rather than south; wind speed stays the interpolated scalar, as
+ * the vector mean would understate it where directions differ.
+ */
+
+const { nearestGridPoints } = require('../scripts/lib/power-curve');
+
+const round1 = value => Math.round(value * 10) / 10;
+
+// Grid keys tolerate coordinates written with different precision
+const cellKey = (lat, lon) => `${lat.toFixed(2)},${lon.toFixed(2)}`;
+
+/**
+ * Index the points of a wind-data.json file.
+ * @param {{generated?: string, times?: string[], data: Array<{lat: number, lon: number}>}} windData
+ */
+function createWindIndex(windData) {
+    const points = windData.data || [];
+    const byCell = new Map(points.map(p => [cellKey(p.lat, p.lon), p]));
+    const lats = [...new Set(points.map(p => p.lat))].sort((a, b) => a - b);
+    const lons = [...new Set(points.map(p => p.lon))].sort((a, b) => a - b);
+    const minStep = values => values.slice(1).reduce((step, v, i) => Math.min(step, v - values[i]), Infinity);
+    const step = Math.min(minStep(lats), minStep(lons));
+    const bounds = {
+        south: lats[0],
+        north: lats[lats.length - 1],
+        west: lons[0],
+        east: lons[lons.length - 1]
+    };
+
+    // Corner points and weights for a coordinate, null outside the grid
+    function getSources(lat, lon) {
+        if (points.length === 0 || lat < bounds.south || lat > bounds.north || lon < bounds.west || lon > bounds.east) {
+            return null;
+        }
+        if (!Number.isFinite(step)) {
+            return { method: 'nearest', sources: [{ point: points[0], weight: 1 }] };
+        }
+
+        const lat0 = bounds.south + Math.min(Math.floor((lat - bounds.south) / step), Math.max(0, lats.length - 2)) * step;
+        const lon0 = bounds.west + Math.min(Math.floor((lon - bounds.west) / step), Math.max(0, lons.length - 2)) * step;
+        const fy = (lat - lat0) / step;
+        const fx = (lon - lon0) / step;
+        const corners = [
+            { lat: lat0, lon: lon0, weight: (1 - fy) * (1 - fx) },
+            { lat: lat0, lon: lon0 + step, weight: (1 - fy) * fx },
+            { lat: lat0 + step, lon: lon0, weight: fy * (1 - fx) },
+            { lat: lat0 + step, lon: lon0 + step, weight: fy * fx }
+        ].map(c => ({ point: byCell.get(cellKey(c.lat, c.lon)), weight: c.weight }));
+
+        if (corners.every(c => c.point)) {
+            return { method: 'bilinear', sources: corners.filter(c => c.weight > 0) };
+        }
+        return { method: 'inverse-distance', sources: nearestGridPoints(lat, lon, points, 4) };
+    }
+
+    /**
+     * Interpolated weather at a coordinate, in the shape of a wind-data.json
+     * point plus the grid points it was blended from; null outside the grid.
+     */
+    function interpolate(lat, lon) {
+        const found = getSources(lat, lon);
+        if (!found) return null;
+        const { method, sources } = found;
+
+        const result = {
+            lat,
+            lon,
+            interpolation: method,
+            sources: sources.map(s => ({ lat: s.point.lat, lon: s.point.lon, weight: Math.round(s.weight * 1000) / 1000 })),
+            generated: windData.generated,
+            forecasts: blendForecasts(sources)
+        };
+        if (sources.every(s => s.point.hourly)) {
+            result.times = windData.times || [];
+            result.hourly = blendSeries(sources);
+        }
+        return result;
+    }
+
+    return { bounds, step, size: points.length, interpolate };
+}
+
+// Weighted blend of records with the same fields; windDirection goes
+// through u/v components weighted by speed. Values missing in a source
+// are left out and the remaining weights renormalised.
+function blendValues(records, weights) {
+    const fields = new Set(records.flatMap(r => Object.keys(r)));
+    const blended = {};
+    fields.forEach(field => {
+        if (field === 'windDirection') return;
+        let sum = 0;
+        let weight = 0;
+        records.forEach((r, i) => {
+            if (typeof r[field] !== 'number') return;
+            sum += r[field] * weights[i];
+            weight += weights[i];
+        });
+        blended[field] = weight > 0 ? round1(sum / weight) : null;
+    });
+
+    if (fields.has('windDirection')) {
+        let u = 0;
+        let v = 0;
+        records.forEach((r, i) => {
+            if (typeof r.windDirection !== 'number') return;
+            const speed = typeof r.windSpeed === 'number' ? r.windSpeed : 1;
+            const radians = r.windDirection * Math.PI / 180;
+            u -= speed * Math.sin(radians) * weights[i];
+            v -= speed * Math.cos(radians) * weights[i];
+        });
+        blended.windDirection = u === 0 && v === 0
+            ? null
+            : Math.round((Math.atan2(-u, -v) * 180 / Math.PI + 360) % 360);
+    }
+    return blended;
+}
+
+// Daily forecasts matched by `day`
+function blendForecasts(sources) {
+    const days = [...new Set(sources.flatMap(s => (s.point.forecasts || []).map(f => f.day)))].sort((a, b) => a - b);
+    return days.map(day => {
+        const records = [];
+        const weights = [];
+        sources.forEach(s => {
+            const forecast = (s.point.forecasts || []).find(f => f.day === day);
+            if (forecast) {
+                records.push(forecast);
+                weights.push(s.weight);
+            }
+        });
+        return { ...blendValues(records, weights), day };
+    });
+}
+
+// Hourly series on the shared time axis
+function blendSeries(sources) {
+    const fields = [...new Set(sources.flatMap(s => Object.keys(s.point.hourly)))];
+    const length = Math.max(...sources.map(s => Math.max(0, ...fields.map(f => s.point.hourly[f]?.length || 0))));
+    const weights = sources.map(s => s.weight);
+    const hourly = Object.fromEntries(fields.map(field => [field, new Array(length)]));
+    for (let i = 0; i < length; i++) {
+        const records = sources.map(s => Object.fromEntries(fields.map(f => [f, s.point.hourly[f]?.[i] ?? null])));
+        const blended = blendValues(records, weights);
+        fields.forEach(field => {
+            hourly[field][i] = blended[field];
+        });
+    }
+    return hourly;
+}
+
+module.exports = { createWindIndex };
@@ -5,15 +5,23 @@ const path = require('path');
 
 let passed = 0;
 let failed = 0;
+const tests = [];
 
+// Tests are collected first and run in order; fn may return a promise
 function test(name, fn) {
-    try {
-        fn();
-        console.log(`✓ ${name}`);
-        passed++;
-    } catch (error) {
-        console.log(`✗ ${name}: ${error.message}`);
-        failed++;
+    tests.push({ name, fn });
+}
+
+async function runTests() {
+    for (const { name, fn } of tests) {
+        try {
+            await fn();
+            console.log(`✓ ${name}`);
+            passed++;
+        } catch (error) {
+            console.log(`✗ ${name}: ${error.message}`);
+            failed++;
+        }
     }
 }
 
@@ -84,15 +92,1071 @@ test('wind-data.json has valid structure', () => {
 test('server.js has required dependencies', () => {
     const server = fs.readFileSync(path.join(__dirname, '../src/server.js'), 'utf8');
     assert(server.includes('express'), 'Missing express import');
-    assert(server.includes('fs'), 'Missing fs import');
+    assert(server.includes("require('./data-files')"), 'Missing data file reader import');
     assert(server.includes('app.listen'), 'Missing server listen');
 });
 
-// Summary
-console.log(`\n${passed} passed, ${failed} failed`);
+// Test 7: yr.no parsing keeps the full timeseries and the daily 12:00 snapshot
+test('fetch-wind-data parses hourly timeseries', () => {
+    const { parseTimeseries, parseWeatherResponse, buildHourlySeries } = require('../scripts/fetch-wind-data');
+    const entry = (time, windSpeed) => ({
+        time,
+        data: { instant: { details: { wind_speed: windSpeed, wind_from_direction: 180, air_temperature: -3, relative_humidity: 80 } } }
+    });
+    const response = { properties: { timeseries: [
+        entry('2026-02-07T11:00:00Z', 4),
+        entry('2026-02-07T12:00:00Z', 6),
+        entry('2026-02-07T13:00:00Z', 8)
+    ] } };
+    
+    const timeseries = parseTimeseries(response);
+    assert(timeseries.length === 3, 'every timeseries entry should be kept');
+    assert(timeseries[2].windSpeed === 8, 'wind speed should be parsed');
+    
+    const daily = parseWeatherResponse(response, new Date('2026-02-07T08:00:00Z'));
+    assert(daily.length === 9, 'daily forecasts should cover 9 days');
+    
+    const { times, data } = buildHourlySeries([
+        { lat: 60, lon: 25, forecasts: daily, timeseries },
+        { lat: 61, lon: 25, forecasts: daily, timeseries: timeseries.slice(1) }
+    ]);
+    assert(times.length === 3, 'time axis should be the union of all entries');
+    assert(data[1].hourly.windSpeed[0] === null, 'missing entries should be null');
+    assert(data[1].hourly.windSpeed[1] === 6, 'series should be aligned to the time axis');
+});
 
-if (failed > 0) {
-    process.exit(1);
-} else {
-    console.log('\nAll tests passed! ✓');
-}
+// Test 8: fetch worker pool stays within its concurrency bound
+test('fetch-wind-data worker pool bounds concurrency', async () => {
+    const { runPool, createRateLimiter } = require('../scripts/fetch-wind-data');
+    const processed = [];
+    let active = 0;
+    let maxActive = 0;
+    
+    await runPool([1, 2, 3, 4, 5], 2, async (item) => {
+        active++;
+        maxActive = Math.max(maxActive, active);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        processed.push(item);
+        active--;
+    });
+    assert(maxActive === 2, `expected 2 workers in flight, got ${maxActive}`);
+    assert(processed.length === 5, 'every item should be processed');
+    
+    const acquire = createRateLimiter(50);
+    const start = Date.now();
+    for (let i = 0; i < 3; i++) await acquire();
+    assert(Date.now() - start >= 35, 'rate limiter should space out requests');
+});
+
+// Test 9: MET Norway cache honours Expires and revalidates with If-Modified-Since
+test('fetch-wind-data reuses cached forecasts', async () => {
+    const https = require('https');
+    const { EventEmitter } = require('events');
+    const { fetchPoint } = require('../scripts/fetch-wind-data');
+    const acquire = async () => {};
+    const timeseries = [{ time: '2026-02-07T12:00:00Z', windSpeed: 6 }];
+    const cache = {
+        '60,25': { expires: new Date(Date.now() + 60000).toUTCString(), lastModified: 'Sat, 07 Feb 2026 10:00:00 GMT', timeseries }
+    };
+    
+    const fresh = await fetchPoint({ lat: 60, lon: 25 }, acquire, cache);
+    assert(fresh.outcome === 'cached' && fresh.timeseries === timeseries, 'unexpired entry should not be requested');
+    
+    cache['60,25'].expires = new Date(Date.now() - 60000).toUTCString();
+    const originalGet = https.get;
+    let sentHeader = null;
+    https.get = (url, options, callback) => {
+        sentHeader = options.headers['If-Modified-Since'];
+        const res = new EventEmitter();
+        res.statusCode = 304;
+        res.headers = { expires: 'Sat, 07 Feb 2026 11:00:00 GMT' };
+        res.resume = () => {};
+        setImmediate(() => callback(res));
+        return new EventEmitter();
+    };
+    try {
+        const revalidated = await fetchPoint({ lat: 60, lon: 25 }, acquire, cache);
+        assert(sentHeader === 'Sat, 07 Feb 2026 10:00:00 GMT', 'If-Modified-Since should be sent');
+        assert(revalidated.outcome === 'not-modified', '304 should reuse the cached forecast');
+        assert(cache['60,25'].expires === 'Sat, 07 Feb 2026 11:00:00 GMT', 'Expires should be updated');
+    } finally {
+        https.get = originalGet;
+    }
+});
+
+// Test 10: hub-height extrapolation follows the power law per terrain
+test('wind-shear extrapolates to hub height', () => {
+    const { loadShearProfile, hubHeightSpeed, getPointTerrain, applyWindShear } = require('../scripts/lib/wind-shear');
+    const profile = loadShearProfile();
+    const turbines = [{ name: 'Tahkoluoto', lat: 61.85, lon: 21.4, type: 'offshore' }];
+    
+    assert(hubHeightSpeed(5, 100, 0.11) === 6.4, 'power law 5 m/s * 10^0.11 should round to 6.4');
+    assert(getPointTerrain(61.8, 21.4, turbines, profile) === 'offshore', 'point next to an offshore farm should be offshore');
+    assert(getPointTerrain(65, 15, turbines, profile) === profile.defaultTerrain, 'remote point should use the default terrain');
+    
+    const point = applyWindShear({
+        lat: 65, lon: 15,
+        forecasts: [{ windSpeed: 5 }],
+        hourly: { windSpeed: [5, null] }
+    }, turbines, profile);
+    assert(point.forecasts[0].windSpeedHub > 5, 'hub-height speed should exceed the 10 m speed');
+    assert(point.hourly.windSpeedHub[1] === null, 'missing hourly values should stay null');
+});
+
+// Test 11: power curve and per-farm production estimate
+test('wind-production applies power curves per farm', () => {
+    const { powerFraction } = require('../scripts/lib/power-curve');
+    const { estimateProduction } = require('../scripts/wind-production');
+    const curve = { cutIn: 3, rated: 12, cutOut: 25, ratedPowerMW: 4 };
+    
+    assert(powerFraction(2, curve) === 0, 'no output below cut-in');
+    assert(powerFraction(15, curve) === 1, 'rated output between rated and cut-out');
+    assert(powerFraction(25, curve) === 0, 'no output from cut-out');
+    const ramp = powerFraction(9, curve);
+    assert(Math.abs(ramp - 702 / 1701) < 1e-9, `cubic ramp at 9 m/s should be (9³-3³)/(12³-3³), got ${ramp}`);
+    
+    const windFile = {
+        times: ['2026-02-07T12:00:00Z', '2026-02-07T13:00:00Z'],
+        data: [{ lat: 61, lon: 21, forecasts: [], hourly: { windSpeed: [2, 14] } }]
+    };
+    const production = estimateProduction(
+        windFile,
+        [{ name: 'Test', lat: 61, lon: 21, count: 10, type: 'onshore' }],
+        { referenceHeight: 10, defaultTerrain: 'onshore', terrains: { onshore: { exponent: 0, hubHeight: 100 } } },
+        { default: curve, lossFactor: 1, neighbours: 4 }
+    );
+    assert(production.farms[0].capacityMW === 40, 'capacity should be count x rated power');
+    assert(production.total.output[0] === 0, 'calm hour should produce nothing');
+    assert(production.total.output[1] === 40, 'strong wind should produce rated capacity');
+    
+    windFile.data[0].hourly.windSpeed[1] = null;
+    const partial = estimateProduction(
+        windFile,
+        [{ name: 'Test', lat: 61, lon: 21, count: 10, type: 'onshore' }, { name: 'Unknown', lat: 61, lon: 21, type: 'onshore' }],
+        { referenceHeight: 10, defaultTerrain: 'onshore', terrains: { onshore: { exponent: 0, hubHeight: 100 } } },
+        { default: curve, lossFactor: 1, neighbours: 4 }
+    );
+    assert(partial.skipped.join() === 'Unknown' && partial.total.capacityMW === 40, 'farms without capacity should be skipped');
+    assert(partial.total.output[1] === null, 'hours without wind should be null, not 0 MW');
+});
+
+// Test 12: ENTSO-E A44 parser against a recorded document
+test('entsoe provider parses A44 day-ahead prices', () => {
+    const { parseA44 } = require('../scripts/price-providers/entsoe');
+    const { buildDailyRecords } = require('../scripts/lib/price-records');
+    const xml = fs.readFileSync(path.join(__dirname, 'fixtures/entsoe-a44-fi.xml'), 'utf8');
+    
+    const intervals = parseA44(xml);
+    assert(intervals.length === 48, `expected 48 hourly intervals, got ${intervals.length}`);
+    
+    // Only the Helsinki day fully covered by both CET periods is kept
+    const records = buildDailyRecords(intervals, 'FI', 'Europe/Helsinki');
+    assert(records.length === 1 && records[0].date === '2026-02-07', 'one complete local day expected');
+    assert(records[0].resolution === 60 && records[0].prices.length === 24, 'complete day should have 24 hourly intervals');
+    assert(records[0].prices[0].start === '2026-02-06T22:00:00.000Z', 'day should start at Helsinki midnight');
+    assert(records[0].prices[0].price === 64, 'local midnight is the last hour of the previous CET period');
+    assert(records[0].prices[5].price === 64, 'omitted A03 points should repeat the previous price');
+    
+    let error = null;
+    try {
+        parseA44('<Acknowledgement_MarketDocument><Reason><code>999</code><text>No matching data found</text></Reason></Acknowledgement_MarketDocument>');
+    } catch (e) {
+        error = e;
+    }
+    assert(error && error.message.includes('No matching data found'), 'acknowledgement documents should throw');
+});
+
+test('entsoe provider keeps the zones that could be fetched', async () => {
+    const https = require('https');
+    const { EventEmitter } = require('events');
+    const { fetchPrices } = require('../scripts/price-providers/entsoe');
+    const xml = fs.readFileSync(path.join(__dirname, 'fixtures/entsoe-a44-fi.xml'), 'utf8');
+    const fiDomain = require('../config/bidding-zones.json').FI.eic;
+    
+    const originalGet = https.get;
+    const originalToken = process.env.ENTSOE_API_TOKEN;
+    const originalLog = console.log;
+    https.get = (url, options, callback) => {
+        const res = new EventEmitter();
+        res.statusCode = url.includes(fiDomain) ? 200 : 503;
+        res.headers = {};
+        res.setEncoding = () => {};
+        setImmediate(() => {
+            callback(res);
+            res.emit('data', res.statusCode === 200 ? xml : 'Service Unavailable');
+            res.emit('end');
+        });
+        return new EventEmitter();
+    };
+    process.env.ENTSOE_API_TOKEN = 'test';
+    console.log = () => {};
+    
+    let records;
+    let error = null;
+    try {
+        const period = { start: new Date('2026-02-06T00:00:00Z'), end: new Date('2026-02-08T00:00:00Z') };
+        records = await fetchPrices({ areas: ['SE3', 'FI'], ...period });
+        await fetchPrices({ areas: ['SE3'], ...period }).catch(e => { error = e; });
+    } finally {
+        https.get = originalGet;
+        console.log = originalLog;
+        if (originalToken === undefined) delete process.env.ENTSOE_API_TOKEN;
+        else process.env.ENTSOE_API_TOKEN = originalToken;
+    }
+    assert(records.length === 1 && records[0].area === 'FI', 'a failing zone should not drop the others');
+    assert(error && error.message.includes('SE3'), 'no zone at all should fail');
+});
+
+// Test 13: Nordpool Data Portal parser against a recorded response
+test('nordpool provider parses DayAheadPrices JSON', () => {
+    const { parseDayAheadPrices } = require('../scripts/price-providers/nordpool');
+    const { buildDailyRecords } = require('../scripts/lib/price-records');
+    const json = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures/nordpool-dayahead.json'), 'utf8'));
+    
+    const byArea = parseDayAheadPrices(json);
+    assert(byArea.FI.length === 96 && byArea.SE3.length === 96, 'every quarter-hour should be parsed per area');
+    
+    const [record] = buildDailyRecords(byArea.SE3, 'SE3', 'Europe/Stockholm');
+    assert(record.date === '2026-02-07' && record.area === 'SE3', 'SE3 record should be for the CET delivery day');
+    assert(record.resolution === 15 && record.prices.length === 96, 'quarter-hours should be kept as 96 intervals');
+    assert(record.avgPrice === 21.5, `expected average 21.5, got ${record.avgPrice}`);
+});
+
+// Test 14: Per-zone grid points and predictions
+test('price predictions are produced per bidding zone', () => {
+    const { isInZone, getZonePoints, getRecordArea } = require('../scripts/lib/bidding-zones');
+    const { LinearRegression, getFeatureNames, getPriceAreas, predictZone } = require('../scripts/price-prediction');
+    
+    assert(isInZone(60.2, 25, 'FI') && !isInZone(60.2, 25, 'SE3'), 'Helsinki should be in FI only');
+    assert(isInZone(59.3, 18, 'SE3') && isInZone(69.6, 19, 'NO4'), 'Stockholm and Tromsø should be in their zones');
+    
+    const points = [
+        { lat: 61, lon: 25, forecasts: [{ windSpeed: 4, temperature: -2 }] },
+        { lat: 59, lon: 17, forecasts: [{ windSpeed: 10, temperature: 1 }] }
+    ];
+    assert(getZonePoints(points, 'SE3').length === 1, 'only the Swedish point belongs to SE3');
+    assert(getRecordArea({ date: '2026-01-01' }) === 'FI', 'records without an area are Finnish');
+    assert(getPriceAreas([{ area: 'SE3' }, {}, { area: 'DK1' }]).join() === 'FI,SE3,DK1', 'areas should follow config order');
+    
+    const featureNames = getFeatureNames('SE3');
+    const model = new LinearRegression();
+    model.weights = featureNames.map(name => (name === 'windSpeed' ? -5 : 0));
+    model.bias = 100;
+    model.scaling = { mean: featureNames.map(() => 0), std: featureNames.map(() => 1) };
+    const [today] = predictZone(model, 'SE3', getZonePoints(points, 'SE3'));
+    assert(today.area === 'SE3', 'predictions should carry their zone');
+    assert(today.avgWindSpeed === 10 && today.predictedPrice === 50, 'prediction should use the zone\'s own wind');
+});
+
+// Test 15: Variable market time units, DST days and legacy hourly records
+test('price records handle 15-minute MTUs, DST and legacy files', () => {
+    const { buildDailyRecords, normalizePriceRecord } = require('../scripts/lib/price-records');
+    const { getDayLengthMinutes } = require('../scripts/lib/time-zone');
+    const { LinearRegression, getFeatureNames, predictZone } = require('../scripts/price-prediction');
+    
+    // 2026-10-25: Helsinki falls back from UTC+3 to UTC+2, a 25-hour day
+    assert(getDayLengthMinutes('2026-10-25', 'Europe/Helsinki') === 1500, 'fall-back day should be 25 hours');
+    const intervals = [];
+    for (let t = Date.parse('2026-10-24T21:00:00Z'); t < Date.parse('2026-10-25T22:00:00Z'); t += 15 * 60000) {
+        intervals.push({ start: new Date(t), end: new Date(t + 15 * 60000), price: 10 });
+    }
+    const [record] = buildDailyRecords(intervals, 'FI', 'Europe/Helsinki');
+    assert(record.prices.length === 100 && record.resolution === 15, 'fall-back day should have 100 quarter-hours');
+    assert(record.prices[99].end === '2026-10-25T22:00:00.000Z', 'last interval should end at local midnight');
+    
+    const legacy = normalizePriceRecord({
+        date: '2026-02-07', area: 'FI',
+        hourlyPrices: Array.from({ length: 24 }, (_, hour) => ({ hour, price: hour })),
+        avgPrice: 11.5
+    }, 'Europe/Helsinki');
+    assert(!legacy.hourlyPrices && legacy.resolution === 60 && legacy.prices.length === 24, 'legacy hours should become intervals');
+    assert(legacy.prices[1].start === '2026-02-06T23:00:00.000Z' && legacy.avgPrice === 11.5, 'legacy hour 1 is 01:00 Helsinki time');
+    
+    const featureNames = getFeatureNames('FI');
+    const model = new LinearRegression();
+    model.weights = featureNames.map(() => 0);
+    model.bias = 42;
+    model.scaling = { mean: featureNames.map(() => 0), std: featureNames.map(() => 1) };
+    const [day] = predictZone(model, 'FI', [], new Date('2026-10-25T08:00:00Z'), 15);
+    assert(day.date === '2026-10-25' && day.hourlyPredictions.length === 100, 'predictions should cover the 25-hour day');
+    assert(day.hourlyPredictions[12].hour === 3 && day.hourlyPredictions[16].hour === 3, 'the repeated 03:00 hour appears twice');
+});
+
+// Test 16: Closed-form linear regression recovers known coefficients
+test('linear regression solves a synthetic dataset exactly', () => {
+    const os = require('os');
+    const { LinearRegression } = require('../scripts/models/linear-regression');
+    
+    // y = 120 - 6·wind + 1.5·temp + 25·winter on badly scaled inputs; the
+    // constant column must be ignored rather than blow up the solve
+    const X = [];
+    const y = [];
+    for (let i = 0; i < 40; i++) {
+        const wind = (i * 7) % 13;
+        const temp = -20 + ((i * 11) % 31);
+        const winter = i % 3 === 0 ? 1 : 0;
+        X.push([wind, temp * 1000, winter, 5]);
+        y.push(120 - 6 * wind + 1.5 * temp + 25 * winter);
+    }
+    
+    const model = new LinearRegression({ lambda: 0 }).fit(X, y);
+    const check = [4, -3000, 1, 5];
+    const expected = 120 - 24 - 4.5 + 25;
+    assert(Math.abs(model.predict(check) - expected) < 1e-9, `expected ${expected}, got ${model.predict(check)}`);
+    assert(model.weights[3] === 0, 'constant feature should get zero weight');
+    // Standardised weight times std gives back the raw coefficient
+    assert(Math.abs(model.weights[0] / model.scaling.std[0] + 6) < 1e-9, 'wind coefficient should be -6');
+    
+    const ridge = new LinearRegression({ lambda: 10 }).fit(X, y);
+    assert(Math.abs(ridge.weights[0]) < Math.abs(model.weights[0]), 'ridge should shrink coefficients');
+    
+    // Diverged models are never written
+    const file = path.join(os.tmpdir(), `windpowers-model-${process.pid}.json`);
+    model.weights[1] = NaN;
+    let error = null;
+    try {
+        model.save(file);
+    } catch (e) {
+        error = e;
+    }
+    assert(error && !fs.existsSync(file), 'saving a NaN model should throw and write nothing');
+    
+    ridge.save(file);
+    const loaded = new LinearRegression().load(file);
+    fs.unlinkSync(file);
+    assert(loaded.predict(check) === ridge.predict(check), 'saved model should round-trip');
+});
+
+// Test 17: Weather archive and backfill feed the price trainer
+test('weather archive stores daily means and protects imports', () => {
+    const os = require('os');
+    const { summarizeDay, archiveDay, loadArchive, withForecastDays } = require('../scripts/lib/weather-archive');
+    const { parseCsv, aggregateRows } = require('../scripts/backfill-weather');
+    const { getZoneWeather } = require('../scripts/price-prediction');
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'windpowers-archive-'));
+    
+    const times = ['2026-02-06T18:00:00Z', '2026-02-07T00:00:00Z', '2026-02-07T12:00:00Z'];
+    const points = [{ lat: 61, lon: 25, hourly: { windSpeed: [9, 4, 6], temperature: [-9, -3, -1] } }];
+    const rows = summarizeDay(points, times, '2026-02-07');
+    assert(rows.length === 1 && rows[0][2] === 5 && rows[0][3] === -2, 'only hours of the date should be averaged');
+    
+    const csv = parseCsv('time,lat,lon,windSpeed,temperature\n2026-02-06T00:00Z,61,25,3,-10\n2026-02-06T12:00Z,61,25,5,-6\nbad,61,25,1,1\n');
+    const { days, skipped } = aggregateRows(csv);
+    assert(skipped === 1 && days.get('2026-02-06')[0][2] === 4, 'hourly CSV rows should be averaged per day');
+    
+    archiveDay('2026-02-06', days.get('2026-02-06'), { source: 'import', dir });
+    assert(!archiveDay('2026-02-06', rows, { source: 'forecast', dir }), 'forecasts must not replace imported days');
+    archiveDay('2026-02-07', rows, { dir });
+    
+    const archive = loadArchive(dir);
+    fs.rmSync(dir, { recursive: true, force: true });
+    assert(archive.size === 2 && archive.get('2026-02-06')[0].windSpeed === 4, 'imported day should be kept');
+    assert(getZoneWeather(archive, '2026-02-07', 'FI').temperature === -2, 'zone weather should come from the archive');
+    assert(getZoneWeather(archive, '2026-02-07', 'SE3') === null, 'zones without archived points have no weather');
+    
+    const run = {
+        generated: '2026-02-07T18:00:00Z',
+        data: [{ lat: 61, lon: 25, forecasts: [{ day: 0, windSpeed: 1, temperature: 1 }, { day: 1, windSpeed: 7, temperature: -4 }] }]
+    };
+    const seeded = withForecastDays(archive, run);
+    assert(seeded.added === 1 && seeded.archive.get('2026-02-07')[0].windSpeed === 5, 'archived days should win over the forecast');
+    assert(seeded.archive.get('2026-02-08')[0].windSpeed === 7 && !archive.has('2026-02-08'), 'missing days should come from the run');
+});
+
+// Test 18: Rolling-origin backtest against naive baselines
+test('backtest scores the model per horizon and hour against baselines', () => {
+    const { buildDailyRecords } = require('../scripts/lib/price-records');
+    const { addDays, zonedMidnight } = require('../scripts/lib/time-zone');
+    const { lastWeekDate } = require('../scripts/lib/backtest');
+    const { backtestZone } = require('../scripts/price-prediction');
+    
+    assert(lastWeekDate('2026-02-10', '2026-02-05') === '2026-02-03', 'D+5 baseline should come from the last known week');
+    assert(lastWeekDate('2026-02-15', '2026-02-05') === '2026-02-01', 'D+10 baseline should step back two weeks');
+    
+    // Prices driven purely by wind, which the archive records exactly
+    const weatherArchive = new Map();
+    const intervals = [];
+    for (let d = 0; d < 30; d++) {
+        const date = addDays('2026-01-01', d);
+        const wind = 2 + (d * 5) % 11;
+        weatherArchive.set(date, [{ lat: 61, lon: 25, windSpeed: wind, temperature: -5 }]);
+        const start = zonedMidnight(date, 'Europe/Helsinki').getTime();
+        for (let h = 0; h < 24; h++) {
+            intervals.push({ start: new Date(start + h * 3600000), end: new Date(start + (h + 1) * 3600000), price: 100 - 5 * wind });
+        }
+    }
+    const records = buildDailyRecords(intervals, 'FI', 'Europe/Helsinki');
+    
+    // Records survive the compact price archive unchanged
+    const os = require('os');
+    const { archivePrices, loadPriceArchive } = require('../scripts/lib/price-archive');
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'windpowers-prices-'));
+    archivePrices(records, dir);
+    const archived = loadPriceArchive(dir);
+    fs.rmSync(dir, { recursive: true, force: true });
+    assert(JSON.stringify(archived) === JSON.stringify(records), 'archived prices should round-trip');
+    
+    const report = backtestZone('FI', archived, weatherArchive, 14);
+    assert(report.origins === 16, `expected 16 origins, got ${report.origins}`);
+    assert(report.horizons.length === 9 && report.hours.length === 24, 'report should cover 9 horizons and 24 hours');
+    assert(report.horizons[0].model.n === 16 * 24, 'every hour of every D+0 target should be scored');
+    assert(report.overall.model.mae < 1, `model should fit wind-driven prices, MAE ${report.overall.model.mae}`);
+    assert(report.overall.skill.yesterday > 0.8 && report.overall.skill.lastWeek > 0.8, 'model should beat both baselines');
+    assert(report.overall.yesterday.mape > 0, 'baselines should have non-zero error');
+});
+
+// Test 19: Prediction intervals from residual quantiles
+test('predictions carry P10/P50/P90 bands from residual quantiles', () => {
+    const { quantile } = require('../scripts/lib/quantiles');
+    const { LinearRegression, getFeatureNames, predictZone, computeResidualQuantiles } = require('../scripts/price-prediction');
+    
+    assert(quantile([1, 2, 3, 4, 5], 0.5) === 3 && quantile([1, 2, 3, 4, 5], 0.1) === 1.4, 'quantiles should interpolate');
+    
+    const featureNames = getFeatureNames('FI');
+    const model = new LinearRegression();
+    model.weights = featureNames.map(() => 0);
+    model.bias = 50;
+    model.scaling = { mean: featureNames.map(() => 0), std: featureNames.map(() => 1) };
+    
+    // Actual prices scatter -10..+10 around the constant forecast
+    const start = Date.parse('2026-01-04T22:00:00Z');
+    const days = Array.from({ length: 21 }, (_, d) => {
+        const prices = Array.from({ length: 24 }, (__, h) => ({
+            start: new Date(start + (d * 24 + h) * 3600000).toISOString(),
+            end: new Date(start + (d * 24 + h + 1) * 3600000).toISOString(),
+            price: 50 + (d - 10)
+        }));
+        const date = new Date(start + d * 86400000 + 7200000).toISOString().split('T')[0];
+        return { record: { date, prices, avgPrice: 50 + (d - 10) }, weather: { windSpeed: 5, temperature: 0 } };
+    });
+    const bands = computeResidualQuantiles(model, days, 'Europe/Helsinki');
+    assert(bands.daily.join() === '-8,0,8', `daily residual quantiles should be -8,0,8, got ${bands.daily}`);
+    assert(bands.hourly.length === 24 && bands.hourly[7].join() === '-8,0,8', 'hours should get their own quantiles');
+    
+    model.metadata.residualQuantiles = bands;
+    const [today] = predictZone(model, 'FI', [], new Date('2026-02-07T10:00:00Z'));
+    assert(today.p10 === 42 && today.p50 === 50 && today.p90 === 58, 'daily band should wrap the forecast');
+    assert(today.predictedPrice === today.p50 && today.confidence === undefined, 'predictedPrice is the median; confidence is gone');
+    const slot = today.hourlyPredictions[12];
+    assert(slot.p10 === 42 && slot.price === 50 && slot.p90 === 58, 'every slot should carry its band');
+});
+
+// Test 20: Gradient-boosted trees behind the model registry
+test('gradient-boosted trees fit a price cliff the linear model misses', () => {
+    const os = require('os');
+    const { createModel, loadModel, getModelEntry } = require('../scripts/models');
+    
+    // Prices collapse once wind passes 8 m/s; temperature is noise
+    const X = [];
+    const y = [];
+    for (let i = 0; i < 60; i++) {
+        const wind = (i * 7) % 15;
+        X.push([wind, -10 + ((i * 11) % 23)]);
+        y.push(wind > 8 ? 5 : 90);
+    }
+    const mae = model => X.reduce((sum, x, i) => sum + Math.abs(model.predict(x) - y[i]), 0) / X.length;
+    
+    const linear = createModel('linear').fit(X, y);
+    const gbt = createModel('gbt').fit(X, y);
+    gbt.featureNames = ['windSpeed', 'temperature'];
+    assert(mae(gbt) < 1 && mae(linear) > 10, `gbt MAE ${mae(gbt)} should beat linear MAE ${mae(linear)}`);
+    
+    const [windImportance] = gbt.getFeatureImportance();
+    assert(windImportance > 0.99, `wind should carry the splits, got ${windImportance}`);
+    
+    // Saved files dispatch on their type
+    const file = path.join(os.tmpdir(), `windpowers-gbt-${process.pid}.json`);
+    gbt.save(file);
+    const { name, model } = loadModel(file);
+    linear.save(file);
+    const reloaded = loadModel(file);
+    fs.unlinkSync(file);
+    assert(name === 'gbt' && model.predict([12, 0]) === gbt.predict([12, 0]), 'gbt model should round-trip');
+    assert(reloaded.name === 'linear' && reloaded.model.predict([3, 0]) === linear.predict([3, 0]), 'linear model should load by type');
+    
+    let error = null;
+    try {
+        getModelEntry('xgboost');
+    } catch (e) {
+        error = e;
+    }
+    assert(error && /linear, gbt/.test(error.message), 'unknown models should list the available ones');
+});
+
+// Test 21: Feature engineering for the price models
+test('price features weight wind and heat demand and forecast lags recursively', () => {
+    const { getHolidays, isHoliday } = require('../scripts/lib/holidays');
+    const { FEATURE_NAMES, summarizeZoneWeather, extractFeatures } = require('../scripts/lib/price-features');
+    const { LinearRegression, getFeatureNames, predictZone } = require('../scripts/price-prediction');
+    
+    const holidays = getHolidays('FI', 2026);
+    assert(holidays.get('2026-04-03') === 'Good Friday' && holidays.get('2026-05-14') === 'Ascension Day', 'Easter-based holidays should move with Easter');
+    assert(holidays.get('2026-06-19') === 'Midsummer Eve' && holidays.get('2026-10-31') === 'All Saints\' Day', 'Midsummer and All Saints\' should fall on their weekday');
+    assert(isHoliday('2026-12-06', 'FI') && !isHoliday('2026-12-06', 'SE'), 'only countries with a calendar have holidays');
+    
+    // Cold, windy south and west coast with the farms and cities; mild, calm far north-east
+    const points = [
+        { lat: 65, lon: 25, windSpeed: 12, temperature: -10 },
+        { lat: 63, lon: 22, windSpeed: 12, temperature: -10 },
+        { lat: 60.5, lon: 23, windSpeed: 12, temperature: -10 },
+        { lat: 69, lon: 31.5, windSpeed: 2, temperature: 20 }
+    ];
+    const weather = summarizeZoneWeather(points, 'FI');
+    assert(weather.meanWindSpeed === 9.5 && weather.windSpeed > 11, `capacity-weighted wind should follow the farms, got ${weather.windSpeed}`);
+    assert(weather.temperature === -2.5 && weather.heatingDegreeDays > 24, `degree days should follow the cities, got ${weather.heatingDegreeDays}`);
+    
+    const features = extractFeatures(weather, '2026-12-24', { country: 'FI', priceLag1: 80, priceLag7: 60 });
+    const get = name => features[FEATURE_NAMES.indexOf(name)];
+    assert(features.length === FEATURE_NAMES.length, 'one value per documented feature');
+    assert(get('isHoliday') === 1 && get('isWinter') === 1 && get('priceLag1') === 80 && get('priceLag7') === 60, 'calendar and lag features should be set');
+    
+    // price = 10 + 0.5 * yesterday's price, so lags must chain through the forecast
+    const featureNames = getFeatureNames('FI');
+    const model = new LinearRegression();
+    model.weights = featureNames.map(name => (name === 'priceLag1' ? 0.5 : 0));
+    model.bias = 10;
+    model.scaling = { mean: featureNames.map(() => 0), std: featureNames.map(() => 1) };
+    const history = new Map([['2026-02-06', 100]]);
+    const [today, tomorrow, third] = predictZone(model, 'FI', [], new Date('2026-02-07T10:00:00Z'), 60, [], history);
+    assert(today.predictedPrice === 60 && tomorrow.predictedPrice === 40 && third.predictedPrice === 30, `lagged prices should be forecast recursively, got ${today.predictedPrice}, ${tomorrow.predictedPrice}, ${third.predictedPrice}`);
+});
+
+// Test 22: Cross-border regional weather and precipitation
+test('zone models see neighbouring countries and precipitation', () => {
+    const os = require('os');
+    const { parseTimeseries } = require('../scripts/fetch-wind-data');
+    const { getCountryPoints } = require('../scripts/lib/bidding-zones');
+    const { loadArchive } = require('../scripts/lib/weather-archive');
+    const { getZoneRegions, getFeatureNames, summarizeZoneWeather, extractFeatures } = require('../scripts/lib/price-features');
+    
+    const [hourly, sixHourly] = parseTimeseries({ properties: { timeseries: [
+        { time: '2026-02-07T00:00:00Z', data: { instant: { details: {} }, next_1_hours: { details: { precipitation_amount: 0.6 } } } },
+        { time: '2026-02-09T00:00:00Z', data: { instant: { details: {} }, next_6_hours: { details: { precipitation_amount: 3 } } } }
+    ] } });
+    assert(hourly.precipitation === 0.6 && sixHourly.precipitation === 0.5, 'precipitation should be a rate in mm/h');
+    
+    const grid = [
+        { lat: 62, lon: 26, windSpeed: 5, temperature: -8, precipitation: 1 },
+        { lat: 60, lon: 15, windSpeed: 9, temperature: -2, precipitation: 4 },
+        { lat: 62, lon: 16, windSpeed: 7, temperature: -6, precipitation: null },
+        { lat: 61, lon: 7, windSpeed: 12, temperature: 1, precipitation: 20 }
+    ];
+    assert(getCountryPoints(grid, 'SE').length === 2 && getCountryPoints(grid, 'DK').length === 0, 'points should map to countries by zone boxes');
+    
+    assert(getZoneRegions('FI').join() === 'SE,NO', 'FI should follow config/zone-features.json');
+    const weather = summarizeZoneWeather(grid, 'FI');
+    assert(weather.meanWindSpeed === 5, 'the zone itself should only use its own points');
+    assert(weather.regions.SE.windSpeed === 8 && weather.regions.SE.precipitation === 4, 'regions average their known values');
+    assert(weather.regions.NO.precipitation === 20, 'Norwegian hydro proxy should come from Norwegian points');
+    
+    const names = getFeatureNames('FI');
+    const features = extractFeatures(weather, '2026-02-07', { country: 'FI', regions: getZoneRegions('FI') });
+    assert(features.length === names.length && features[names.indexOf('NO_precipitation')] === 20, 'regional values should follow the feature names');
+    
+    // Archives from before precipitation was fetched read it as unknown
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'windpowers-archive-'));
+    fs.writeFileSync(path.join(dir, '2026-01.json'), JSON.stringify({
+        fields: ['lat', 'lon', 'windSpeed', 'temperature'],
+        days: { '2026-01-15': { source: 'forecast', points: [[60, 15, 9, -2]] } }
+    }));
+    const archive = loadArchive(dir);
+    fs.rmSync(dir, { recursive: true, force: true });
+    assert(archive.get('2026-01-15')[0].precipitation === null, 'missing precipitation should load as null');
+});
+
+// Test 23: Learned intraday price shape
+test('hourly predictions follow the learned intraday shape', () => {
+    const { buildDailyRecords } = require('../scripts/lib/price-records');
+    const { getDayType, learnShape, getShapeProfile } = require('../scripts/lib/price-shape');
+    const { LinearRegression, getFeatureNames, predictZone } = require('../scripts/price-prediction');
+    
+    assert(getDayType('2026-12-24', 'FI') === 'sunday' && getDayType('2026-12-24', 'SE') === 'weekday', 'holidays should count as Sundays');
+    
+    // Three weeks (Mon 2 Feb - Sun 22 Feb 2026): weekdays +15 €/MWh from 08 to 20
+    // Helsinki time and -15 otherwise, weekends flat
+    const intervals = [];
+    for (let t = Date.parse('2026-02-01T22:00:00Z'); t < Date.parse('2026-02-22T22:00:00Z'); t += 3600000) {
+        const local = new Date(t + 2 * 3600000);
+        const weekend = local.getUTCDay() === 0 || local.getUTCDay() === 6;
+        const day = local.getUTCHours() >= 8 && local.getUTCHours() < 20;
+        intervals.push({ start: new Date(t), end: new Date(t + 3600000), price: weekend ? 40 : (day ? 70 : 40) });
+    }
+    const records = buildDailyRecords(intervals, 'FI', 'Europe/Helsinki');
+    const shape = learnShape(records, 'Europe/Helsinki', 'FI');
+    assert(shape.profiles['weekday/winter'].days === 15 && shape.profiles['saturday/winter'].days === 3, 'profiles should be kept per day type and season');
+    assert(Object.keys(learnShape(records.slice(0, 2), 'Europe/Helsinki', 'FI').profiles).length === 0, 'profiles need three days');
+    const weekday = getShapeProfile(shape, '2026-02-10');
+    assert(weekday[9 * 4] === 15 && weekday[3 * 4] === -15, 'weekday shape should be centred on the daily average');
+    assert(getShapeProfile(shape, '2026-02-14') === shape.profiles['saturday/winter'].deviations, 'Saturdays should use their own shape');
+    
+    const featureNames = getFeatureNames('FI');
+    const model = new LinearRegression();
+    model.weights = featureNames.map(() => 0);
+    model.bias = 50;
+    model.scaling = { mean: featureNames.map(() => 0), std: featureNames.map(() => 1) };
+    model.metadata.shape = shape;
+    const [monday, , , , , saturday] = predictZone(model, 'FI', [], new Date('2026-02-23T10:00:00Z'), 15);
+    const at = (prediction, hour) => prediction.hourlyPredictions.find(p => p.hour === hour).price;
+    assert(at(monday, 9) === 65 && at(monday, 3) === 35 && monday.predictedPrice === 50, 'weekday curve should be level plus shape');
+    assert(at(saturday, 9) === 50 && at(saturday, 3) === 50, 'flat weekends should stay flat');
+});
+
+// Test 24: Cheapest-hours planner
+test('cheapest-hours planner mixes day-ahead prices and the forecast', async () => {
+    const { planCheapestHours } = require('../src/cheapest-hours');
+    const quarter = 15 * 60000;
+    const dayStart = Date.parse('2026-02-09T22:00:00Z');
+    // Day-ahead quarters of 10 Feb (Helsinki): cheap 03:00-04:00, a single cheaper quarter at 12:00
+    const prices = Array.from({ length: 96 }, (_, i) => ({
+        start: new Date(dayStart + i * quarter).toISOString(),
+        end: new Date(dayStart + (i + 1) * quarter).toISOString(),
+        price: i >= 12 && i < 16 ? 20 : i === 48 ? 5 : 80
+    }));
+    const priceData = { data: [{ date: '2026-02-10', area: 'FI', resolution: 15, prices, avgPrice: 78 }] };
+    // Hourly forecast for 11 Feb with a cheap night
+    const forecastStart = dayStart + 86400000;
+    const predictionData = {
+        predictions: [{
+            area: 'FI',
+            date: '2026-02-11',
+            hourlyPredictions: Array.from({ length: 24 }, (_, h) => ({
+                hour: h,
+                start: new Date(forecastStart + h * 3600000).toISOString(),
+                end: new Date(forecastStart + (h + 1) * 3600000).toISOString(),
+                price: h >= 2 && h < 5 ? 10 : 90,
+                p10: 0,
+                p90: 100
+            }))
+        }]
+    };
+    const from = new Date(dayStart);
+    
+    const today = planCheapestHours('FI', priceData, predictionData,
+        { hours: 1, from, to: new Date(forecastStart), contiguous: true });
+    assert(today.resolution === 15 && today.blocks.length === 1, 'one contiguous block at 15-minute resolution');
+    assert(today.blocks[0].start === '2026-02-10T01:00:00.000Z' && today.averagePrice === 20, 'cheapest hour should be 03:00 local');
+    assert(today.source === 'day-ahead', 'published prices should be labelled day-ahead');
+    
+    const scattered = planCheapestHours('FI', priceData, predictionData,
+        { hours: 1, from, to: new Date(forecastStart), contiguous: false });
+    assert(scattered.slots.some(s => s.price === 5) && scattered.averagePrice === 16.25, 'non-contiguous plans should pick the cheapest quarters');
+    assert(scattered.blocks.length === 2, 'scattered quarters should merge into blocks');
+    
+    const tomorrow = planCheapestHours('FI', priceData, predictionData, { hours: 2, from, contiguous: true });
+    assert(tomorrow.blocks[0].source === 'forecast' && tomorrow.averagePrice === 10, 'the forecast should extend the day-ahead prices');
+    assert(tomorrow.slots.length === 8 && tomorrow.slots[0].p90 === 100, 'forecast hours should be split to the finest resolution');
+    assert(planCheapestHours('FI', priceData, predictionData, { hours: 100, from, contiguous: true }) === null, 'too few prices should give no plan');
+    
+    const app = require('../src/server');
+    const server = app.listen(0);
+    try {
+        const base = `http://127.0.0.1:${server.address().port}/api/cheapest-hours`;
+        const badZone = await fetch(`${base}?area=XX&hours=2`);
+        const badHours = await fetch(`${base}?area=FI&hours=-1`);
+        assert(badZone.status === 400 && badHours.status === 400, 'invalid parameters should be rejected');
+        assert((await badHours.json()).error.includes('hours'), 'errors should say what is wrong');
+    } finally {
+        server.close();
+    }
+});
+
+// Test 25: Battery arbitrage
+test('battery simulator charges cheap and discharges dear within its limits', () => {
+    const { simulateBattery, planBattery } = require('../scripts/lib/battery');
+    const hour = 3600000;
+    const start = Date.parse('2026-02-10T00:00:00Z');
+    const slots = [10, 100, 10, 100].map((price, i) => ({ start: start + i * hour, end: start + (i + 1) * hour, price }));
+    
+    const ideal = simulateBattery(slots, { capacityKwh: 10, powerKw: 10, efficiency: 1 });
+    assert(ideal.summary.profit === 1.8 && ideal.summary.cycles === 2, 'two full cycles over a 90 €/MWh spread');
+    assert(ideal.schedule.map(s => s.action).join() === 'charge,discharge,charge,discharge', 'should buy low and sell high');
+    assert(ideal.schedule[0].socKwh === 10 && ideal.schedule[3].socKwh === 0, 'should end empty');
+    
+    const limited = simulateBattery(slots, { capacityKwh: 10, powerKw: 5, efficiency: 1 });
+    assert(limited.summary.profit === 0.9 && limited.schedule[0].gridKwh === 5, 'power should cap each hour');
+    const lossy = simulateBattery(slots, { capacityKwh: 10, powerKw: 10, efficiency: 0.81 });
+    assert(lossy.summary.profit < 1.8 && lossy.summary.dischargedKwh < lossy.summary.chargedKwh, 'losses should cost energy');
+    const worn = simulateBattery(slots, { capacityKwh: 10, powerKw: 10, efficiency: 1, degradationCost: 95 });
+    assert(worn.summary.profit === 0 && worn.schedule.every(s => s.action === 'idle'), 'wear above the spread should keep it idle');
+    
+    const plan = planBattery('FI', { data: [] }, {
+        predictions: [{ area: 'FI', date: '2026-02-10', hourlyPredictions: slots.map((s, i) => ({
+            hour: i, start: new Date(s.start).toISOString(), end: new Date(s.end).toISOString(), price: s.price
+        })) }]
+    }, { from: new Date(start), capacityKwh: 10, powerKw: 10, efficiency: 1 });
+    assert(plan.source === 'forecast' && plan.profitBySource.forecast === 1.8, 'forecast profit should be reported separately');
+});
+
+// Test 26: Consumer tariffs
+test('consumer prices add margin, transfer, tax and VAT', async () => {
+    const { getTariff, applyTariff, getConsumerDay } = require('../scripts/lib/tariffs');
+    const { planCheapestHours } = require('../src/cheapest-hours');
+    const fi = getTariff('FI');
+    const day = applyTariff(100, fi, 12);
+    const night = applyTariff(100, fi, 23);
+    const expected = (10 + fi.retailerMargin + fi.transfer.day + fi.electricityTax) * (1 + fi.vatRate);
+    assert(Math.abs(day.total - expected) < 0.01 && day.spot === 10, 'all-in price should be spot plus fees plus VAT');
+    assert(night.transfer === fi.transfer.night && night.total < day.total, 'night transfer should apply late evening');
+    assert(getTariff('NO4').vatRate === 0 && getTariff('NO1').vatRate === 0.25, 'zone overrides should apply');
+    
+    // The frontend shows server-side consumer prices, with no copy of the formula
+    const appJs = fs.readFileSync(path.join(__dirname, '../public/app.js'), 'utf8');
+    assert(!appJs.includes('function applyTariff') && appJs.includes('/api/consumer-prices'), 'frontend should use /api/consumer-prices');
+    assert(/let priceUnit = 'wholesale'/.test(appJs), 'wholesale prices should be the default');
+    
+    const flat = getConsumerDay({ date: '2026-02-10', predictedPrice: 100, p10: 100, p90: 100 }, fi, 'Europe/Helsinki');
+    const nightHours = 24 - (22 - 7);
+    const mean = (expected * (24 - nightHours) + night.total * nightHours) / 24;
+    assert(Math.abs(flat.consumer - mean) < 0.02, 'daily consumer price should weight day and night transfer');
+    assert(flat.p10 === flat.consumer && flat.p90 === flat.consumer, 'daily bands should be converted too');
+    
+    // Spot is cheapest at noon, but for households the night transfer rate wins
+    const start = Date.parse('2026-02-09T22:00:00Z');
+    const predictionData = {
+        predictions: [{
+            area: 'FI',
+            date: '2026-02-10',
+            hourlyPredictions: Array.from({ length: 24 }, (_, h) => ({
+                hour: h,
+                start: new Date(start + h * 3600000).toISOString(),
+                end: new Date(start + (h + 1) * 3600000).toISOString(),
+                price: h < 12 ? 50 : 49
+            }))
+        }]
+    };
+    const options = { hours: 1, from: new Date(start), contiguous: true };
+    const wholesalePlan = planCheapestHours('FI', null, predictionData, options);
+    const consumerPlan = planCheapestHours('FI', null, predictionData, { ...options, tariff: fi });
+    assert(wholesalePlan.unit === '€/MWh' && wholesalePlan.blocks[0].start === '2026-02-10T10:00:00.000Z', 'wholesale plan should take the cheapest spot hour');
+    assert(consumerPlan.unit === 'c/kWh' && consumerPlan.blocks[0].start === '2026-02-10T20:00:00.000Z', 'consumer plan should move to the night transfer rate');
+    assert(consumerPlan.averagePrice === applyTariff(49, fi, 22).total, 'consumer plan prices should be all-in c/kWh');
+    
+    const app = require('../src/server');
+    const server = app.listen(0);
+    try {
+        const base = `http://127.0.0.1:${server.address().port}`;
+        const tariffs = await (await fetch(`${base}/api/tariffs`)).json();
+        assert(tariffs.areas.FI.vatRate === fi.vatRate && tariffs.areas.DK1, 'tariffs should be served per zone');
+        assert((await fetch(`${base}/api/consumer-prices?area=XX`)).status === 400, 'unknown zones should be rejected');
+    } finally {
+        server.close();
+    }
+});
+
+// Test 27: Forecast vintages
+test('forecast runs are kept as vintages with retention', async () => {
+    const os = require('os');
+    const { saveVintage, listVintages, loadVintage, compactPredictions, summarizeWindRun, filterVintage } = require('../scripts/lib/vintages');
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'windpowers-vintages-'));
+    try {
+        const run = generated => compactPredictions({
+            generated,
+            model: 'test',
+            areas: ['FI', 'SE3'],
+            predictions: ['FI', 'SE3'].map(area => ({
+                area,
+                date: '2026-02-10',
+                predictedPrice: 50,
+                resolution: 60,
+                hourlyPredictions: [
+                    { hour: 0, start: '2026-02-09T22:00:00.000Z', end: '2026-02-09T23:00:00.000Z', price: 40 },
+                    { hour: 1, start: '2026-02-09T23:00:00.000Z', end: '2026-02-10T00:00:00.000Z', price: 60 }
+                ]
+            }))
+        });
+        ['2026-02-07T06:00:00.000Z', '2026-02-08T06:00:00.000Z', '2026-02-09T06:00:00.000Z'].forEach(generated => {
+            saveVintage('predictions', run(generated), { dir, keep: 2 });
+        });
+        
+        const vintages = listVintages('predictions', dir);
+        assert(vintages.length === 2 && vintages[0].generated === '2026-02-09T06:00:00.000Z', 'newest runs should be kept, newest first');
+        const latest = loadVintage('predictions', vintages[0].id, dir);
+        assert(latest.predictions[0].start === '2026-02-09T22:00:00.000Z' && latest.predictions[0].prices.join() === '40,60', 'slots should be stored compactly');
+        assert(filterVintage(latest, 'SE3').predictions.length === 1, 'vintages should filter to one zone');
+        assert(loadVintage('predictions', '../../package', dir) === null, 'ids outside the vintage store should be refused');
+        
+        const times = ['2026-02-10T00:00:00Z', '2026-02-10T01:00:00Z'];
+        const wind = summarizeWindRun('2026-02-10T00:00:00Z', times, [
+            { lat: 61, lon: 25, hourly: { windSpeed: [4, 6], temperature: [-5, -3] } }
+        ]);
+        assert(wind.areas.FI[0].windSpeed === 5 && wind.areas.FI[0].temperature === -4, 'wind runs should keep zone daily means');
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+    
+    const app = require('../src/server');
+    const server = app.listen(0);
+    try {
+        const base = `http://127.0.0.1:${server.address().port}/api/vintages`;
+        assert((await fetch(`${base}/nope`)).status === 400, 'unknown kinds should be rejected');
+        assert((await fetch(`${base}/predictions/2000-01-01T00-00-00.000Z`)).status === 404, 'missing vintages should 404');
+    } finally {
+        server.close();
+    }
+});
+
+// Test 28: Interpolated weather at any coordinate
+test('weather is interpolated between grid points with vector wind direction', async () => {
+    const { createWindIndex } = require('../src/wind-index');
+    const point = (lat, lon, windSpeed, windDirection, temperature) => ({
+        lat, lon,
+        forecasts: [{ day: 0, windSpeed, windDirection, temperature }],
+        hourly: { windSpeed: [windSpeed, null], windDirection: [windDirection, null], temperature: [temperature, temperature] }
+    });
+    const grid = {
+        times: ['2026-02-10T00:00:00Z', '2026-02-10T01:00:00Z'],
+        data: [
+            point(60, 24, 4, 350, -10), point(60, 24.5, 8, 10, -6),
+            point(60.5, 24, 4, 350, -10), point(60.5, 24.5, 8, 10, -6),
+            point(61, 24, 6, 90, 0)
+        ]
+    };
+    const index = createWindIndex(grid);
+    assert(index.step === 0.5 && index.bounds.north === 61, 'grid step and bounds should be detected');
+    
+    const mid = index.interpolate(60.25, 24.25);
+    const day = mid.forecasts[0];
+    assert(mid.interpolation === 'bilinear' && mid.sources.length === 4, 'inside a full cell should be bilinear');
+    assert(day.windSpeed === 6 && day.temperature === -8, 'scalars should be averaged');
+    assert(day.windDirection === 2 || day.windDirection === 3, `350° and 10° should blend to about north, got ${day.windDirection}`);
+    assert(mid.hourly.windSpeed[0] === 6 && mid.hourly.windSpeed[1] === null && mid.hourly.temperature[1] === -8, 'hourly series should blend too');
+    
+    const exact = index.interpolate(60, 24.5);
+    assert(exact.forecasts[0].windSpeed === 8 && exact.sources.length === 1, 'grid points should return their own values');
+    assert(index.interpolate(60.75, 24.25).interpolation === 'inverse-distance', 'cells with missing corners should fall back to inverse distance');
+    assert(index.interpolate(59, 24) === null && index.interpolate(60.2, 30) === null, 'outside the grid there is no data');
+    
+    const app = require('../src/server');
+    const server = app.listen(0);
+    try {
+        const base = `http://127.0.0.1:${server.address().port}/api/weather`;
+        assert((await fetch(`${base}?lat=abc&lon=25`)).status === 400, 'coordinates should be validated');
+        assert((await fetch(`${base}?lat=10&lon=25`)).status === 404, 'far away coordinates should 404');
+        const weather = await (await fetch(`${base}?lat=62.23&lon=25.77`)).json();
+        assert(weather.interpolation && weather.forecasts.length > 0 && weather.lat === 62.23, 'any coordinate in the grid should get a forecast');
+    } finally {
+        server.close();
+    }
+});
+
+// Test 29: Versioned API
+test('v1 API filters data and supports conditional requests', async () => {
+    const http = require('http');
+    const app = require('../src/server');
+    const server = app.listen(0);
+    const port = () => server.address().port;
+    const get = (url, headers = {}) => new Promise((resolve, reject) => {
+        http.get({ port: port(), path: `/api/v1${url}`, headers }, res => {
+            let body = '';
+            res.on('data', chunk => { body += chunk; });
+            res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: body ? JSON.parse(body) : null }));
+        }).on('error', reject);
+    });
+    
+    try {
+        const wind = await get('/wind?bbox=24,60,25,61&day=1&fields=windSpeed,temperature');
+        assert(wind.status === 200 && wind.body.count > 0, 'bbox should select grid points');
+        assert(wind.body.points.every(p => p.lat >= 60 && p.lat <= 61 && p.lon >= 24 && p.lon <= 25), 'points should lie inside the bbox');
+        const forecast = wind.body.points[0].forecasts;
+        assert(forecast.length === 1 && forecast[0].day === 1 && Object.keys(forecast[0]).join() === 'day,windSpeed,temperature', 'day and fields should filter forecasts');
+        
+        const etag = wind.headers.etag;
+        assert(etag && /max-age/.test(wind.headers['cache-control']), 'responses should be cacheable');
+        assert((await get('/wind?bbox=24,60,25,61&day=1&fields=windSpeed,temperature', { 'If-None-Match': etag })).status === 304, 'unchanged data should answer 304');
+        assert((await get('/wind?bbox=24,60,25,62&day=1&fields=windSpeed,temperature')).headers.etag !== etag, 'other queries should have other ETags');
+        
+        const prices = await get('/prices?area=FI&from=2026-02-01&to=2026-02-02');
+        assert(prices.body.records.length === 2 && prices.body.records.every(r => Array.isArray(r.prices)), 'prices should be filtered by date in the interval schema');
+        const turbines = await get('/turbines');
+        assert(turbines.body.turbines.every(t => t.capacityMW > 0), 'turbines should carry installed capacity');
+        const curvesFile = path.join(__dirname, '../config/power-curves.json');
+        const { atime, mtime } = fs.statSync(curvesFile);
+        fs.utimesSync(curvesFile, atime, new Date(mtime.getTime() + 60000));
+        try {
+            const edited = await get('/turbines', { 'If-None-Match': turbines.headers.etag });
+            assert(edited.status === 200 && edited.headers.etag !== turbines.headers.etag, 'power curve changes should change the turbines ETag');
+        } finally {
+            fs.utimesSync(curvesFile, atime, mtime);
+        }
+        
+        const badBox = await get('/wind?bbox=1,2');
+        const badZone = await get('/prices?area=XX');
+        const missing = await get('/nothing');
+        assert(badBox.status === 400 && badBox.body.error.code === 'invalid_parameter' && badBox.body.error.message, 'invalid parameters should give a structured error');
+        assert(badZone.status === 400 && missing.status === 404 && missing.body.error.code === 'not_found', 'errors should share one shape');
+        
+        const spec = await get('/openapi.json');
+        assert(spec.body.openapi && ['/wind', '/prices', '/predictions', '/turbines'].every(p => spec.body.paths[p]), 'OpenAPI should document every endpoint');
+    } finally {
+        server.close();
+    }
+});
+
+// Test 30: Live updates over Server-Sent Events
+test('data file changes are pushed to stream clients with deltas', async () => {
+    const { createLiveUpdates } = require('../src/live-updates');
+    const files = {
+        'wind-data.json': { version: 'w1', data: { generated: 'a', data: [{ lat: 60, lon: 25, forecasts: [{ day: 0, windSpeed: 5 }] }] } },
+        'nordpool-prices.json': { version: 'p1', data: { data: [{ area: 'FI', date: '2026-02-01', avgPrice: 40 }] } },
+        'price-predictions.json': { version: null, data: null }
+    };
+    const live = createLiveUpdates({
+        versionOf: name => files[name].version,
+        readFile: name => files[name].data
+    });
+    
+    let written = '';
+    const listeners = {};
+    const res = { set() {}, flushHeaders() {}, write(text) { written += text; }, end() {} };
+    const req = { on(event, fn) { listeners[event] = fn; } };
+    live.handler(req, res);
+    assert(/^retry: \d+/.test(written) && /event: hello\ndata: .*"wind-updated":"w1"/.test(written), 'clients should get the current versions on connect');
+    
+    written = '';
+    live.check();
+    assert(written === '', 'unchanged files should not push events');
+    
+    files['wind-data.json'] = { version: 'w2', data: { generated: 'b', data: [{ lat: 60, lon: 25, forecasts: [{ day: 0, windSpeed: 7 }] }] } };
+    files['nordpool-prices.json'] = { version: 'p2', data: { data: [{ area: 'FI', date: '2026-02-01', avgPrice: 40 }, { area: 'FI', date: '2026-02-02', avgPrice: 55 }] } };
+    live.check();
+    const events = written.trim().split('\n\n').map(block => ({
+        event: block.match(/^event: (.*)$/m)[1],
+        data: JSON.parse(block.match(/^data: (.*)$/m)[1])
+    }));
+    const wind = events.find(e => e.event === 'wind-updated');
+    const prices = events.find(e => e.event === 'prices-updated');
+    assert(events.length === 2, 'only changed files should push events');
+    assert(wind.data.version === 'w2' && wind.data.previousVersion === 'w1' && wind.data.changedPoints === 1, 'wind events should carry versions and changed points');
+    assert(prices.data.changed.length === 1 && prices.data.changed[0].date === '2026-02-02' && prices.data.changed[0].previous === null, 'price events should list new days');
+    
+    listeners.close();
+    assert(live.clientCount() === 0, 'closed streams should be dropped');
+    
+    // The route answers with an event stream
+    const http = require('http');
+    const app = require('../src/server');
+    const server = app.listen(0);
+    try {
+        const first = await new Promise((resolve, reject) => {
+            const request = http.get({ port: server.address().port, path: '/api/stream' }, res => {
+                let body = '';
+                res.on('data', chunk => {
+                    body += chunk;
+                    if (body.includes('event: hello')) {
+                        request.destroy();
+                        resolve({ type: res.headers['content-type'], body });
+                    }
+                });
+            });
+            request.on('error', reject);
+        });
+        assert(first.type.startsWith('text/event-stream') && first.body.includes('predictions-updated'), '/api/stream should be an SSE endpoint');
+    } finally {
+        server.close();
+    }
+});
+
+// Test 31: Binary wind tiles
+test('wind tiles quantize the grid per day and decode in the browser', async () => {
+    const os = require('os');
+    const { buildWindTiles, writeWindTiles, lonToTileX, latToTileY } = require('../scripts/lib/wind-tiles');
+    const times = ['2026-02-07T22:00:00Z', '2026-02-07T23:00:00Z', '2026-02-08T00:00:00Z', '2026-02-08T06:00:00Z'];
+    const data = [];
+    for (let lat = 60; lat <= 62; lat += 0.5) {
+        for (let lon = 24; lon <= 26; lon += 0.5) {
+            data.push({
+                lat,
+                lon,
+                forecasts: [0, 1].map(day => ({ day, windSpeed: 5 + day, windSpeedHub: 7.3, windDirection: 359, temperature: -12.3, humidity: 80 })),
+                hourly: {
+                    windSpeed: [3.1, 4.2, lat / 5, null],
+                    windSpeedHub: [4, 5, 6, null],
+                    windDirection: [90, 180, 270, null],
+                    temperature: [-20.2, -21, -22, null],
+                    humidity: [90, 91, 92, null]
+                }
+            });
+        }
+    }
+    const windData = { generated: '2026-02-07T21:30:00.000Z', times, data };
+    const { manifest, tiles } = buildWindTiles(windData);
+    
+    assert(manifest.days.length === 2 && manifest.days[0].count === 2 && manifest.days[1].start === 2 && manifest.days[1].count === 2, 'hours should be split by UTC date');
+    const lowZoom = tiles.get(`0/3/${lonToTileX(24, 3)}/${latToTileY(60, 3)}`);
+    assert(lowZoom.readUInt16LE(4) === 9, 'low zooms should keep every second row and column');
+    
+    // Decode with the frontend's reader
+    const appJs = fs.readFileSync(path.join(__dirname, '../public/app.js'), 'utf8');
+    const source = ['decodeWindTile', 'getTileValue'].map(name => appJs.match(new RegExp(`function ${name}[\\s\\S]*?\\n}`))[0]).join('\n');
+    const { decodeWindTile, getTileValue } = new Function(`${source}; return { decodeWindTile, getTileValue };`)();
+    const buffer = tiles.get(`1/6/${lonToTileX(24, 6)}/${latToTileY(61, 6)}`);
+    const tile = decodeWindTile(buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.length), manifest.fields);
+    const i = [...tile.lat].findIndex((lat, k) => lat === 61 && tile.lon[k] === 24);
+    const field = name => manifest.fields.find(f => f.name === name);
+    assert(tile.samples === 3 && i !== -1, 'tiles should hold the daily forecast plus the hours of the day');
+    assert(getTileValue(tile, field('windSpeed'), i, 0) === 6 && getTileValue(tile, field('windSpeed'), i, 1) === 12.2, 'speeds should survive quantization');
+    assert(getTileValue(tile, field('windDirection'), i, 0) === 0 && getTileValue(tile, field('temperature'), i, 0) === -12.5, 'direction and temperature should round to their step');
+    assert(getTileValue(tile, field('windSpeed'), i, 2) === null, 'missing hours should decode as null');
+    
+    // Only the current and previous run are kept
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'windpowers-tiles-'));
+    try {
+        ['2026-02-05T21:30:00.000Z', '2026-02-06T21:30:00.000Z', windData.generated].forEach(generated => {
+            writeWindTiles({ ...windData, generated }, { dir });
+        });
+        const written = JSON.parse(fs.readFileSync(path.join(dir, 'manifest.json'), 'utf8'));
+        const runs = fs.readdirSync(dir).filter(f => f !== 'manifest.json').sort();
+        assert(written.run === manifest.run && runs.join() === `2026-02-06T21-30-00.000Z,${manifest.run}`, 'older runs should be removed');
+        assert(written.tiles.every(key => fs.existsSync(path.join(dir, manifest.run, '1', `${key}.bin`))), 'the manifest should list only written tiles');
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+// Test 32: Animated wind particles
+test('wind particles drift through the interpolated wind field', async () => {
+    const { createWindField, sampleWindField, createParticleSystem, createWindParticleLayer } = require('../public/wind-particles');
+    const points = [];
+    for (let lat = 60; lat <= 62; lat += 0.5) {
+        for (let lon = 20; lon <= 24; lon += 0.5) {
+            // Westerly wind, from the north-west on the northern edge
+            points.push({ lat, lon, windSpeed: 10, windDirection: lat === 62 ? 315 : 270 });
+        }
+    }
+    points.pop();
+    const field = createWindField(points);
+    
+    const [u, v] = sampleWindField(field, 21.25, 60.25);
+    assert(Math.abs(u - 10) < 1e-6 && Math.abs(v) < 1e-6, 'wind from the west should blow east');
+    const [, vNorth] = sampleWindField(field, 21.25, 61.75);
+    assert(vNorth < 0 && vNorth > -10 * Math.SQRT1_2, 'north-westerly wind should be blended in towards the edge');
+    assert(sampleWindField(field, 24, 62) === null && sampleWindField(field, 19.9, 61) === null, 'gaps and points outside should have no wind');
+    
+    let seed = 1;
+    const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+    const particles = createParticleSystem(50, random);
+    const view = { west: 20, south: 60, east: 24, north: 62 };
+    particles.step(field, view, 1e-5);
+    const before = Array.from(particles.x);
+    particles.step(field, view, 1e-5);
+    const moved = before.filter((x, i) => particles.trailLength[i] === 2 && particles.x[i] > x);
+    assert(moved.length > 40, 'particles should move east in a westerly wind');
+    
+    const vertices = new Float32Array(50 * 7 * 6);
+    const written = particles.writeSegments(vertices);
+    assert(written === moved.length * 2 && vertices[2] > 0, 'trails should become line segments with alpha');
+    
+    const layer = createWindParticleLayer({ count: 100 });
+    assert(layer.type === 'custom' && layer.id === 'wind-particles' && ['onAdd', 'render', 'setPoints', 'setCount', 'setSpeed'].every(m => typeof layer[m] === 'function'), 'the layer should be a MapLibre custom layer');
+});
+
+// Summary
+runTests().then(() => {
+    console.log(`\n${passed} passed, ${failed} failed`);
+    
+    if (failed > 0) {
+        process.exit(1);
+    } else {
+        console.log('\nAll tests passed! ✓');
+    }
+});